@@ -0,0 +1,172 @@
+const AdminUser = require('../models/AdminUser');
+const AdminSession = require('../models/AdminSession');
+const Customer = require('../models/Customer');
+const CustomerSession = require('../models/CustomerSession');
+const Promoter = require('../models/Promoter');
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token.trim();
+}
+
+// Verifica el token de sesión y deja el usuario en req.admin
+async function requireAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        message: 'Se requiere autenticación',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const session = await AdminSession.findValid(token);
+    if (!session) {
+      return res.status(401).json({
+        message: 'Sesión inválida o expirada',
+        code: 'INVALID_SESSION'
+      });
+    }
+
+    const user = await AdminUser.findById(session.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        message: 'Usuario deshabilitado',
+        code: 'USER_DISABLED'
+      });
+    }
+
+    req.admin = user;
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Para rutas públicas que muestran más datos a un administrador logueado:
+// deja req.admin si el token es válido y nunca rechaza la request
+async function optionalAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    if (!token) return next();
+
+    const session = await AdminSession.findValid(token);
+    const user = session ? await AdminUser.findById(session.userId) : null;
+    if (user && user.isActive) {
+      req.admin = user;
+      req.adminSession = session;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Permite el acceso solo a los roles indicados (owner siempre tiene acceso)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({
+        message: 'Se requiere autenticación',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    if (req.admin.role !== 'owner' && !roles.includes(req.admin.role)) {
+      return res.status(403).json({
+        message: 'No tenés permisos para realizar esta acción',
+        code: 'FORBIDDEN',
+        requiredRoles: ['owner', ...roles.filter(role => role !== 'owner')]
+      });
+    }
+
+    next();
+  };
+}
+
+// Sesión de cliente (cuentas de compradores): deja el cliente en req.customer
+async function findCustomerSession(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  const session = await CustomerSession.findValid(token);
+  const customer = session ? await Customer.findById(session.customerId) : null;
+  return customer && customer.isActive ? { customer, session } : null;
+}
+
+async function requireCustomer(req, res, next) {
+  try {
+    if (!getBearerToken(req)) {
+      return res.status(401).json({
+        message: 'Se requiere iniciar sesión',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const found = await findCustomerSession(req);
+    if (!found) {
+      return res.status(401).json({
+        message: 'Sesión inválida o expirada',
+        code: 'INVALID_SESSION'
+      });
+    }
+
+    req.customer = found.customer;
+    req.customerSession = found.session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Para checkout y reservas: vincula la compra a la cuenta si hay sesión, nunca rechaza
+async function optionalCustomer(req, res, next) {
+  try {
+    const found = await findCustomerSession(req);
+    if (found) {
+      req.customer = found.customer;
+      req.customerSession = found.session;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Acceso de RRPP a su lista de invitados con su token propio: deja el RRPP en req.promoter
+async function requirePromoter(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        message: 'Se requiere autenticación',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const promoter = await Promoter.findByAccessToken(token);
+    if (!promoter) {
+      return res.status(401).json({
+        message: 'Token de RRPP inválido',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    req.promoter = promoter;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireRole,
+  requireCustomer,
+  optionalCustomer,
+  requirePromoter
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Antigüedad máxima aceptada del ts firmado, para que una notificación
+// capturada no se pueda reenviar más tarde (0 desactiva el control)
+const SIGNATURE_TOLERANCE_SECONDS = process.env.MERCADOPAGO_WEBHOOK_TOLERANCE_SECONDS !== undefined
+  ? parseInt(process.env.MERCADOPAGO_WEBHOOK_TOLERANCE_SECONDS) || 0
+  : 300;
+
+// Parsear el header x-signature: "ts=1704908010,v1=618c8534..."
+function parseSignatureHeader(header) {
+  return header.split(',').reduce((parts, part) => {
+    const [key, value] = part.split('=').map(item => item && item.trim());
+    if (key && value) parts[key] = value;
+    return parts;
+  }, {});
+}
+
+// Id del recurso notificado. Primero el query param data.id, que es el que
+// entra en la firma; el body solo se usa si no viene en la URL. El webhook
+// usa esta misma función para no consultar un pago distinto al verificado.
+function getNotificationDataId(req) {
+  return req.query['data.id'] || req.body?.data?.id || null;
+}
+
+// ts puede venir en segundos o en milisegundos
+function isTimestampFresh(ts) {
+  if (!SIGNATURE_TOLERANCE_SECONDS) return true;
+  const value = Number(ts);
+  if (!Number.isFinite(value)) return false;
+  const timestampMs = value < 1e12 ? value * 1000 : value;
+  return Math.abs(Date.now() - timestampMs) <= SIGNATURE_TOLERANCE_SECONDS * 1000;
+}
+
+// Valida la firma de las notificaciones de MercadoPago.
+// Manifest según la documentación: id:<data.id>;request-id:<x-request-id>;ts:<ts>;
+function verifyMercadoPagoSignature(req, res, next) {
+  const secret = process.env.MERCADOPAGO_WEBHOOK_SECRET;
+
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('🔐 MERCADOPAGO_WEBHOOK_SECRET no configurado: se rechaza el webhook');
+      return res.status(500).json({
+        message: 'Webhook no configurado',
+        code: 'WEBHOOK_SECRET_MISSING'
+      });
+    }
+
+    console.warn('⚠️ MERCADOPAGO_WEBHOOK_SECRET no configurado: se omite la verificación de firma');
+    return next();
+  }
+
+  const signatureHeader = req.headers['x-signature'];
+  const requestId = req.headers['x-request-id'];
+
+  if (!signatureHeader) {
+    return res.status(401).json({
+      message: 'Firma de webhook ausente',
+      code: 'INVALID_SIGNATURE'
+    });
+  }
+
+  const { ts, v1 } = parseSignatureHeader(signatureHeader);
+  let dataId = getNotificationDataId(req);
+
+  if (!ts || !v1 || !dataId) {
+    return res.status(401).json({
+      message: 'Firma de webhook incompleta',
+      code: 'INVALID_SIGNATURE'
+    });
+  }
+
+  // MercadoPago firma los ids alfanuméricos en minúsculas
+  dataId = String(dataId).toLowerCase();
+
+  let manifest = `id:${dataId};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${ts};`;
+
+  const expected = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(v1, 'hex');
+
+  if (expectedBuffer.length !== receivedBuffer.length ||
+      !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+    console.warn(`🔐 Firma de webhook inválida para data.id ${dataId}`);
+    return res.status(401).json({
+      message: 'Firma de webhook inválida',
+      code: 'INVALID_SIGNATURE'
+    });
+  }
+
+  if (!isTimestampFresh(ts)) {
+    console.warn(`🔐 Firma de webhook vencida para data.id ${dataId} (ts ${ts})`);
+    return res.status(401).json({
+      message: 'Firma de webhook vencida',
+      code: 'SIGNATURE_EXPIRED'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyMercadoPagoSignature,
+  getNotificationDataId
+};
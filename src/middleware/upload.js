@@ -0,0 +1,68 @@
+const multer = require('multer');
+const { ALLOWED_MIME_TYPES } = require('../services/images');
+
+const MAX_IMAGE_SIZE_MB = parseInt(process.env.IMAGE_MAX_SIZE_MB) || 10;
+
+// Los archivos quedan en memoria: services/images los redimensiona y sube al almacenamiento
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = 'Formato de imagen no soportado. Use JPG, PNG, WEBP o GIF';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Middleware para recibir una imagen opcional en multipart/form-data (campo `field`).
+// Con un body JSON no hace nada, así que las rutas aceptan ambos formatos.
+function uploadImage(field = 'image') {
+  const single = upload.single(field);
+
+  return (req, res, next) => {
+    single(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `La imagen no puede superar los ${MAX_IMAGE_SIZE_MB}MB`
+          : error.message;
+        return res.status(400).json({
+          message,
+          code: error.code === 'LIMIT_FILE_SIZE' ? 'IMAGE_TOO_LARGE' : 'INVALID_IMAGE'
+        });
+      }
+
+      next(error);
+    });
+  };
+}
+
+// En multipart los campos llegan como texto: parsear los que son objetos o listas
+function parseJsonFields(...fields) {
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+
+    for (const field of fields) {
+      if (typeof req.body[field] !== 'string') continue;
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (error) {
+        return res.status(400).json({ message: `El campo ${field} no es un JSON válido` });
+      }
+    }
+    next();
+  };
+}
+
+module.exports = {
+  uploadImage,
+  parseJsonFields,
+  MAX_IMAGE_SIZE_MB
+};
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS) || 12;
+
+const adminSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    required: true
+  },
+  // Solo se guarda el hash del token, nunca el token en claro
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB elimina automáticamente las sesiones vencidas
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+adminSessionSchema.index({ userId: 1 });
+
+adminSessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Crear una sesión nueva y devolver el token en claro (solo se muestra una vez)
+adminSessionSchema.statics.issue = async function(user, { userAgent, ip } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const session = await this.create({
+    userId: user._id,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000),
+    userAgent,
+    ip
+  });
+
+  return { token, session };
+};
+
+// Buscar una sesión vigente a partir del token en claro
+adminSessionSchema.statics.findValid = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { hashPassword, verifyPassword, assertPasswordStrength } = require('../utils/passwords');
+
+// Roles disponibles para el panel de administración
+// - owner: acceso total
+// - staff: control de acceso en puerta (check-in)
+// - viewer: solo lectura de reportes
+const ADMIN_ROLES = ['owner', 'staff', 'viewer'];
+
+const adminUserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'El email es requerido'],
+    trim: true,
+    lowercase: true,
+    unique: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'El email no es válido']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder los 100 caracteres']
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ADMIN_ROLES,
+      message: 'El rol debe ser: owner, staff o viewer'
+    },
+    default: 'viewer'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Hashear contraseña con scrypt (ver utils/passwords.js)
+adminUserSchema.statics.hashPassword = hashPassword;
+
+// Método para establecer una nueva contraseña
+adminUserSchema.methods.setPassword = async function(password) {
+  assertPasswordStrength(password);
+  this.passwordHash = await this.constructor.hashPassword(password);
+};
+
+// Método para verificar contraseña (requiere haber seleccionado passwordHash)
+adminUserSchema.methods.verifyPassword = function(password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+adminUserSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    isActive: this.isActive,
+    lastLoginAt: this.lastLoginAt
+  };
+};
+
+const AdminUser = mongoose.model('AdminUser', adminUserSchema);
+AdminUser.ROLES = ADMIN_ROLES;
+
+module.exports = AdminUser;
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Job que cancela en cascada las reservas de un evento cancelado
+const cancellationJobSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  requestedByEmail: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'completed_with_errors'],
+    default: 'running'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  refunded: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  notificationsQueued: {
+    type: Number,
+    default: 0
+  },
+  // Una vez que se intentó un reembolso el evento no puede reactivarse
+  refundsStarted: {
+    type: Boolean,
+    default: false
+  },
+  failures: [{
+    _id: false,
+    reservationId: mongoose.Schema.Types.ObjectId,
+    reservationCode: String,
+    step: {
+      type: String,
+      enum: ['refund', 'cancel', 'notify']
+    },
+    error: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  runs: {
+    type: Number,
+    default: 1
+  },
+  lastProgressAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+cancellationJobSchema.index({ eventId: 1, createdAt: -1 });
+
+// Último job del evento
+cancellationJobSchema.statics.findLatestForEvent = function(eventId) {
+  return this.findOne({ eventId }).sort({ createdAt: -1 });
+};
+
+cancellationJobSchema.methods.toProgressJSON = function() {
+  return {
+    id: this._id,
+    eventId: this.eventId,
+    status: this.status,
+    reason: this.reason,
+    requestedByEmail: this.requestedByEmail,
+    total: this.total,
+    processed: this.processed,
+    refunded: this.refunded,
+    refundedAmount: this.refundedAmount,
+    failed: this.failed,
+    notificationsQueued: this.notificationsQueued,
+    refundsStarted: this.refundsStarted,
+    failures: this.failures,
+    runs: this.runs,
+    startedAt: this.startedAt,
+    lastProgressAt: this.lastProgressAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+module.exports = mongoose.model('CancellationJob', cancellationJobSchema);
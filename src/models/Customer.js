@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { hashPassword, verifyPassword, assertPasswordStrength } = require('../utils/passwords');
+
+// Cuenta de cliente (compradores). Se puede ingresar con link mágico por email
+// o con contraseña; el email queda verificado al usar un link por primera vez.
+const customerSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'El email es requerido'],
+    trim: true,
+    lowercase: true,
+    unique: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'El email no es válido']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder los 100 caracteres']
+  },
+  // Opcional: las cuentas creadas por link mágico no tienen contraseña
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+customerSchema.statics.normalizeEmail = function(email) {
+  return String(email || '').trim().toLowerCase();
+};
+
+customerSchema.methods.setPassword = async function(password) {
+  assertPasswordStrength(password);
+  this.passwordHash = await hashPassword(password);
+};
+
+// Requiere haber seleccionado passwordHash
+customerSchema.methods.verifyPassword = function(password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+customerSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    emailVerified: Boolean(this.emailVerifiedAt),
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const LOGIN_TOKEN_MINUTES = parseInt(process.env.CUSTOMER_LOGIN_TOKEN_MINUTES) || 20;
+
+// Token de un solo uso enviado por email (link mágico). Usarlo inicia sesión y
+// prueba que el cliente controla el email.
+const customerLoginTokenSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+customerLoginTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+customerLoginTokenSchema.index({ customerId: 1 });
+
+customerLoginTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Crear un token para el cliente y devolverlo en claro (va solo en el email)
+customerLoginTokenSchema.statics.issue = async function(customer) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const loginToken = await this.create({
+    customerId: customer._id,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + LOGIN_TOKEN_MINUTES * 60 * 1000)
+  });
+
+  return { token, loginToken };
+};
+
+// Marcar el token como usado de forma atómica; null si no existe, venció o ya se usó
+customerLoginTokenSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(String(token || '')),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const CustomerLoginToken = mongoose.model('CustomerLoginToken', customerLoginTokenSchema);
+CustomerLoginToken.TTL_MINUTES = LOGIN_TOKEN_MINUTES;
+
+module.exports = CustomerLoginToken;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SESSION_TTL_DAYS = parseInt(process.env.CUSTOMER_SESSION_TTL_DAYS) || 30;
+
+// Sesión de cliente (mismo esquema que AdminSession, con vigencia más larga)
+const customerSessionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  // Solo se guarda el hash del token, nunca el token en claro
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB elimina automáticamente las sesiones vencidas
+customerSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+customerSessionSchema.index({ customerId: 1 });
+
+customerSessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Crear una sesión nueva y devolver el token en claro (solo se muestra una vez)
+customerSessionSchema.statics.issue = async function(customer, { userAgent, ip } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const session = await this.create({
+    customerId: customer._id,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent,
+    ip
+  });
+
+  return { token, session };
+};
+
+// Buscar una sesión vigente a partir del token en claro
+customerSessionSchema.statics.findValid = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('CustomerSession', customerSessionSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { InventoryError } = require('../utils/errors');
+
+const DEFAULT_CATEGORY = 'general';
+const MAX_TICKETS_PER_ORDER = 4;
 
 // Schema para las etapas de preventa
 const preSaleStageSchema = new mongoose.Schema({
@@ -16,18 +20,35 @@ const preSaleStageSchema = new mongoose.Schema({
   ticketLimit: {
     type: Number,
     required: [true, 'El límite de entradas es requerido'],
-    min: [1, 'Debe haber al menos 1 entrada disponible']
+    // Una etapa cerrada que pasó todo su cupo a la siguiente puede quedar en 0
+    validate: {
+      validator: function(value) {
+        return value >= 1 || (Boolean(this.closedAt) && value >= 0);
+      },
+      message: 'Debe haber al menos 1 entrada disponible'
+    }
   },
   ticketsSold: {
     type: Number,
     default: 0,
     min: [0, 'Las entradas vendidas no pueden ser negativas']
   },
+  // Entradas retenidas por checkouts en curso (ver models/TicketHold.js)
+  ticketsHeld: {
+    type: Number,
+    default: 0,
+    min: [0, 'Las entradas retenidas no pueden ser negativas']
+  },
   endDate: {
     type: Date,
     required: [true, 'La fecha de finalización es requerida'],
+    // Solo al crear la etapa o cambiarle la fecha: una etapa ya vencida o cerrada
+    // se tiene que poder guardar (advanceStages la cierra después de su endDate).
+    // En un update (this es la query) solo llega si se está cambiando la fecha.
     validate: {
       validator: function(value) {
+        if (typeof this.isModified !== 'function') return value > new Date();
+        if (this.closedAt || (!this.isNew && !this.isModified('endDate'))) return true;
         return value > new Date();
       },
       message: 'La fecha de finalización debe ser futura'
@@ -40,9 +61,161 @@ const preSaleStageSchema = new mongoose.Schema({
   description: {
     type: String,
     maxlength: [200, 'La descripción no puede exceder los 200 caracteres']
+  },
+  // Categoría de entrada a la que pertenece la etapa (key de ticketCategories)
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: DEFAULT_CATEGORY
+  },
+  // Apertura programada: la etapa no se vende antes de esta fecha aunque la anterior
+  // ya haya cerrado (null = abre apenas cierra la anterior)
+  startDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.endDate || value < this.endDate;
+      },
+      message: 'La fecha de inicio debe ser anterior a la de finalización'
+    }
+  },
+  // Al cerrar, las entradas no vendidas pasan a la siguiente etapa de la categoría
+  carryOverUnsold: {
+    type: Boolean,
+    default: false
+  },
+  // Entradas recibidas de etapas anteriores (ya sumadas al ticketLimit)
+  carriedOverTickets: {
+    type: Number,
+    default: 0
+  },
+  // Progresión de la etapa (ver advanceStages)
+  openedAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closeReason: {
+    type: String,
+    enum: [null, 'end_date', 'sold_out'],
+    default: null
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Entradas realmente disponibles de la etapa (descontando las retenidas)
+preSaleStageSchema.virtual('ticketsAvailable').get(function() {
+  return Math.max(0, this.ticketLimit - this.ticketsSold - (this.ticketsHeld || 0));
 });
 
+// Categorías de entrada (general, VIP, mesa...). Cada una tiene sus propias etapas
+// de preventa (preSaleStages con el mismo category), capacidad y límite por orden.
+// Un evento sin categorías vende todo como "general" (compatibilidad).
+const ticketCategorySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'La clave de la categoría es requerida'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]{2,30}$/, 'La clave de la categoría solo puede tener letras, números, guiones o guiones bajos']
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre de la categoría es requerido'],
+    trim: true,
+    maxlength: [50, 'El nombre no puede exceder los 50 caracteres']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['general', 'vip', 'table'],
+      message: 'El tipo de categoría debe ser: general, vip o table'
+    },
+    default: 'general'
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'La descripción no puede exceder los 200 caracteres']
+  },
+  // Tope de entradas de la categoría sumando todas sus etapas (null = solo límites de etapa)
+  capacity: {
+    type: Number,
+    default: null,
+    min: [1, 'La capacidad de la categoría debe ser al menos 1']
+  },
+  maxPerOrder: {
+    type: Number,
+    default: MAX_TICKETS_PER_ORDER,
+    min: [1, 'El límite por orden debe ser al menos 1'],
+    max: [MAX_TICKETS_PER_ORDER, `El límite por orden no puede superar ${MAX_TICKETS_PER_ORDER}`]
+  },
+  // hidden: se vende solo con link directo, no aparece en los listados públicos
+  visibility: {
+    type: String,
+    enum: {
+      values: ['public', 'hidden'],
+      message: 'La visibilidad debe ser: public o hidden'
+    },
+    default: 'public'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Registro de apertura y cierre de etapas, para medir cuánto tardó en venderse cada una
+const stageTransitionSchema = new mongoose.Schema({
+  stageIndex: {
+    type: Number,
+    required: true
+  },
+  stageName: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: ['opened', 'closed'],
+    required: true
+  },
+  // opened: start | previous_closed; closed: end_date | sold_out
+  reason: {
+    type: String,
+    enum: ['start', 'previous_closed', 'end_date', 'sold_out'],
+    required: true
+  },
+  ticketsSold: {
+    type: Number,
+    default: 0
+  },
+  ticketLimit: {
+    type: Number
+  },
+  // Entradas no vendidas que pasaron a la siguiente etapa al cerrar
+  carriedOver: {
+    type: Number,
+    default: 0
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 // Schema para entradas gratis
 const freeTicketsConfigSchema = new mongoose.Schema({
   enabled: {
@@ -100,6 +273,12 @@ const eventSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'La información no puede exceder los 1000 caracteres']
   },
+  // Capacidad del lugar: tope de entradas sumando todas las etapas y las gratis (null = sin tope)
+  capacity: {
+    type: Number,
+    default: null,
+    min: [1, 'La capacidad debe ser al menos 1']
+  },
   // Precio base (para eventos sin preventa)
   basePrice: {
     type: Number,
@@ -114,6 +293,9 @@ const eventSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date
   },
+  // URL de la imagen (tamaño card si viene de una imagen subida). Los eventos
+  // anteriores pueden tener todavía un Base64 hasta correr scripts/migrateEventImages.js,
+  // por eso se sigue aceptando data:image/ (las rutas nunca lo guardan en eventos nuevos)
   image: {
     type: String,
     required: [true, 'La imagen del evento es requerida'],
@@ -123,23 +305,74 @@ const eventSchema = new mongoose.Schema({
                value.startsWith('http://') || 
                value.startsWith('https://');
       },
-      message: 'La imagen debe ser en formato Base64 o URL válida'
+      message: 'La imagen debe ser una URL válida'
     }
   },
+  // Imagen subida (ver models/Image.js) y sus URLs por tamaño
+  imageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null
+  },
+  images: {
+    thumbnail: { type: String },
+    card: { type: String },
+    hero: { type: String }
+  },
+  // Categorías de entrada (vacío = todas las etapas son "general")
+  ticketCategories: {
+    type: [ticketCategorySchema],
+    validate: {
+      validator: function(categories) {
+        const keys = categories.map(category => category.key);
+        return new Set(keys).size === keys.length;
+      },
+      message: 'Las claves de las categorías no se pueden repetir'
+    }
+  },
+
   // Nuevo sistema de preventas por etapas
   preSaleStages: [preSaleStageSchema],
+  stageTransitions: [stageTransitionSchema],
   
   // Nuevo sistema de entradas gratis
   freeTickets: freeTicketsConfigSchema,
+  // Invitados cargados por los RRPP en sus listas (cupos en PromoterQuota)
+  guestListClaimed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
+  // draft: en preparación, no aparece en los listados públicos ni se vende
   status: {
     type: String,
     enum: {
-      values: ['active', 'cancelled', 'completed', 'sold-out'],
-      message: 'El estado debe ser: active, cancelled, completed, o sold-out'
+      values: ['draft', 'active', 'cancelled', 'completed', 'sold-out'],
+      message: 'El estado debe ser: draft, active, cancelled, completed, o sold-out'
     },
     default: 'active'
   },
+  // Publicación programada: un borrador pasa a active al llegar esta fecha
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Transferencias de entradas: congeladas a mano por un admin o
+  // automáticamente las horas indicadas antes del evento (null = sin corte)
+  transfersFrozenAt: {
+    type: Date,
+    default: null
+  },
+  transferFreezeHours: {
+    type: Number,
+    default: null,
+    min: [0, 'Las horas de corte de transferencias no pueden ser negativas']
+  },
   tags: {
     type: [String],
     validate: {
@@ -166,6 +399,7 @@ const eventSchema = new mongoose.Schema({
 // Índices para mejor performance
 eventSchema.index({ date: 1 });
 eventSchema.index({ status: 1 });
+eventSchema.index({ status: 1, publishAt: 1 });
 eventSchema.index({ location: 'text', title: 'text' });
 eventSchema.index({ 'preSaleStages.endDate': 1 });
 eventSchema.index({ 'preSaleStages.isActive': 1 });
@@ -179,6 +413,10 @@ eventSchema.virtual('isPast').get(function() {
   return this.date < new Date();
 });
 
+eventSchema.virtual('isDraft').get(function() {
+  return this.status === 'draft';
+});
+
 eventSchema.virtual('isCancelled').get(function() {
   return this.status === 'cancelled';
 });
@@ -197,11 +435,12 @@ eventSchema.virtual('freeTicketsAvailable').get(function() {
   return this.freeTickets.quantity - this.freeTickets.ticketsClaimed;
 });
 
+// Etapa abierta que termina primero (cada categoría vende una etapa por vez)
 eventSchema.virtual('currentPreSaleStage').get(function() {
   const now = new Date();
   return this.preSaleStages
-    .filter(stage => stage.isActive && stage.endDate > now)
-    .sort((a, b) => a.endDate - b.endDate)[0]; // La etapa que termina primero
+    .filter((stage, index) => this.getStageState(index, now) === 'open')
+    .sort((a, b) => a.endDate - b.endDate)[0];
 });
 
 eventSchema.virtual('currentPrice').get(function() {
@@ -212,14 +451,98 @@ eventSchema.virtual('currentPrice').get(function() {
   return this.basePrice;
 });
 
-eventSchema.virtual('totalTicketsAvailable').get(function() {
-  let total = 0;
-  this.preSaleStages.forEach(stage => {
-    if (stage.isActive) {
-      total += (stage.ticketLimit - stage.ticketsSold);
+// Disponibilidad por categoría: suma de las etapas activas, acotada por la capacidad
+// de la categoría (que cuenta lo vendido y retenido en todas sus etapas)
+eventSchema.virtual('categoryAvailability').get(function() {
+  return this.getCategories().map(category => {
+    const stages = this.preSaleStages.filter(stage => (stage.category || DEFAULT_CATEGORY) === category.key);
+    const ticketsSold = stages.reduce((sum, stage) => sum + stage.ticketsSold, 0);
+    const ticketsHeld = stages.reduce((sum, stage) => sum + (stage.ticketsHeld || 0), 0);
+
+    let ticketsAvailable = category.isActive === false ? 0 : stages
+      .filter(stage => stage.isActive)
+      .reduce((sum, stage) => sum + stage.ticketsAvailable, 0);
+    if (category.capacity) {
+      ticketsAvailable = Math.min(ticketsAvailable, Math.max(0, category.capacity - ticketsSold - ticketsHeld));
     }
+
+    return {
+      key: category.key,
+      name: category.name,
+      type: category.type,
+      visibility: category.visibility,
+      capacity: category.capacity,
+      maxPerOrder: category.maxPerOrder,
+      ticketsSold,
+      ticketsHeld,
+      ticketsAvailable
+    };
   });
-  return total;
+});
+
+// Ocupación del lugar: entradas emitidas (vendidas + gratis + invitados) y retenidas contra la capacidad
+eventSchema.virtual('occupancy').get(function() {
+  const ticketsSold = this.preSaleStages.reduce((sum, stage) => sum + stage.ticketsSold, 0);
+  const ticketsHeld = this.preSaleStages.reduce((sum, stage) => sum + (stage.ticketsHeld || 0), 0);
+  const freeTicketsClaimed = this.freeTickets?.ticketsClaimed || 0;
+  const guestListClaimed = this.guestListClaimed || 0;
+  const ticketsIssued = ticketsSold + freeTicketsClaimed + guestListClaimed;
+
+  return {
+    capacity: this.capacity || null,
+    ticketsSold,
+    freeTicketsClaimed,
+    guestListClaimed,
+    ticketsIssued,
+    ticketsHeld,
+    available: this.capacity ? Math.max(0, this.capacity - ticketsIssued - ticketsHeld) : null,
+    rate: this.capacity ? Math.round((ticketsIssued / this.capacity) * 1000) / 10 : null
+  };
+});
+
+eventSchema.virtual('totalTicketsAvailable').get(function() {
+  const total = this.categoryAvailability.reduce((sum, category) => sum + category.ticketsAvailable, 0);
+  const venueAvailable = this.occupancy.available;
+  return venueAvailable === null ? total : Math.min(total, venueAvailable);
+});
+
+// Verificar que lo planificado para la venta entre en el lugar.
+// Devuelve el mensaje de error o null. Se usa también desde las rutas que
+// actualizan con findByIdAndUpdate (no pasan por el pre('validate')).
+eventSchema.statics.checkCapacity = function({ capacity, preSaleStages = [], freeTickets }) {
+  if (!capacity) return null;
+
+  if (freeTickets?.enabled && !freeTickets.quantity) {
+    return 'Con una capacidad definida, las entradas gratis necesitan una cantidad máxima';
+  }
+
+  const stagesTotal = preSaleStages.reduce((sum, stage) => sum + Number(stage.ticketLimit || 0), 0);
+  const freeQuota = freeTickets?.enabled
+    ? Math.max(Number(freeTickets.quantity || 0), Number(freeTickets.ticketsClaimed || 0))
+    : Number(freeTickets?.ticketsClaimed || 0);
+
+  if (stagesTotal + freeQuota > capacity) {
+    return `La suma de los límites de las etapas (${stagesTotal}) más el cupo de entradas gratis (${freeQuota}) supera la capacidad del lugar (${capacity})`;
+  }
+  return null;
+};
+
+// Cada etapa tiene que pertenecer a una categoría definida
+eventSchema.pre('validate', function(next) {
+  const capacityError = this.constructor.checkCapacity(this);
+  if (capacityError) {
+    this.invalidate('capacity', capacityError);
+  }
+
+  if (this.ticketCategories && this.ticketCategories.length > 0) {
+    const keys = new Set(this.ticketCategories.map(category => category.key));
+    this.preSaleStages.forEach((stage, index) => {
+      if (!keys.has(stage.category || DEFAULT_CATEGORY)) {
+        this.invalidate(`preSaleStages.${index}.category`, `La etapa ${index + 1} tiene una categoría inexistente: ${stage.category}`);
+      }
+    });
+  }
+  next();
 });
 
 // Middleware para verificar estado antes de guardar
@@ -247,49 +570,600 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
-// Método para obtener la etapa de preventa actual
-eventSchema.methods.getCurrentStage = function() {
-  return this.currentPreSaleStage;
+// Método para obtener la etapa de preventa actual (opcionalmente de una categoría)
+eventSchema.methods.getCurrentStage = function(categoryKey) {
+  if (!categoryKey) {
+    return this.currentPreSaleStage;
+  }
+
+  const now = new Date();
+  return this.preSaleStages
+    .filter((stage, index) => (stage.category || DEFAULT_CATEGORY) === categoryKey && this.getStageState(index, now) === 'open')
+    .sort((a, b) => a.endDate - b.endDate)[0];
 };
 
-// Método para comprar entradas de preventa
-eventSchema.methods.buyPreSaleTickets = function(stageIndex, quantity) {
-  if (stageIndex >= this.preSaleStages.length) {
-    throw new Error('Etapa de preventa no válida');
+// Etapas de una categoría en el orden en que se venden (por fecha de fin)
+function stageSequence(stages, categoryKey) {
+  return stages
+    .map((stage, index) => ({ stage, index }))
+    .filter(({ stage }) => (stage.category || DEFAULT_CATEGORY) === categoryKey)
+    .sort((a, b) => a.stage.endDate - b.stage.endDate || a.index - b.index);
+}
+
+// Una etapa deja de venderse al vencer, al agotarse o al desactivarse
+function isStageClosed(stage, now) {
+  return Boolean(stage.closedAt) ||
+    !stage.isActive ||
+    stage.endDate <= now ||
+    stage.ticketsSold >= stage.ticketLimit;
+}
+
+// Estado de venta de una etapa: upcoming (espera su startDate o que cierre la
+// anterior de su categoría), open o closed
+eventSchema.methods.getStageState = function(stageIndex, now = new Date()) {
+  const stage = this.preSaleStages[stageIndex];
+  if (!stage) return null;
+  if (isStageClosed(stage, now)) return 'closed';
+  if (stage.startDate && stage.startDate > now) return 'upcoming';
+
+  const sequence = stageSequence(this.preSaleStages, stage.category || DEFAULT_CATEGORY);
+  const position = sequence.findIndex(item => item.index === Number(stageIndex));
+  const previousPending = sequence.slice(0, position).some(item => !isStageClosed(item.stage, now));
+  return previousPending ? 'upcoming' : 'open';
+};
+
+// Cerrar las etapas vencidas o agotadas (pasando lo no vendido a la siguiente si
+// la etapa lo pide) y marcar la apertura de las que quedan a la venta.
+// Modifica el documento sin guardarlo; devuelve las transiciones registradas.
+eventSchema.methods.advanceStages = function(now = new Date()) {
+  const transitions = [];
+  const record = (index, action, reason, carriedOver = 0) => {
+    const stage = this.preSaleStages[index];
+    transitions.push({
+      stageIndex: index,
+      stageName: stage.name,
+      category: stage.category || DEFAULT_CATEGORY,
+      action,
+      reason,
+      ticketsSold: stage.ticketsSold,
+      ticketLimit: stage.ticketLimit,
+      carriedOver,
+      at: now
+    });
+  };
+
+  const categoryKeys = new Set(this.preSaleStages.map(stage => stage.category || DEFAULT_CATEGORY));
+  for (const categoryKey of categoryKeys) {
+    const sequence = stageSequence(this.preSaleStages, categoryKey);
+
+    sequence.forEach(({ stage, index }, position) => {
+      if (stage.closedAt) return;
+
+      const soldOut = stage.ticketsSold >= stage.ticketLimit;
+      if (!soldOut && stage.endDate > now) return;
+
+      let carriedOver = 0;
+      const next = sequence.slice(position + 1).find(item => !item.stage.closedAt && item.stage.endDate > now);
+      if (stage.carryOverUnsold && next) {
+        carriedOver = Math.max(0, stage.ticketLimit - stage.ticketsSold - (stage.ticketsHeld || 0));
+        stage.ticketLimit -= carriedOver;
+        next.stage.ticketLimit += carriedOver;
+        next.stage.carriedOverTickets = (next.stage.carriedOverTickets || 0) + carriedOver;
+      }
+
+      stage.closedAt = now;
+      stage.closeReason = soldOut ? 'sold_out' : 'end_date';
+      stage.isActive = false;
+      record(index, 'closed', stage.closeReason, carriedOver);
+    });
+
+    sequence.forEach(({ stage, index }, position) => {
+      if (stage.openedAt || this.getStageState(index, now) !== 'open') return;
+
+      stage.openedAt = now;
+      const afterPrevious = sequence.slice(0, position).some(item => item.stage.closedAt);
+      record(index, 'opened', afterPrevious ? 'previous_closed' : 'start');
+    });
   }
-  
+
+  if (transitions.length > 0) {
+    this.stageTransitions.push(...transitions);
+  }
+  return transitions;
+};
+
+// Categorías del evento. Sin categorías configuradas se usa una "general" implícita.
+eventSchema.methods.getCategories = function() {
+  if (this.ticketCategories && this.ticketCategories.length > 0) {
+    return [...this.ticketCategories].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+  }
+
+  return [{
+    key: DEFAULT_CATEGORY,
+    name: 'General',
+    type: 'general',
+    capacity: null,
+    maxPerOrder: MAX_TICKETS_PER_ORDER,
+    visibility: 'public',
+    isActive: true
+  }];
+};
+
+eventSchema.methods.getCategory = function(key) {
+  return this.getCategories().find(category => category.key === (key || DEFAULT_CATEGORY)) || null;
+};
+
+eventSchema.methods.getStageCategory = function(stageIndex) {
   const stage = this.preSaleStages[stageIndex];
-  
-  if (!stage.isActive) {
-    throw new Error('Esta etapa de preventa no está activa');
+  return stage ? this.getCategory(stage.category) : null;
+};
+
+// Validar que la categoría de la etapa se pueda vender en esa cantidad (lanza InventoryError)
+eventSchema.methods.assertCategoryPurchase = function(stageIndex, quantity) {
+  const category = this.getStageCategory(stageIndex);
+  if (!category || category.isActive === false) {
+    throw new InventoryError('La categoría de entrada no está disponible', { code: 'CATEGORY_NOT_AVAILABLE' });
   }
-  
-  if (stage.endDate < new Date()) {
-    throw new Error('Esta etapa de preventa ha expirado');
+  if (quantity > category.maxPerOrder) {
+    throw new InventoryError(`Se pueden comprar hasta ${category.maxPerOrder} entradas ${category.name} por orden`, {
+      code: 'CATEGORY_ORDER_LIMIT',
+      available: category.maxPerOrder
+    });
   }
-  
-  if (stage.ticketsSold + quantity > stage.ticketLimit) {
-    throw new Error('No hay suficientes entradas disponibles en esta etapa');
+  return category;
+};
+
+// JSON para el público: sin categorías ocultas o inactivas ni sus etapas.
+// Cada etapa lleva su índice original, que es el que se usa para comprar.
+eventSchema.methods.toPublicJSON = function() {
+  const json = this.toJSON();
+  const visibleKeys = new Set(this.getCategories()
+    .filter(category => category.visibility !== 'hidden' && category.isActive !== false)
+    .map(category => category.key));
+
+  json.ticketCategories = (json.ticketCategories || []).filter(category => visibleKeys.has(category.key));
+  json.categoryAvailability = json.categoryAvailability.filter(category => visibleKeys.has(category.key));
+  // Las etapas con apertura programada no se muestran hasta su startDate
+  const now = new Date();
+  json.preSaleStages = json.preSaleStages
+    .map((stage, index) => ({ ...stage, index, state: this.getStageState(index, now) }))
+    .filter(stage => visibleKeys.has(stage.category || DEFAULT_CATEGORY))
+    .filter(stage => !stage.startDate || new Date(stage.startDate) <= now);
+  delete json.stageTransitions;
+
+  return json;
+};
+
+// Motivo por el que no se pueden transferir entradas del evento (null si se puede)
+eventSchema.methods.getTransferBlock = function(now = new Date()) {
+  if (this.status === 'cancelled' || this.status === 'completed' || this.date <= now) {
+    return { code: 'EVENT_NOT_AVAILABLE', message: 'El evento ya no admite transferencias' };
   }
-  
-  stage.ticketsSold += quantity;
-  return this.save();
+  if (this.transfersFrozenAt) {
+    return { code: 'TRANSFERS_FROZEN', message: 'Las transferencias de este evento están congeladas' };
+  }
+  if (this.transferFreezeHours != null &&
+      this.date.getTime() - now.getTime() <= this.transferFreezeHours * 60 * 60 * 1000) {
+    return { code: 'TRANSFERS_FROZEN', message: 'Las transferencias cierran antes del ingreso al evento' };
+  }
+  return null;
+};
+
+// Método para comprar entradas de preventa
+eventSchema.methods.buyPreSaleTickets = function(stageIndex, quantity) {
+  return this.constructor.reserveStageTickets(this._id, stageIndex, quantity);
 };
 
 // Método para reclamar entradas gratis
 eventSchema.methods.claimFreeTicket = function(quantity = 1) {
-  if (!this.freeTickets.enabled) {
-    throw new Error('Este evento no tiene entradas gratis disponibles');
+  return this.constructor.claimFreeTickets(this._id, quantity);
+};
+
+// Expresión $expr: vendidas + retenidas + quantity <= ticketLimit para la etapa index,
+// y lo mismo contra la capacidad de su categoría sumando todas las etapas de la categoría
+function stageHasRoomExpr(index, quantity) {
+  const categoryOf = stage => ({ $ifNull: [`${stage}.category`, DEFAULT_CATEGORY] });
+  const usedOf = stage => ({ $add: [`${stage}.ticketsSold`, { $ifNull: [`${stage}.ticketsHeld`, 0] }] });
+
+  return {
+    $let: {
+      vars: { stage: { $arrayElemAt: ['$preSaleStages', index] } },
+      in: {
+        $let: {
+          vars: {
+            category: {
+              $arrayElemAt: [{
+                $filter: {
+                  input: { $ifNull: ['$ticketCategories', []] },
+                  as: 'category',
+                  cond: { $eq: ['$$category.key', categoryOf('$$stage')] }
+                }
+              }, 0]
+            }
+          },
+          in: {
+            $and: [
+              { $lte: [{ $add: [usedOf('$$stage'), quantity] }, '$$stage.ticketLimit'] },
+              {
+                $or: [
+                  { $eq: [{ $ifNull: ['$$category.capacity', null] }, null] },
+                  {
+                    $lte: [
+                      {
+                        $add: [{
+                          $sum: {
+                            $map: {
+                              input: {
+                                $filter: {
+                                  input: '$preSaleStages',
+                                  as: 'sibling',
+                                  cond: { $eq: [categoryOf('$$sibling'), categoryOf('$$stage')] }
+                                }
+                              },
+                              as: 'sibling',
+                              in: usedOf('$$sibling')
+                            }
+                          }
+                        }, quantity]
+                      },
+                      '$$category.capacity'
+                    ]
+                  }
+                ]
+              }
+            ]
+          }
+        }
+      }
+    }
+  };
+}
+
+// Expresión $expr: todas las entradas emitidas o retenidas del evento (etapas +
+// gratis) + quantity <= capacity. Sin capacidad definida siempre se cumple
+function venueHasRoomExpr(quantity) {
+  return {
+    $or: [
+      { $eq: [{ $ifNull: ['$capacity', null] }, null] },
+      {
+        $lte: [
+          {
+            $add: [
+              {
+                $sum: {
+                  $map: {
+                    input: '$preSaleStages',
+                    as: 'stage',
+                    in: { $add: ['$$stage.ticketsSold', { $ifNull: ['$$stage.ticketsHeld', 0] }] }
+                  }
+                }
+              },
+              { $ifNull: ['$freeTickets.ticketsClaimed', 0] },
+              { $ifNull: ['$guestListClaimed', 0] },
+              quantity
+            ]
+          },
+          '$capacity'
+        ]
+      }
+    ]
+  };
+}
+
+function parseStageIndex(stageIndex) {
+  const index = Number(stageIndex);
+  if (stageIndex === null || stageIndex === '' || !Number.isInteger(index) || index < 0) {
+    throw new InventoryError('Etapa de preventa no válida', { code: 'STAGE_NOT_AVAILABLE' });
   }
-  
-  if (this.freeTickets.quantity > 0) {
-    if (this.freeTickets.ticketsClaimed + quantity > this.freeTickets.quantity) {
-      throw new Error('No hay suficientes entradas gratis disponibles');
+  return index;
+}
+
+// Reservar entradas de una etapa con una actualización condicional atómica.
+// El filtro solo matchea si la etapa tiene cupo (y por defecto si está activa y
+// vigente), así dos compras concurrentes nunca pueden superar el ticketLimit.
+// requireActive: false se usa para pagos ya aprobados cuya etapa venció mientras
+// el cliente pagaba.
+eventSchema.statics.reserveStageTickets = async function(eventId, stageIndex, quantity, { requireActive = true } = {}) {
+  const index = parseStageIndex(stageIndex);
+  const path = `preSaleStages.${index}`;
+  const now = new Date();
+
+  const filter = {
+    _id: eventId,
+    [`${path}.ticketLimit`]: { $exists: true },
+    $expr: { $and: [stageHasRoomExpr(index, quantity), venueHasRoomExpr(quantity)] }
+  };
+
+  if (requireActive) {
+    filter.status = { $ne: 'draft' };
+    filter[`${path}.isActive`] = true;
+    filter[`${path}.closedAt`] = null;
+    filter[`${path}.startDate`] = { $not: { $gt: now } };
+    filter[`${path}.endDate`] = { $gt: now };
+  }
+
+  const updated = await this.findOneAndUpdate(
+    filter,
+    {
+      $inc: { [`${path}.ticketsSold`]: quantity },
+      $set: { updatedAt: now }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw await this.explainStageFailure(eventId, index, { requireActive });
+  }
+
+  // La venta agotó la etapa: cerrarla y abrir la siguiente
+  const stage = updated.preSaleStages[index];
+  if (stage.ticketsSold >= stage.ticketLimit) {
+    await this.advanceStagesAfterSale(updated._id);
+  }
+
+  await this.refreshSoldOutStatus(updated);
+  return updated;
+};
+
+// Averiguar por qué falló una actualización condicional de etapa para devolver un error claro
+eventSchema.statics.explainStageFailure = async function(eventId, index, { requireActive = true } = {}) {
+  const event = await this.findById(eventId);
+  if (!event || (requireActive && event.status === 'draft')) {
+    return new InventoryError('Evento no encontrado', { code: 'EVENT_NOT_FOUND' });
+  }
+
+  const now = new Date();
+  const stage = event.preSaleStages[index];
+  if (!stage || (requireActive && (
+    !stage.isActive ||
+    stage.closedAt ||
+    (stage.startDate && stage.startDate > now) ||
+    stage.endDate <= now
+  ))) {
+    return new InventoryError('La etapa de preventa seleccionada no está disponible', { code: 'STAGE_NOT_AVAILABLE' });
+  }
+
+  // La etapa tiene lugar pero el lugar llegó a su capacidad
+  const venueAvailable = event.occupancy.available;
+  if (venueAvailable !== null && venueAvailable < stage.ticketsAvailable) {
+    return new InventoryError('El evento alcanzó la capacidad del lugar', {
+      code: 'VENUE_SOLD_OUT',
+      available: venueAvailable
+    });
+  }
+
+  // La etapa tiene lugar pero la categoría llegó a su capacidad
+  const category = event.categoryAvailability.find(item => item.key === (stage.category || DEFAULT_CATEGORY));
+  if (category && category.capacity && category.ticketsAvailable < stage.ticketsAvailable) {
+    return new InventoryError(`No hay suficientes entradas ${category.name} disponibles`, {
+      code: 'CATEGORY_SOLD_OUT',
+      available: category.ticketsAvailable
+    });
+  }
+
+  return new InventoryError(`No hay suficientes entradas disponibles en la etapa ${stage.name}`, {
+    code: 'STAGE_SOLD_OUT',
+    available: stage.ticketsAvailable
+  });
+};
+
+// Retener entradas de una etapa mientras el cliente paga (mismo criterio de cupo que la venta)
+eventSchema.statics.holdStageTickets = async function(eventId, stageIndex, quantity) {
+  const index = parseStageIndex(stageIndex);
+  const path = `preSaleStages.${index}`;
+  const now = new Date();
+
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: 'active',
+      [`${path}.isActive`]: true,
+      [`${path}.closedAt`]: null,
+      [`${path}.startDate`]: { $not: { $gt: now } },
+      [`${path}.endDate`]: { $gt: now },
+      $expr: { $and: [stageHasRoomExpr(index, quantity), venueHasRoomExpr(quantity)] }
+    },
+    {
+      $inc: { [`${path}.ticketsHeld`]: quantity },
+      $set: { updatedAt: now }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw await this.explainStageFailure(eventId, index);
+  }
+
+  await this.refreshSoldOutStatus(updated);
+  return updated;
+};
+
+// Liberar entradas retenidas (hold vencido, pago rechazado o cancelado)
+eventSchema.statics.releaseHeldTickets = async function(eventId, stageIndex, quantity) {
+  const path = `preSaleStages.${Number(stageIndex)}`;
+
+  const result = await this.updateOne(
+    { _id: eventId, [`${path}.ticketsHeld`]: { $gte: quantity } },
+    { $inc: { [`${path}.ticketsHeld`]: -quantity }, $set: { updatedAt: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await this.reopenIfAvailable(eventId);
+  }
+
+  return result.modifiedCount > 0;
+};
+
+// Convertir entradas retenidas en vendidas (pago aprobado)
+eventSchema.statics.convertHeldTickets = async function(eventId, stageIndex, quantity) {
+  const path = `preSaleStages.${Number(stageIndex)}`;
+
+  const result = await this.updateOne(
+    { _id: eventId, [`${path}.ticketsHeld`]: { $gte: quantity } },
+    {
+      $inc: {
+        [`${path}.ticketsHeld`]: -quantity,
+        [`${path}.ticketsSold`]: quantity
+      },
+      $set: { updatedAt: new Date() }
     }
-    this.freeTickets.ticketsClaimed += quantity;
+  );
+
+  if (result.modifiedCount > 0) {
+    await this.advanceStagesAfterSale(eventId);
+  }
+
+  return result.modifiedCount > 0;
+};
+
+// Ocupar lugares con invitados de lista (el cupo de cada RRPP se controla aparte)
+eventSchema.statics.claimGuestListTickets = async function(eventId, quantity) {
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $in: ['active', 'sold-out'] },
+      $expr: venueHasRoomExpr(quantity)
+    },
+    {
+      $inc: { guestListClaimed: quantity },
+      $set: { updatedAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const event = await this.findById(eventId);
+    if (!event || !['active', 'sold-out'].includes(event.status)) {
+      throw new InventoryError('Evento no encontrado', { code: 'EVENT_NOT_FOUND' });
+    }
+    throw new InventoryError('El evento alcanzó la capacidad del lugar', {
+      code: 'VENUE_SOLD_OUT',
+      available: event.occupancy.available
+    });
+  }
+
+  return updated;
+};
+
+eventSchema.statics.releaseGuestListTickets = function(eventId, quantity) {
+  return this.updateOne(
+    { _id: eventId, guestListClaimed: { $gte: quantity } },
+    { $inc: { guestListClaimed: -quantity }, $set: { updatedAt: new Date() } }
+  );
+};
+
+// Devolver entradas a una etapa (compensación si falla la reserva, cancelaciones, etc.)
+eventSchema.statics.releaseStageTickets = async function(eventId, stageIndex, quantity) {
+  const path = `preSaleStages.${Number(stageIndex)}`;
+
+  const result = await this.updateOne(
+    { _id: eventId, [`${path}.ticketsSold`]: { $gte: quantity } },
+    { $inc: { [`${path}.ticketsSold`]: -quantity }, $set: { updatedAt: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await this.reopenIfAvailable(eventId);
+  }
+
+  return result.modifiedCount > 0;
+};
+
+// Reclamar entradas gratis de forma atómica (quantity 0 = ilimitadas)
+eventSchema.statics.claimFreeTickets = async function(eventId, quantity) {
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: { $ne: 'draft' },
+      'freeTickets.enabled': true,
+      $or: [
+        { 'freeTickets.quantity': 0 },
+        { $expr: { $lte: [{ $add: ['$freeTickets.ticketsClaimed', quantity] }, '$freeTickets.quantity'] } }
+      ],
+      $expr: venueHasRoomExpr(quantity)
+    },
+    {
+      $inc: { 'freeTickets.ticketsClaimed': quantity },
+      $set: { updatedAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const event = await this.findById(eventId);
+    if (!event || event.status === 'draft') {
+      throw new InventoryError('Evento no encontrado', { code: 'EVENT_NOT_FOUND' });
+    }
+
+    if (!event.freeTickets?.enabled) {
+      throw new InventoryError('Este evento no tiene entradas gratis disponibles', { code: 'FREE_TICKETS_DISABLED' });
+    }
+
+    const venueAvailable = event.occupancy.available;
+    if (venueAvailable !== null && venueAvailable < quantity) {
+      throw new InventoryError('El evento alcanzó la capacidad del lugar', {
+        code: 'VENUE_SOLD_OUT',
+        available: venueAvailable
+      });
+    }
+
+    throw new InventoryError('No hay suficientes entradas gratis disponibles', {
+      code: 'FREE_TICKETS_SOLD_OUT',
+      available: event.freeTickets.quantity - event.freeTickets.ticketsClaimed
+    });
+  }
+
+  return updated;
+};
+
+// Devolver entradas gratis reclamadas
+eventSchema.statics.releaseFreeTickets = async function(eventId, quantity) {
+  const result = await this.updateOne(
+    { _id: eventId, 'freeTickets.ticketsClaimed': { $gte: quantity } },
+    { $inc: { 'freeTickets.ticketsClaimed': -quantity }, $set: { updatedAt: new Date() } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Volver a activar un evento agotado cuando se libera inventario
+eventSchema.statics.reopenIfAvailable = function(eventId) {
+  return this.updateOne(
+    { _id: eventId, status: 'sold-out', date: { $gt: new Date() } },
+    { $set: { status: 'active' } }
+  );
+};
+
+// Las actualizaciones atómicas no pasan por el pre('save'), así que el paso a
+// sold-out se aplica acá con el mismo criterio
+eventSchema.statics.refreshSoldOutStatus = async function(event) {
+  if (event.status === 'active' && event.preSaleStages.length > 0 && event.totalTicketsAvailable <= 0) {
+    await this.updateOne({ _id: event._id, status: 'active' }, { $set: { status: 'sold-out' } });
+    event.status = 'sold-out';
+  }
+};
+
+// Aplicar advanceStages sobre el evento guardado. Solo escribe si hubo transiciones
+eventSchema.statics.advancePreSaleStages = async function(eventId) {
+  const event = await this.findById(eventId);
+  if (!event) return [];
+
+  const transitions = event.advanceStages();
+  if (transitions.length > 0) {
+    await event.save();
+  }
+  return transitions;
+};
+
+// Avance de etapas después de una venta. La venta ya quedó hecha: si el avance
+// falla (por ejemplo, una validación del evento) no se deshace; se registra y
+// lo completa el cron (updateEventStatuses)
+eventSchema.statics.advanceStagesAfterSale = async function(eventId) {
+  try {
+    return await this.advancePreSaleStages(eventId);
+  } catch (error) {
+    console.error(`Error avanzando las etapas del evento ${eventId}:`, error.message);
+    return [];
   }
-  
-  return this.save();
 };
 
 // Método para agregar una nueva etapa de preventa
@@ -314,22 +1188,46 @@ eventSchema.statics.updateEventStatuses = async function() {
     }
   );
   
-  // Desactivar etapas de preventa expiradas
+  // Publicar los borradores con publicación programada vencida
+  const published = await this.updateMany(
+    {
+      status: 'draft',
+      publishAt: { $ne: null, $lte: now },
+      date: { $gt: now }
+    },
+    {
+      status: 'active',
+      publishedAt: now,
+      updatedAt: now
+    }
+  );
+  if (published.modifiedCount > 0) {
+    console.log(`${published.modifiedCount} eventos publicados`);
+  }
+  
+  // Cerrar etapas vencidas o agotadas y abrir las siguientes (incluye las que
+  // llegaron a su startDate)
   const events = await this.find({
-    'preSaleStages.endDate': { $lt: now },
-    'preSaleStages.isActive': true
+    status: { $in: ['active', 'sold-out'] },
+    'preSaleStages.closedAt': null
   });
   
   for (const event of events) {
-    event.preSaleStages.forEach(stage => {
-      if (stage.endDate < now) {
-        stage.isActive = false;
+    try {
+      const transitions = event.advanceStages(now);
+      if (transitions.length > 0) {
+        await event.save();
+        console.log(`Etapas actualizadas en ${event.title}: ${transitions.map(t => `${t.stageName} ${t.action}`).join(', ')}`);
       }
-    });
-    await event.save();
+    } catch (error) {
+      console.error(`Error actualizando etapas del evento ${event._id}:`, error.message);
+    }
   }
   
   console.log('Estados de eventos y preventas actualizados automáticamente');
 };
 
-module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
+const Event = mongoose.model('Event', eventSchema);
+Event.MAX_TICKETS_PER_ORDER = MAX_TICKETS_PER_ORDER;
+
+module.exports = Event;
\ No newline at end of file
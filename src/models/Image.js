@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Imagen subida al almacenamiento (ver services/images). El binario no vive en
+// Mongo: cada tamaño generado guarda su clave en el backend y su URL pública.
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['thumbnail', 'card', 'hero'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  size: {
+    type: Number
+  }
+}, { _id: false });
+
+const imageSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  originalName: {
+    type: String
+  },
+  mimeType: {
+    type: String
+  },
+  // Datos del archivo original (no se guarda, solo sus tamaños)
+  originalSize: {
+    type: Number
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  variants: [variantSchema],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  uploadedByEmail: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// URL de un tamaño (card por defecto, que es la que usan los listados)
+imageSchema.methods.getUrl = function(name = 'card') {
+  const variant = this.variants.find(item => item.name === name) || this.variants[0];
+  return variant ? variant.url : null;
+};
+
+// URLs por tamaño, tal como se guardan en el evento
+imageSchema.methods.getUrls = function() {
+  return this.variants.reduce((acc, variant) => {
+    acc[variant.name] = variant.url;
+    return acc;
+  }, {});
+};
+
+imageSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    storage: this.storage,
+    originalName: this.originalName,
+    width: this.width,
+    height: this.height,
+    urls: this.getUrls(),
+    variants: this.variants,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Image', imageSchema);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 5;
+
+// Cola de notificaciones salientes a clientes (outbox): se persisten antes de
+// enviarse y un job las despacha con reintentos, así una falla del servidor de
+// correo nunca corta el flujo que la generó (webhook, reserva, cancelación)
+const notificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email'],
+    default: 'email'
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  // Evita encolar dos veces el mismo aviso (ej: reintentos de un job)
+  dedupeKey: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  subject: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+// Encolar una notificación; si ya existe una con la misma dedupeKey no se duplica.
+// Devuelve { notification, created }
+notificationSchema.statics.enqueue = async function(notification) {
+  try {
+    return { notification: await this.create(notification), created: true };
+  } catch (error) {
+    if (error.code === 11000 && notification.dedupeKey) {
+      return { notification: await this.findOne({ dedupeKey: notification.dedupeKey }), created: false };
+    }
+    throw error;
+  }
+};
+
+// Tomar la próxima notificación pendiente (o colgada en "sending") para enviarla
+notificationSchema.statics.claimNext = function() {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - 10 * 60 * 1000) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+notificationSchema.methods.markSent = function(subject) {
+  this.status = 'sent';
+  this.subject = subject;
+  this.sentAt = new Date();
+  this.lastError = undefined;
+  return this.save();
+};
+
+// Reintento con backoff exponencial (2, 4, 8, 16 minutos) hasta MAX_ATTEMPTS
+notificationSchema.methods.markFailed = function(error) {
+  this.lastError = error.message;
+  if (this.attempts >= MAX_ATTEMPTS) {
+    this.status = 'failed';
+  } else {
+    this.status = 'queued';
+    this.nextAttemptAt = new Date(Date.now() + Math.pow(2, this.attempts) * 60 * 1000);
+  }
+  return this.save();
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = Notification;
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Cotización calculada por el backend al crear la preferencia de MercadoPago.
+// Es la referencia contra la que se valida el monto cobrado al aprobarse el pago.
+const discountSchema = new mongoose.Schema({
+  code: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const orderQuoteSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // null = precio base del evento (sin etapa de preventa)
+  preSaleStageIndex: {
+    type: Number,
+    default: null
+  },
+  stageName: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  categoryName: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  discounts: [discountSchema],
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  serviceFee: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'ARS'
+  },
+  status: {
+    type: String,
+    enum: ['quoted', 'paid', 'amount_mismatch'],
+    default: 'quoted'
+  },
+  paymentId: {
+    type: String
+  },
+  paidAmount: {
+    type: Number
+  },
+  paidAt: {
+    type: Date
+  },
+  // Revisión manual de un monto que no coincidía
+  reviewedAt: {
+    type: Date
+  },
+  reviewedByEmail: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+orderQuoteSchema.index({ status: 1, createdAt: -1 });
+orderQuoteSchema.index({ eventId: 1 });
+
+// Registrar el resultado del pago contra la cotización
+orderQuoteSchema.methods.recordPayment = function(payment, matches) {
+  this.status = matches ? 'paid' : 'amount_mismatch';
+  this.paymentId = String(payment.id);
+  this.paidAmount = payment.transaction_amount;
+  this.paidAt = new Date();
+  return this.save();
+};
+
+orderQuoteSchema.methods.toBreakdown = function() {
+  return {
+    preSaleStageIndex: this.preSaleStageIndex,
+    stageName: this.stageName,
+    category: this.category,
+    categoryName: this.categoryName,
+    quantity: this.quantity,
+    unitPrice: this.unitPrice,
+    subtotal: this.subtotal,
+    discounts: this.discounts,
+    discountTotal: this.discountTotal,
+    serviceFee: this.serviceFee,
+    total: this.total,
+    currency: this.currency
+  };
+};
+
+module.exports = mongoose.model('OrderQuote', orderQuoteSchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { PromoCodeError } = require('../utils/errors');
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'El código es requerido'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'El código debe tener entre 3 y 32 letras, números, guiones o guiones bajos']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  discountType: {
+    type: String,
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'El tipo de descuento debe ser percentage o fixed'
+    },
+    required: [true, 'El tipo de descuento es requerido']
+  },
+  // Porcentaje (1-100) o monto fijo en ARS por orden
+  value: {
+    type: Number,
+    required: [true, 'El valor del descuento es requerido'],
+    min: [0, 'El descuento no puede ser negativo'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'El porcentaje de descuento no puede superar 100'
+    }
+  },
+  // null = código global, válido para cualquier evento
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  // Vacío = todas las etapas de preventa
+  preSaleStageIndexes: {
+    type: [Number],
+    default: []
+  },
+  // Límites de uso (por orden). null = sin límite
+  maxUses: {
+    type: Number,
+    default: null,
+    min: [1, 'El límite de usos debe ser al menos 1']
+  },
+  maxUsesPerEmail: {
+    type: Number,
+    default: null,
+    min: [1, 'El límite de usos por email debe ser al menos 1']
+  },
+  // Usos reservados en checkouts en curso + usos confirmados
+  usesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  createdByEmail: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ eventId: 1, isActive: 1 });
+
+promoCodeSchema.statics.normalizeCode = function(code) {
+  return String(code || '').trim().toUpperCase();
+};
+
+// Verificar que el código aplique a la compra (sin contar usos). Lanza PromoCodeError.
+promoCodeSchema.methods.assertApplicable = function({ eventId, stageIndex = null, now = new Date() }) {
+  if (!this.isActive) {
+    throw new PromoCodeError('El código promocional no está activo', { code: 'PROMO_INACTIVE' });
+  }
+  if (this.validFrom && this.validFrom > now) {
+    throw new PromoCodeError('El código promocional todavía no está vigente', { code: 'PROMO_NOT_STARTED' });
+  }
+  if (this.validUntil && this.validUntil <= now) {
+    throw new PromoCodeError('El código promocional venció', { code: 'PROMO_EXPIRED' });
+  }
+  if (this.eventId && !this.eventId.equals(eventId)) {
+    throw new PromoCodeError('El código promocional no es válido para este evento', { code: 'PROMO_NOT_APPLICABLE' });
+  }
+  if (this.preSaleStageIndexes.length > 0 && (stageIndex === null || !this.preSaleStageIndexes.includes(stageIndex))) {
+    throw new PromoCodeError('El código promocional no es válido para esta etapa', { code: 'PROMO_NOT_APPLICABLE' });
+  }
+  if (this.maxUses !== null && this.usesCount >= this.maxUses) {
+    throw new PromoCodeError('El código promocional ya alcanzó su límite de usos', { code: 'PROMO_EXHAUSTED' });
+  }
+};
+
+// Monto a descontar sobre el subtotal de la orden
+promoCodeSchema.methods.calculateDiscount = function(subtotal) {
+  const amount = this.discountType === 'percentage'
+    ? subtotal * this.value / 100
+    : this.value;
+  return Math.min(Math.round(amount * 100) / 100, subtotal);
+};
+
+promoCodeSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    code: this.code,
+    description: this.description,
+    discountType: this.discountType,
+    value: this.value,
+    eventId: this.eventId,
+    preSaleStageIndexes: this.preSaleStageIndexes,
+    maxUses: this.maxUses,
+    maxUsesPerEmail: this.maxUsesPerEmail,
+    usesCount: this.usesCount,
+    validFrom: this.validFrom,
+    validUntil: this.validUntil,
+    isActive: this.isActive,
+    createdByEmail: this.createdByEmail,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
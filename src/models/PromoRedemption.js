@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Uso de un código promocional en una orden. Mientras el checkout está en curso
+// queda "reserved" (cuenta para los límites) y pasa a "confirmed" al aprobarse el pago.
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  orderId: {
+    type: String
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Lugar que ocupa el uso dentro del límite por email (0..maxUsesPerEmail-1).
+  // El índice único hace que dos checkouts simultáneos no tomen el mismo lugar;
+  // al liberarse el uso se borra y el lugar queda libre.
+  emailSlot: {
+    type: Number
+  },
+  tickets: {
+    type: Number,
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'confirmed', 'released'],
+    default: 'reserved'
+  },
+  // Vencimiento de la reserva del uso (mismo plazo que el hold del checkout)
+  expiresAt: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  releasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ orderId: 1 }, { unique: true, sparse: true });
+promoRedemptionSchema.index({ promoCodeId: 1, email: 1, status: 1 });
+promoRedemptionSchema.index(
+  { promoCodeId: 1, email: 1, emailSlot: 1 },
+  { unique: true, partialFilterExpression: { emailSlot: { $exists: true } } }
+);
+promoRedemptionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// RRPP: relacionista que trae gente con su código/link (ventas y entradas gratis
+// quedan atribuidas) y carga nombres en su lista de invitados de cada evento.
+// Los RRPP no son usuarios admin: acceden a su lista con un token propio.
+const promoterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder los 100 caracteres']
+  },
+  code: {
+    type: String,
+    required: [true, 'El código es requerido'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'El código debe tener entre 3 y 32 letras, números, guiones o guiones bajos']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'El email no es válido']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Hash del token de acceso del RRPP (el token en claro se muestra una sola vez)
+  accessTokenHash: {
+    type: String,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+promoterSchema.index({ accessTokenHash: 1 }, { sparse: true });
+
+promoterSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+};
+
+// RRPP activo por código (null si no existe o está deshabilitado)
+promoterSchema.statics.findActiveByCode = function(code) {
+  if (!code) return null;
+  return this.findOne({ code: String(code).trim().toUpperCase(), isActive: true });
+};
+
+promoterSchema.statics.findByAccessToken = function(token) {
+  if (!token) return null;
+  return this.findOne({ accessTokenHash: this.hashToken(token), isActive: true });
+};
+
+// Generar un token de acceso nuevo (invalida el anterior) y devolverlo en claro
+promoterSchema.methods.issueAccessToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.accessTokenHash = this.constructor.hashToken(token);
+  return token;
+};
+
+promoterSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    code: this.code,
+    email: this.email,
+    phone: this.phone,
+    isActive: this.isActive,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Promoter', promoterSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Horas antes del evento en que se cierra la carga de invitados (si el cupo no define otra fecha)
+const GUEST_LIST_CUTOFF_HOURS = parseFloat(process.env.GUEST_LIST_CUTOFF_HOURS) || 3;
+
+// Cupo de un RRPP para un evento: cuántos invitados puede cargar y hasta cuándo
+const promoterQuotaSchema = new mongoose.Schema({
+  promoterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promoter',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  guestQuota: {
+    type: Number,
+    required: [true, 'El cupo de invitados es requerido'],
+    min: [0, 'El cupo de invitados no puede ser negativo']
+  },
+  // Entradas de invitados cargadas (vigentes)
+  guestsAdded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // null = GUEST_LIST_CUTOFF_HOURS antes del evento
+  cutoffAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promoterQuotaSchema.index({ promoterId: 1, eventId: 1 }, { unique: true });
+promoterQuotaSchema.index({ eventId: 1 });
+
+// Descontar cupo de invitados de forma atómica; null si no alcanza
+promoterQuotaSchema.statics.claimGuests = function(promoterId, eventId, quantity) {
+  return this.findOneAndUpdate(
+    {
+      promoterId,
+      eventId,
+      isActive: true,
+      $expr: { $lte: [{ $add: ['$guestsAdded', quantity] }, '$guestQuota'] }
+    },
+    { $inc: { guestsAdded: quantity } },
+    { new: true }
+  );
+};
+
+promoterQuotaSchema.statics.releaseGuests = function(promoterId, eventId, quantity) {
+  return this.updateOne(
+    { promoterId, eventId, guestsAdded: { $gte: quantity } },
+    { $inc: { guestsAdded: -quantity } }
+  );
+};
+
+// Fecha de cierre de la lista para el evento
+promoterQuotaSchema.methods.getCutoff = function(event) {
+  if (this.cutoffAt) return this.cutoffAt;
+  return new Date(event.date.getTime() - GUEST_LIST_CUTOFF_HOURS * 60 * 60 * 1000);
+};
+
+promoterQuotaSchema.methods.toPublicJSON = function(event) {
+  return {
+    id: this._id,
+    promoterId: this.promoterId,
+    eventId: this.eventId,
+    guestQuota: this.guestQuota,
+    guestsAdded: this.guestsAdded,
+    guestsRemaining: Math.max(0, this.guestQuota - this.guestsAdded),
+    cutoffAt: event ? this.getCutoff(event) : this.cutoffAt,
+    isActive: this.isActive
+  };
+};
+
+const PromoterQuota = mongoose.model('PromoterQuota', promoterQuotaSchema);
+PromoterQuota.GUEST_LIST_CUTOFF_HOURS = GUEST_LIST_CUTOFF_HOURS;
+
+module.exports = PromoterQuota;
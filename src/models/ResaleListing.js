@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+
+const CHECKOUT_MINUTES = parseInt(process.env.RESALE_CHECKOUT_MINUTES) || 15;
+
+// Publicación de una entrada en la reventa oficial. El titular la publica a
+// valor nominal (o con un recargo máximo), un comprador la paga con MercadoPago
+// y al aprobarse el pago la entrada se reemite a su nombre y al vendedor se le
+// reembolsa su compra original descontando el cargo por reventa.
+const resaleListingSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+  // _id de la entrada dentro de reservation.tickets
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Hash del token de la entrada al publicar: si cambió la venta no se completa
+  ticketTokenHash: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    default: null
+  },
+  preSaleStageIndex: {
+    type: Number,
+    default: null
+  },
+  stageName: {
+    type: String
+  },
+  seller: {
+    nombre: String,
+    apellido: String,
+    email: String
+  },
+  sellerCustomerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  // Precio de la entrada en la venta original y precio pedido en la reventa
+  faceValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: [true, 'El precio es requerido'],
+    min: [1, 'El precio debe ser mayor a cero']
+  },
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sellerProceeds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // reserved: un comprador está pagando (hasta reservedUntil)
+  // withdrawn: retirada por el sistema (evento cancelado o finalizado)
+  status: {
+    type: String,
+    enum: ['active', 'reserved', 'sold', 'cancelled', 'withdrawn'],
+    default: 'active'
+  },
+  orderId: {
+    type: String
+  },
+  reservedUntil: {
+    type: Date
+  },
+  buyer: {
+    nombre: String,
+    apellido: String,
+    email: String,
+    telefono: String
+  },
+  buyerCustomerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  // Venta
+  paymentId: {
+    type: String
+  },
+  soldAt: {
+    type: Date
+  },
+  sellerTicketVoidedAt: {
+    type: Date
+  },
+  buyerReservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  },
+  // Pago al vendedor: reembolso parcial de su compra original. Lo que supere
+  // lo que pagó por la entrada (recargo) queda como pago manual.
+  payoutStatus: {
+    type: String,
+    enum: [null, 'pending', 'completed', 'manual', 'failed'],
+    default: null
+  },
+  payoutRefundAmount: {
+    type: Number,
+    default: 0
+  },
+  payoutManualAmount: {
+    type: Number,
+    default: 0
+  },
+  payoutMpRefundId: {
+    type: String
+  },
+  payoutError: {
+    type: String
+  },
+  payoutAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String,
+    enum: [null, 'seller', 'event_cancelled', 'event_completed', 'ticket_changed'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+resaleListingSchema.index({ eventId: 1, status: 1, price: 1 });
+resaleListingSchema.index({ reservationId: 1, ticketId: 1, status: 1 });
+resaleListingSchema.index({ orderId: 1 }, { sparse: true });
+
+// Publicaciones que se pueden comprar ahora (incluye checkouts vencidos)
+resaleListingSchema.statics.availableFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { status: 'active' },
+      { status: 'reserved', reservedUntil: { $lte: now } }
+    ]
+  };
+};
+
+// Publicación abierta (activa o en checkout) de una entrada
+resaleListingSchema.statics.findOpenForTicket = function(reservationId, ticketId) {
+  return this.findOne({ reservationId, ticketId, status: { $in: ['active', 'reserved'] } });
+};
+
+// Apartar la publicación para un comprador mientras paga
+resaleListingSchema.statics.reserveForCheckout = function(listingId, { orderId, buyer, customerId, minutes = CHECKOUT_MINUTES }) {
+  return this.findOneAndUpdate(
+    { _id: listingId, ...this.availableFilter() },
+    {
+      $set: {
+        status: 'reserved',
+        orderId,
+        reservedUntil: new Date(Date.now() + minutes * 60 * 1000),
+        buyer,
+        buyerCustomerId: customerId || null
+      }
+    },
+    { new: true }
+  );
+};
+
+// Devolver la publicación a la venta (pago rechazado, cancelado o error)
+resaleListingSchema.statics.releaseCheckout = function(orderId) {
+  return this.findOneAndUpdate(
+    { orderId, status: 'reserved' },
+    {
+      $set: { status: 'active' },
+      $unset: { orderId: 1, reservedUntil: 1, buyer: 1, buyerCustomerId: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Retirar las publicaciones abiertas de un evento
+resaleListingSchema.statics.withdrawForEvent = function(eventId, reason) {
+  return this.updateMany(
+    { eventId, status: { $in: ['active', 'reserved'] } },
+    { $set: { status: 'withdrawn', cancelledAt: new Date(), cancelReason: reason } }
+  );
+};
+
+// Retirar las publicaciones de eventos cancelados, finalizados o ya empezados
+resaleListingSchema.statics.withdrawForFinishedEvents = async function() {
+  const Event = mongoose.model('Event');
+  const eventIds = await this.distinct('eventId', { status: { $in: ['active', 'reserved'] } });
+  if (eventIds.length === 0) return 0;
+
+  const finished = await Event.find({
+    _id: { $in: eventIds },
+    $or: [{ status: { $in: ['cancelled', 'completed'] } }, { date: { $lte: new Date() } }]
+  }).select('status');
+
+  let withdrawn = 0;
+  for (const event of finished) {
+    const reason = event.status === 'cancelled' ? 'event_cancelled' : 'event_completed';
+    const result = await this.withdrawForEvent(event._id, reason);
+    withdrawn += result.modifiedCount;
+  }
+  return withdrawn;
+};
+
+// Datos visibles para cualquier comprador (sin datos del vendedor)
+resaleListingSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    eventId: this.eventId,
+    category: this.category,
+    stageName: this.stageName,
+    faceValue: this.faceValue,
+    price: this.price,
+    createdAt: this.createdAt
+  };
+};
+
+// Datos para el vendedor y los reportes
+resaleListingSchema.methods.toSellerJSON = function() {
+  return {
+    ...this.toPublicJSON(),
+    status: this.status === 'reserved' && this.reservedUntil <= new Date() ? 'active' : this.status,
+    fee: this.fee,
+    sellerProceeds: this.sellerProceeds,
+    soldAt: this.soldAt,
+    payoutStatus: this.payoutStatus,
+    payoutRefundAmount: this.payoutRefundAmount,
+    payoutManualAmount: this.payoutManualAmount,
+    cancelledAt: this.cancelledAt,
+    cancelReason: this.cancelReason
+  };
+};
+
+const ResaleListing = mongoose.model('ResaleListing', resaleListingSchema);
+ResaleListing.CHECKOUT_MINUTES = CHECKOUT_MINUTES;
+
+module.exports = ResaleListing;
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Token aleatorio no adivinable para el QR de cada entrada
+function generateTicketToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
 
 const ticketSchema = new mongoose.Schema({
   nombre: {
@@ -19,6 +25,104 @@ const ticketSchema = new mongoose.Schema({
     type: String,
     trim: true,
     lowercase: true
+  },
+  // Categoría de la entrada (general, vip, mesa...) según la etapa comprada
+  category: {
+    type: String,
+    default: null
+  },
+  // Control de acceso en puerta. Las reservas anteriores a los tokens por entrada
+  // se completan con scripts/migrateTicketTokens.js
+  token: {
+    type: String,
+    default: generateTicketToken
+  },
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  checkedInByEmail: {
+    type: String
+  },
+  checkedInDeviceId: {
+    type: String
+  },
+  // Escaneos sincronizados desde otros dispositivos cuando la entrada ya estaba usada
+  duplicateScans: [{
+    _id: false,
+    deviceId: String,
+    scannedAt: Date,
+    syncedAt: Date
+  }],
+  // Entrada devuelta por reembolso o contracargo: ya no permite el ingreso
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  // Última transferencia aceptada (el historial está en TicketTransfer)
+  transferredAt: {
+    type: Date,
+    default: null
+  },
+  transferCount: {
+    type: Number,
+    default: 0
+  },
+  // Entrada vendida en la reventa: se reemitió en la reserva del comprador
+  resoldAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Historial de reembolsos y contracargos
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  ticketsReturned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La razón no puede exceder los 500 caracteres']
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'webhook', 'chargeback', 'resale'],
+    default: 'admin'
+  },
+  operator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  operatorEmail: {
+    type: String
+  },
+  mpRefundId: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// El token del QR nunca sale en las respuestas JSON: quien lo tenga puede entrar
+// con esa entrada. Solo llega al titular por email y por su billetera (qrUrl).
+ticketSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.token;
+    return ret;
   }
 });
 
@@ -34,6 +138,42 @@ const reservationSchema = new mongoose.Schema({
     trim: true
   },
   tickets: [ticketSchema],
+  // Cuenta de cliente dueña de la reserva (null = compra sin cuenta)
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  // Cuándo se vinculó a la cuenta una reserva hecha antes sin sesión
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  // primary: venta de la productora; resale: entrada comprada en la reventa
+  saleType: {
+    type: String,
+    enum: ['primary', 'resale'],
+    default: 'primary'
+  },
+  resaleListingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ResaleListing',
+    default: null
+  },
+  // RRPP al que se atribuye la reserva (por su código/link o por su lista de invitados)
+  promoterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promoter',
+    default: null
+  },
+  promoterCode: {
+    type: String,
+    default: null
+  },
+  isGuestList: {
+    type: Boolean,
+    default: false
+  },
   totalTickets: {
     type: Number,
     required: true,
@@ -47,9 +187,10 @@ const reservationSchema = new mongoose.Schema({
   reservationCode: {
     type: String
   },
+  // under_review: pago cobrado que no coincide con la cotización, sin entradas válidas hasta revisarlo
   status: {
     type: String,
-    enum: ['confirmed', 'cancelled'],
+    enum: ['confirmed', 'cancelled', 'under_review'],
     default: 'confirmed'
   },
   // Campos para el nuevo sistema
@@ -61,6 +202,21 @@ const reservationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Categoría de entrada de la reserva (key de Event.ticketCategories)
+  ticketCategory: {
+    type: String,
+    default: null
+  },
+  // Código promocional aplicado y monto descontado
+  promoCode: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
   // Campos de pago
   orderId: {
     type: String,
@@ -68,7 +224,7 @@ const reservationSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'cancelled', 'refunded'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'refunded', 'charged_back'],
     default: 'pending'
   },
   paymentStatusDetail: {
@@ -92,6 +248,27 @@ const reservationSchema = new mongoose.Schema({
   },
   paidAt: {
     type: Date
+  },
+  // Pasos del pago aprobado que faltan aplicar (inventario y código promocional).
+  // Se marcan junto con la aprobación y se limpian al completarse, así una
+  // notificación repetida retoma lo que un corte dejó a medias.
+  inventoryPending: {
+    type: Boolean,
+    default: false
+  },
+  promoPending: {
+    type: Boolean,
+    default: false
+  },
+  // Reembolsos
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  ticketsReturned: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -101,8 +278,13 @@ const reservationSchema = new mongoose.Schema({
 reservationSchema.index({ reservationCode: 1 }, { unique: true });
 reservationSchema.index({ eventId: 1, reservationDate: -1 });
 reservationSchema.index({ 'tickets.email': 1 });
+reservationSchema.index({ customerId: 1, reservationDate: -1 });
+reservationSchema.index({ eventId: 1, promoterId: 1 });
 reservationSchema.index({ preSaleStageIndex: 1 });
 reservationSchema.index({ isFreeTicket: 1 });
+reservationSchema.index({ promoCode: 1 });
+reservationSchema.index({ eventId: 1, ticketCategory: 1 });
+reservationSchema.index({ 'tickets.token': 1 }, { unique: true, sparse: true });
 
 // Middleware pre-save
 reservationSchema.pre('save', async function(next) {
@@ -112,6 +294,12 @@ reservationSchema.pre('save', async function(next) {
     this.reservationCode = `BARDO${timestamp}${random}`.toUpperCase();
   }
   
+  // Reservas anteriores a los QR por entrada no tienen token
+  this.tickets.forEach(ticket => {
+    if (!ticket.token) ticket.token = generateTicketToken();
+    if (!ticket.category && this.ticketCategory) ticket.category = this.ticketCategory;
+  });
+  
   if (this.isModified('paymentStatus') && this.paymentStatus === 'approved' && !this.paidAt) {
     this.paidAt = new Date();
     this.isPaid = true;
@@ -120,4 +308,37 @@ reservationSchema.pre('save', async function(next) {
   next();
 });
 
+// Condición para que las entradas de una reserva permitan el ingreso
+// (a nivel entrada además hay que excluir las que tienen refundedAt)
+reservationSchema.statics.admissibleFilter = function() {
+  return {
+    status: { $nin: ['cancelled', 'under_review'] },
+    $or: [{ isFreeTicket: true }, { paymentStatus: 'approved' }]
+  };
+};
+
+// Motivo por el que la reserva (o una entrada puntual) no permite el ingreso (null si es válida)
+reservationSchema.methods.getAdmissionError = function(ticket) {
+  if (this.status === 'cancelled') {
+    return { code: 'TICKET_CANCELLED', message: 'La reserva está cancelada' };
+  }
+  if (this.status === 'under_review') {
+    return { code: 'TICKET_UNDER_REVIEW', message: 'La reserva tiene el pago en revisión' };
+  }
+  if (['refunded', 'charged_back'].includes(this.paymentStatus) || (ticket && ticket.refundedAt)) {
+    return { code: 'TICKET_REFUNDED', message: 'La entrada fue reembolsada' };
+  }
+  if (!this.isFreeTicket && this.paymentStatus !== 'approved') {
+    return { code: 'TICKET_UNPAID', message: 'La reserva no tiene el pago aprobado' };
+  }
+  return null;
+};
+
+// Hash del token usado en el manifiesto offline (los dispositivos no reciben el token en claro)
+reservationSchema.statics.hashTicketToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('base64url');
+};
+
+reservationSchema.statics.generateTicketToken = generateTicketToken;
+
 module.exports = mongoose.model('Reservation', reservationSchema);
\ No newline at end of file
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Event = require('./Event');
+const { InventoryError } = require('../utils/errors');
+
+const HOLD_MINUTES = parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 15;
+
+// Retención temporal de entradas de una etapa mientras el cliente paga en MercadoPago
+const ticketHoldSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  preSaleStageIndex: {
+    type: Number,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  orderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['held', 'converted', 'released'],
+    default: 'held'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  convertedAt: {
+    type: Date
+  },
+  releasedAt: {
+    type: Date
+  },
+  releaseReason: {
+    type: String,
+    enum: ['expired', 'rejected', 'cancelled', 'preference_error']
+  }
+}, {
+  timestamps: true
+});
+
+ticketHoldSchema.index({ status: 1, expiresAt: 1 });
+ticketHoldSchema.index({ eventId: 1, status: 1 });
+
+// Crear un hold para la orden. Si ya existe uno vigente (reintento del cliente) se reutiliza.
+// orderId es único: si el hold de la orden venció o se liberó, el reintento reactiva ese documento.
+ticketHoldSchema.statics.place = async function({ eventId, stageIndex, quantity, orderId, minutes = HOLD_MINUTES }) {
+  const existing = await this.findOne({ orderId });
+  if (existing && existing.status === 'held' && existing.expiresAt > new Date()) {
+    return existing;
+  }
+  if (existing && existing.status === 'converted') {
+    throw new InventoryError('Esta orden ya fue pagada', { code: 'ORDER_ALREADY_PAID' });
+  }
+  if (existing && existing.status === 'held') {
+    // Vencido pero el job todavía no lo liberó
+    await this.release(orderId, 'expired');
+  }
+
+  await Event.holdStageTickets(eventId, stageIndex, quantity);
+
+  const data = {
+    eventId,
+    preSaleStageIndex: stageIndex,
+    quantity,
+    orderId,
+    status: 'held',
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  };
+
+  try {
+    const reactivated = existing && await this.findOneAndUpdate(
+      { orderId, status: 'released' },
+      { $set: data, $unset: { releasedAt: 1, releaseReason: 1 } },
+      { new: true }
+    );
+    return reactivated || await this.create(data);
+  } catch (error) {
+    await Event.releaseHeldTickets(eventId, stageIndex, quantity);
+    // Otro pedido simultáneo de la misma orden ya dejó su hold vigente
+    if (error.code === 11000) {
+      const concurrent = await this.findOne({ orderId, status: 'held' });
+      if (concurrent) {
+        return concurrent;
+      }
+    }
+    throw error;
+  }
+};
+
+// Pasar el hold a venta. Devuelve el hold convertido o null si ya no estaba vigente.
+ticketHoldSchema.statics.convert = async function(orderId) {
+  const hold = await this.findOneAndUpdate(
+    { orderId, status: 'held' },
+    { $set: { status: 'converted', convertedAt: new Date() } },
+    { new: true }
+  );
+
+  if (hold) {
+    await Event.convertHeldTickets(hold.eventId, hold.preSaleStageIndex, hold.quantity);
+  }
+
+  return hold;
+};
+
+// Liberar el hold y devolver las entradas a la etapa. El cambio de estado es
+// condicional para que cada hold se libere una sola vez.
+ticketHoldSchema.statics.release = async function(orderId, reason) {
+  const hold = await this.findOneAndUpdate(
+    { orderId, status: 'held' },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  );
+
+  if (hold) {
+    await Event.releaseHeldTickets(hold.eventId, hold.preSaleStageIndex, hold.quantity);
+  }
+
+  return hold;
+};
+
+// Liberar todos los holds vencidos (usado por el job programado)
+ticketHoldSchema.statics.releaseExpired = async function() {
+  const expired = await this.find({
+    status: 'held',
+    expiresAt: { $lte: new Date() }
+  }).select('orderId');
+
+  let released = 0;
+  for (const { orderId } of expired) {
+    if (await this.release(orderId, 'expired')) {
+      released++;
+    }
+  }
+
+  return released;
+};
+
+const TicketHold = mongoose.model('TicketHold', ticketHoldSchema);
+TicketHold.HOLD_MINUTES = HOLD_MINUTES;
+
+module.exports = TicketHold;
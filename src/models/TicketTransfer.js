@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const TRANSFER_HOURS = parseInt(process.env.TICKET_TRANSFER_HOURS) || 48;
+
+// Transferencia de una entrada a otra persona. El titular la inicia, el
+// destinatario la acepta con el link que recibe por email y en ese momento la
+// entrada cambia de nombre y de token (el QR anterior deja de servir).
+// Los documentos quedan como historial de titulares de cada entrada.
+const ticketTransferSchema = new mongoose.Schema({
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+  // _id de la entrada dentro de reservation.tickets
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  from: {
+    nombre: String,
+    apellido: String,
+    email: String
+  },
+  to: {
+    nombre: {
+      type: String,
+      required: [true, 'El nombre del destinatario es requerido'],
+      trim: true
+    },
+    apellido: {
+      type: String,
+      required: [true, 'El apellido del destinatario es requerido'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'El email del destinatario es requerido'],
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'El email del destinatario no es válido']
+    },
+    telefono: {
+      type: String,
+      trim: true
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  // Hash del link de aceptación (el token en claro va solo en el email)
+  acceptTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash del token de la entrada al iniciar: si cambió (otra transferencia,
+  // reemisión) la transferencia ya no se puede aceptar
+  ticketTokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  initiatedByCustomer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedByCustomer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    enum: [null, 'holder', 'replaced', 'ticket_changed', 'frozen'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ticketTransferSchema.index({ acceptTokenHash: 1 }, { unique: true });
+ticketTransferSchema.index({ reservationId: 1, ticketId: 1, createdAt: -1 });
+ticketTransferSchema.index({ eventId: 1, status: 1 });
+
+ticketTransferSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+};
+
+ticketTransferSchema.statics.generateToken = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Transferencia pendiente y vigente de un link de aceptación (null si no existe)
+ticketTransferSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    acceptTokenHash: this.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Cancelar las pendientes de una entrada (al iniciar otra o al cambiar la entrada)
+ticketTransferSchema.statics.cancelPending = function(reservationId, ticketId, reason) {
+  return this.updateMany(
+    { reservationId, ticketId, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason } }
+  );
+};
+
+ticketTransferSchema.methods.isExpired = function(now = new Date()) {
+  return this.status === 'pending' && this.expiresAt <= now;
+};
+
+ticketTransferSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    reservationId: this.reservationId,
+    ticketId: this.ticketId,
+    eventId: this.eventId,
+    from: this.from,
+    to: this.to,
+    status: this.isExpired() ? 'expired' : this.status,
+    expiresAt: this.expiresAt,
+    acceptedAt: this.acceptedAt,
+    cancelledAt: this.cancelledAt,
+    cancelReason: this.cancelReason,
+    createdAt: this.createdAt
+  };
+};
+
+const TicketTransfer = mongoose.model('TicketTransfer', ticketTransferSchema);
+TicketTransfer.TTL_HOURS = TRANSFER_HOURS;
+
+module.exports = TicketTransfer;
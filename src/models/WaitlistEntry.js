@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Persona en lista de espera para un evento (opcionalmente para una etapa puntual)
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // null = cualquier etapa (se usa la etapa vigente al momento de ofrecer)
+  preSaleStageIndex: {
+    type: Number,
+    default: null
+  },
+  nombre: {
+    type: String,
+    required: [true, 'El nombre es requerido'],
+    trim: true
+  },
+  apellido: {
+    type: String,
+    required: [true, 'El apellido es requerido'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'El email es requerido'],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'El email no es válido']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Debe pedir al menos 1 entrada'],
+    max: [4, 'No se pueden pedir más de 4 entradas']
+  },
+  position: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'removed'],
+    default: 'waiting'
+  },
+  // Oferta: entradas retenidas con un TicketHold y link de reclamo con vencimiento
+  claimTokenHash: {
+    type: String
+  },
+  orderId: {
+    type: String
+  },
+  offeredStageIndex: {
+    type: Number
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  claimedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ eventId: 1, status: 1, position: 1 });
+waitlistEntrySchema.index({ claimTokenHash: 1 }, { sparse: true });
+waitlistEntrySchema.index({ orderId: 1 }, { sparse: true });
+
+waitlistEntrySchema.statics.hashClaimToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+waitlistEntrySchema.statics.nextPosition = async function(eventId) {
+  const last = await this.findOne({ eventId }).sort({ position: -1 }).select('position');
+  return (last?.position || 0) + 1;
+};
+
+// Mover una entrada a otra posición (1 = primera) dentro de los que esperan
+waitlistEntrySchema.statics.reorder = async function(eventId, entryId, newPosition) {
+  const waiting = await this.find({ eventId, status: 'waiting' }).sort({ position: 1 });
+  const currentIndex = waiting.findIndex(entry => entry._id.equals(entryId));
+  if (currentIndex === -1) return null;
+
+  const [entry] = waiting.splice(currentIndex, 1);
+  const targetIndex = Math.min(Math.max(newPosition - 1, 0), waiting.length);
+  waiting.splice(targetIndex, 0, entry);
+
+  // Se conservan los números de posición existentes, reasignados en el nuevo orden
+  const positions = waiting.map(item => item.position).sort((a, b) => a - b);
+  await this.bulkWrite(waiting.map((item, index) => ({
+    updateOne: {
+      filter: { _id: item._id },
+      update: { $set: { position: positions[index] } }
+    }
+  })));
+
+  return this.find({ eventId, status: 'waiting' }).sort({ position: 1 });
+};
+
+waitlistEntrySchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    eventId: this.eventId,
+    preSaleStageIndex: this.preSaleStageIndex,
+    nombre: this.nombre,
+    apellido: this.apellido,
+    email: this.email,
+    quantity: this.quantity,
+    position: this.position,
+    status: this.status,
+    offeredAt: this.offeredAt,
+    offerExpiresAt: this.offerExpiresAt,
+    claimedAt: this.claimedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// Tiempo tras el cual un procesamiento colgado puede volver a tomarse
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Registro de cada notificación recibida de MercadoPago, una por pago + estado
+const webhookEventSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    default: 'mercadopago'
+  },
+  type: {
+    type: String
+  },
+  paymentId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    required: true
+  },
+  orderId: {
+    type: String
+  },
+  state: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  receivedCount: {
+    type: Number,
+    default: 1
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  lastReceivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ paymentId: 1 });
+webhookEventSchema.index({ orderId: 1 });
+
+// Un reembolso parcial hecho desde el panel de MercadoPago deja el pago en
+// approved: la cantidad de reembolsos entra en la clave para que esa
+// notificación no se descarte como repetida.
+webhookEventSchema.statics.buildKey = function(paymentId, status, refundsCount = 0) {
+  return refundsCount > 0 ? `${paymentId}:${status}:refunds-${refundsCount}` : `${paymentId}:${status}`;
+};
+
+// Registrar la notificación y decidir si hay que procesarla.
+// Devuelve { webhookEvent, shouldProcess }; shouldProcess es false si ya se
+// aplicó o si otra instancia la está procesando en este momento.
+webhookEventSchema.statics.claim = async function({ paymentId, status, refundsCount = 0, type, orderId, payload }) {
+  const key = this.buildKey(paymentId, status, refundsCount);
+  const now = new Date();
+
+  try {
+    const webhookEvent = await this.create({
+      key,
+      type,
+      paymentId: String(paymentId),
+      status,
+      orderId,
+      payload
+    });
+    return { webhookEvent, shouldProcess: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Ya existía: contar la repetición
+  await this.updateOne(
+    { key },
+    { $inc: { receivedCount: 1 }, $set: { lastReceivedAt: now } }
+  );
+
+  // Volver a tomarla solo si falló antes o quedó colgada
+  const webhookEvent = await this.findOneAndUpdate(
+    {
+      key,
+      $or: [
+        { state: 'failed' },
+        { state: 'processing', lockedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { state: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (webhookEvent) {
+    return { webhookEvent, shouldProcess: true };
+  }
+
+  return { webhookEvent: await this.findOne({ key }), shouldProcess: false };
+};
+
+webhookEventSchema.methods.markProcessed = function() {
+  this.state = 'processed';
+  this.processedAt = new Date();
+  this.lastError = undefined;
+  return this.save();
+};
+
+webhookEventSchema.methods.markFailed = function(error) {
+  this.state = 'failed';
+  this.lastError = error.message;
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const AdminUser = require('../models/AdminUser');
+const AdminSession = require('../models/AdminSession');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+// POST /api/auth/login - Iniciar sesión de administrador
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        message: 'Faltan campos requeridos: email, password',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const user = await AdminUser.findOne({ email: email.trim().toLowerCase() })
+      .select('+passwordHash');
+
+    const validPassword = user ? await user.verifyPassword(password) : false;
+    if (!user || !validPassword || !user.isActive) {
+      return res.status(401).json({
+        message: 'Email o contraseña incorrectos',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const { token, session } = await AdminSession.issue(user, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Sesión iniciada',
+      token,
+      expiresAt: session.expiresAt,
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Error en login:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/auth/logout - Cerrar la sesión actual
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await AdminSession.deleteOne({ _id: req.adminSession._id });
+    res.json({ message: 'Sesión cerrada' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/auth/me - Usuario autenticado
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    user: req.admin.toPublicJSON(),
+    expiresAt: req.adminSession.expiresAt
+  });
+});
+
+// GET /api/auth/users - Listar usuarios administradores (solo owner)
+router.get('/users', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: 1 });
+    res.json({ users: users.map(user => user.toPublicJSON()) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/auth/users - Crear usuario administrador (solo owner)
+router.post('/users', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        message: 'Faltan campos requeridos: email, password',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    if (role && !AdminUser.ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Rol no válido. Use: ${AdminUser.ROLES.join(', ')}`,
+        code: 'INVALID_ROLE'
+      });
+    }
+
+    const user = new AdminUser({ email, name, role });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+      message: 'Usuario creado exitosamente',
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'Ya existe un usuario con ese email',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// PATCH /api/auth/users/:id - Actualizar rol, estado o contraseña (solo owner)
+router.patch('/users/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { name, role, isActive, password } = req.body;
+
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'Usuario no encontrado' });
+    }
+
+    if (role !== undefined) {
+      if (!AdminUser.ROLES.includes(role)) {
+        return res.status(400).json({
+          message: `Rol no válido. Use: ${AdminUser.ROLES.join(', ')}`,
+          code: 'INVALID_ROLE'
+        });
+      }
+      user.role = role;
+    }
+
+    if (name !== undefined) user.name = name;
+    if (isActive !== undefined) user.isActive = Boolean(isActive);
+    if (password) await user.setPassword(password);
+
+    await user.save();
+
+    // Al deshabilitar un usuario o cambiar su contraseña se invalidan sus sesiones
+    if (isActive === false || password) {
+      await AdminSession.deleteMany({ userId: user._id });
+    }
+
+    res.json({
+      message: 'Usuario actualizado exitosamente',
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID de usuario no válido' });
+    }
+
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
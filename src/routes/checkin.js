@@ -0,0 +1,448 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Event = require('../models/Event');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+// Control de acceso en puerta: staff y owner
+router.use(requireAuth, requireRole('staff'));
+
+function ticketSummary(reservation, ticket) {
+  return {
+    reservationCode: reservation.reservationCode,
+    eventId: reservation.eventId,
+    eventTitle: reservation.eventTitle,
+    nombre: ticket.nombre,
+    apellido: ticket.apellido,
+    checkedInAt: ticket.checkedInAt,
+    checkedInByEmail: ticket.checkedInByEmail,
+    checkedInDeviceId: ticket.checkedInDeviceId
+  };
+}
+
+// Firma HMAC del manifiesto offline. Los dispositivos de puerta comparten
+// CHECKIN_MANIFEST_SECRET para verificar que el manifiesto no fue alterado.
+function signManifest(payload) {
+  const secret = process.env.CHECKIN_MANIFEST_SECRET;
+  if (!secret) {
+    throw new Error('CHECKIN_MANIFEST_SECRET no configurado');
+  }
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(encoded).digest('base64url');
+
+  return {
+    version: 1,
+    algorithm: 'HMAC-SHA256',
+    payload: encoded,
+    signature
+  };
+}
+
+// POST /api/checkin/scan - Validar el token de una entrada y registrar el ingreso
+router.post('/scan', async (req, res) => {
+  try {
+    const { token, eventId, deviceId } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Falta el token de la entrada',
+        code: 'MISSING_TOKEN'
+      });
+    }
+
+    // Solo strings: un objeto ({ "$ne": null }) se interpretaría como operador de la consulta
+    if (typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de entrada no válido',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    const reservation = await Reservation.findOne({ 'tickets.token': token });
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entrada no encontrada',
+        code: 'TICKET_NOT_FOUND'
+      });
+    }
+
+    const ticket = reservation.tickets.find(t => t.token === token);
+
+    if (eventId && reservation.eventId.toString() !== eventId) {
+      return res.status(409).json({
+        success: false,
+        message: `La entrada corresponde a otro evento: ${reservation.eventTitle}`,
+        code: 'WRONG_EVENT',
+        ticket: ticketSummary(reservation, ticket)
+      });
+    }
+
+    const admissionError = reservation.getAdmissionError(ticket);
+    if (admissionError) {
+      return res.status(409).json({
+        success: false,
+        ...admissionError,
+        ticket: ticketSummary(reservation, ticket)
+      });
+    }
+
+    // Marcar el ingreso solo si la entrada todavía no fue usada (evita dobles ingresos concurrentes)
+    const now = new Date();
+    const result = await Reservation.updateOne(
+      {
+        _id: reservation._id,
+        tickets: { $elemMatch: { token, checkedInAt: null } }
+      },
+      {
+        $set: {
+          'tickets.$.checkedInAt': now,
+          'tickets.$.checkedInBy': req.admin._id,
+          'tickets.$.checkedInByEmail': req.admin.email,
+          'tickets.$.checkedInDeviceId': deviceId
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      const current = await Reservation.findById(reservation._id);
+      const usedTicket = current.tickets.find(t => t.token === token);
+      return res.status(409).json({
+        success: false,
+        message: 'La entrada ya fue utilizada',
+        code: 'TICKET_ALREADY_USED',
+        ticket: ticketSummary(current, usedTicket)
+      });
+    }
+
+    ticket.checkedInAt = now;
+    ticket.checkedInByEmail = req.admin.email;
+
+    res.json({
+      success: true,
+      message: 'Ingreso registrado',
+      ticket: ticketSummary(reservation, ticket)
+    });
+  } catch (error) {
+    console.error('Error en check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al registrar el ingreso',
+      code: 'CHECKIN_ERROR'
+    });
+  }
+});
+
+// GET /api/checkin/events/:eventId/summary - Ingresados vs. vendidos en vivo
+router.get('/events/:eventId/summary', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const event = await Event.findById(eventId).select('title date location');
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    const stats = await Reservation.aggregate([
+      {
+        $match: {
+          eventId: new mongoose.Types.ObjectId(eventId),
+          ...Reservation.admissibleFilter()
+        }
+      },
+      { $unwind: '$tickets' },
+      { $match: { 'tickets.refundedAt': null } },
+      {
+        $group: {
+          _id: '$isFreeTicket',
+          sold: { $sum: 1 },
+          admitted: {
+            $sum: { $cond: [{ $ifNull: ['$tickets.checkedInAt', false] }, 1, 0] }
+          },
+          lastCheckInAt: { $max: '$tickets.checkedInAt' }
+        }
+      }
+    ]);
+
+    const paid = stats.find(group => group._id !== true) || { sold: 0, admitted: 0 };
+    const free = stats.find(group => group._id === true) || { sold: 0, admitted: 0 };
+    const sold = paid.sold + free.sold;
+    const admitted = paid.admitted + free.admitted;
+    const lastCheckInAt = stats.reduce((latest, group) => (
+      group.lastCheckInAt && (!latest || group.lastCheckInAt > latest) ? group.lastCheckInAt : latest
+    ), null);
+
+    res.json({
+      event: {
+        _id: event._id,
+        title: event.title,
+        date: event.date,
+        location: event.location
+      },
+      sold,
+      admitted,
+      pending: sold - admitted,
+      admittedRate: sold > 0 ? `${((admitted / sold) * 100).toFixed(1)}%` : 'N/A',
+      byType: {
+        paid: { sold: paid.sold, admitted: paid.admitted },
+        free: { sold: free.sold, admitted: free.admitted }
+      },
+      lastCheckInAt,
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Error en resumen de check-in:', error);
+    res.status(500).json({ message: 'Error al obtener el resumen de ingresos' });
+  }
+});
+
+// GET /api/checkin/events/:eventId/manifest - Manifiesto firmado para check-in offline
+// Cada entrada válida va como [hashDelToken, "Nombre Apellido", ingresada (0/1)]
+router.get('/events/:eventId/manifest', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const event = await Event.findById(eventId).select('title date location');
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    const reservations = await Reservation.find({
+      eventId,
+      ...Reservation.admissibleFilter()
+    }).select('tickets.token tickets.nombre tickets.apellido tickets.checkedInAt tickets.refundedAt').lean();
+
+    const tickets = [];
+    reservations.forEach(reservation => {
+      reservation.tickets.forEach(ticket => {
+        if (!ticket.token || ticket.refundedAt) return;
+        tickets.push([
+          Reservation.hashTicketToken(ticket.token),
+          `${ticket.nombre} ${ticket.apellido}`.trim(),
+          ticket.checkedInAt ? 1 : 0
+        ]);
+      });
+    });
+
+    const manifest = signManifest({
+      eventId: event._id.toString(),
+      title: event.title,
+      date: event.date,
+      generatedAt: new Date(),
+      count: tickets.length,
+      tickets
+    });
+
+    res.json(manifest);
+  } catch (error) {
+    console.error('Error generando manifiesto offline:', error);
+    res.status(500).json({
+      message: 'Error al generar el manifiesto offline',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/checkin/events/:eventId/offline-scans - Sincronizar escaneos hechos sin conexión
+// Body: { scans: [{ token, deviceId, scannedAt }] }
+router.post('/events/:eventId/offline-scans', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { scans } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return res.status(400).json({
+        message: 'scans es requerido y debe ser un array no vacío',
+        code: 'INVALID_SCANS'
+      });
+    }
+
+    // Los tokens que no son strings se descartan (y quedan como INVALID_SCAN) para
+    // que no lleguen como operadores a las consultas
+    const scanToken = scan => (typeof scan?.token === 'string' && scan.token ? scan.token : null);
+
+    const tokens = [...new Set(scans.map(scanToken).filter(Boolean))];
+    const reservations = await Reservation.find({ 'tickets.token': { $in: tokens } });
+    const byToken = new Map();
+    reservations.forEach(reservation => {
+      reservation.tickets.forEach(ticket => byToken.set(ticket.token, { reservation, ticket }));
+    });
+
+    // Resultado agrupado por dispositivo para que cada uno vea sus conflictos
+    const devices = {};
+    const deviceReport = deviceId => {
+      if (!devices[deviceId]) {
+        devices[deviceId] = { accepted: 0, alreadySynced: 0, conflicts: [] };
+      }
+      return devices[deviceId];
+    };
+
+    // Procesar en orden cronológico: el primer ingreso real es el que vale
+    const ordered = scans
+      .map(scan => ({
+        token: scanToken(scan),
+        deviceId: scan?.deviceId ? String(scan.deviceId) : 'unknown',
+        scannedAt: scan?.scannedAt ? new Date(scan.scannedAt) : null
+      }))
+      .sort((a, b) => (a.scannedAt || 0) - (b.scannedAt || 0));
+
+    for (const scan of ordered) {
+      const report = deviceReport(scan.deviceId);
+      const conflict = (code, message, extra = {}) => {
+        report.conflicts.push({ token: scan.token, scannedAt: scan.scannedAt, code, message, ...extra });
+      };
+
+      if (!scan.token || !scan.scannedAt || isNaN(scan.scannedAt)) {
+        conflict('INVALID_SCAN', 'Escaneo sin token o con fecha inválida');
+        continue;
+      }
+
+      const found = byToken.get(scan.token);
+      if (!found) {
+        conflict('TICKET_NOT_FOUND', 'Entrada no encontrada');
+        continue;
+      }
+
+      const { reservation } = found;
+      if (reservation.eventId.toString() !== eventId) {
+        conflict('WRONG_EVENT', `La entrada corresponde a otro evento: ${reservation.eventTitle}`);
+        continue;
+      }
+
+      const admissionError = reservation.getAdmissionError(found.ticket);
+      if (admissionError) {
+        conflict(admissionError.code, admissionError.message, { reservationCode: reservation.reservationCode });
+        continue;
+      }
+
+      const result = await Reservation.updateOne(
+        {
+          _id: reservation._id,
+          tickets: { $elemMatch: { token: scan.token, checkedInAt: null } }
+        },
+        {
+          $set: {
+            'tickets.$.checkedInAt': scan.scannedAt,
+            'tickets.$.checkedInBy': req.admin._id,
+            'tickets.$.checkedInByEmail': req.admin.email,
+            'tickets.$.checkedInDeviceId': scan.deviceId
+          }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        found.ticket.checkedInAt = scan.scannedAt;
+        found.ticket.checkedInDeviceId = scan.deviceId;
+        report.accepted++;
+        continue;
+      }
+
+      // Ya estaba ingresada: ¿es el mismo escaneo reenviado o un doble ingreso?
+      const current = await Reservation.findById(reservation._id);
+      const ticket = current.tickets.find(t => t.token === scan.token);
+      found.ticket = ticket;
+
+      const sameScan = ticket.checkedInDeviceId === scan.deviceId &&
+        ticket.checkedInAt && ticket.checkedInAt.getTime() === scan.scannedAt.getTime();
+      const alreadyFlagged = (ticket.duplicateScans || []).some(duplicate => (
+        duplicate.deviceId === scan.deviceId && duplicate.scannedAt.getTime() === scan.scannedAt.getTime()
+      ));
+
+      if (sameScan || alreadyFlagged) {
+        report.alreadySynced++;
+        continue;
+      }
+
+      await Reservation.updateOne(
+        { _id: reservation._id, 'tickets.token': scan.token },
+        {
+          $push: {
+            'tickets.$.duplicateScans': {
+              deviceId: scan.deviceId,
+              scannedAt: scan.scannedAt,
+              syncedAt: new Date()
+            }
+          }
+        }
+      );
+
+      conflict('DUPLICATE_ADMISSION', 'La entrada ya había ingresado por otro dispositivo', {
+        reservationCode: current.reservationCode,
+        nombre: ticket.nombre,
+        apellido: ticket.apellido,
+        firstAdmission: {
+          deviceId: ticket.checkedInDeviceId || null,
+          checkedInAt: ticket.checkedInAt,
+          checkedInByEmail: ticket.checkedInByEmail
+        }
+      });
+    }
+
+    const totals = Object.values(devices).reduce((acc, report) => ({
+      accepted: acc.accepted + report.accepted,
+      alreadySynced: acc.alreadySynced + report.alreadySynced,
+      conflicts: acc.conflicts + report.conflicts.length
+    }), { accepted: 0, alreadySynced: 0, conflicts: 0 });
+
+    res.json({
+      success: true,
+      received: scans.length,
+      totals,
+      devices
+    });
+  } catch (error) {
+    console.error('Error sincronizando escaneos offline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al sincronizar los escaneos offline',
+      code: 'OFFLINE_SYNC_ERROR'
+    });
+  }
+});
+
+// GET /api/checkin/events/:eventId/conflicts - Entradas ingresadas por más de un dispositivo
+router.get('/events/:eventId/conflicts', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const reservations = await Reservation.find({
+      eventId,
+      'tickets.duplicateScans.0': { $exists: true }
+    });
+
+    const conflicts = reservations.flatMap(reservation => reservation.tickets
+      .filter(ticket => ticket.duplicateScans && ticket.duplicateScans.length > 0)
+      .map(ticket => ({
+        ...ticketSummary(reservation, ticket),
+        duplicateScans: ticket.duplicateScans
+      })));
+
+    res.json({ conflicts, total: conflicts.length });
+  } catch (error) {
+    console.error('Error obteniendo conflictos de check-in:', error);
+    res.status(500).json({ message: 'Error al obtener los conflictos de check-in' });
+  }
+});
+
+module.exports = router;
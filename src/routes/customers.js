@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const CustomerSession = require('../models/CustomerSession');
+const { requireCustomer } = require('../middleware/auth');
+const { sendMagicLink, consumeMagicLink, countClaimableReservations } = require('../services/customers');
+
+function sessionInfo(req) {
+  return {
+    userAgent: req.headers['user-agent'],
+    ip: req.ip
+  };
+}
+
+// POST /api/customers/register - Crear cuenta (con contraseña opcional) y enviar link de verificación
+router.post('/register', async (req, res) => {
+  try {
+    const { email, name, password } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        message: 'El email es requerido',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const customer = new Customer({ email, name });
+    if (password) {
+      await customer.setPassword(password);
+    }
+    await customer.save();
+    await sendMagicLink(customer);
+
+    res.status(201).json({
+      message: 'Cuenta creada. Te enviamos un link para verificar tu email',
+      customer: customer.toPublicJSON()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'Ya existe una cuenta con ese email',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// POST /api/customers/login - Ingresar con email y contraseña
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        message: 'Faltan campos requeridos: email, password',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const customer = await Customer.findOne({ email: Customer.normalizeEmail(email) })
+      .select('+passwordHash');
+
+    const validPassword = customer ? await customer.verifyPassword(password) : false;
+    if (!customer || !validPassword || !customer.isActive) {
+      return res.status(401).json({
+        message: 'Email o contraseña incorrectos',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const { token, session } = await CustomerSession.issue(customer, sessionInfo(req));
+
+    customer.lastLoginAt = new Date();
+    await customer.save();
+
+    res.json({
+      message: 'Sesión iniciada',
+      token,
+      expiresAt: session.expiresAt,
+      customer: customer.toPublicJSON(),
+      claimableReservations: customer.emailVerifiedAt ? await countClaimableReservations(customer) : 0
+    });
+  } catch (error) {
+    console.error('Error en login de cliente:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/customers/magic-link - Pedir un link de ingreso por email (crea la cuenta si no existe)
+router.post('/magic-link', async (req, res) => {
+  try {
+    const email = Customer.normalizeEmail(req.body.email);
+
+    if (!email) {
+      return res.status(400).json({
+        message: 'El email es requerido',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    let customer = await Customer.findOne({ email });
+    if (!customer) {
+      customer = await Customer.create({ email, name: req.body.name });
+    }
+
+    if (customer.isActive) {
+      await sendMagicLink(customer);
+    }
+
+    // Misma respuesta exista o no la cuenta
+    res.json({ message: 'Si el email es válido, te enviamos un link para ingresar' });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/customers/magic-link/verify - Canjear el link: verifica el email e inicia sesión
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        message: 'El token es requerido',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const customer = await consumeMagicLink(token);
+    if (!customer) {
+      return res.status(401).json({
+        message: 'El link no es válido o ya venció',
+        code: 'INVALID_LOGIN_TOKEN'
+      });
+    }
+
+    const { token: sessionToken, session } = await CustomerSession.issue(customer, sessionInfo(req));
+
+    res.json({
+      message: 'Sesión iniciada',
+      token: sessionToken,
+      expiresAt: session.expiresAt,
+      customer: customer.toPublicJSON(),
+      claimableReservations: await countClaimableReservations(customer)
+    });
+  } catch (error) {
+    console.error('Error verificando link de ingreso:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/customers/logout - Cerrar la sesión actual
+router.post('/logout', requireCustomer, async (req, res) => {
+  try {
+    await CustomerSession.deleteOne({ _id: req.customerSession._id });
+    res.json({ message: 'Sesión cerrada' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,189 @@
 const express = require('express');
 const Event = require('../models/Event');
+const CancellationJob = require('../models/CancellationJob');
+const { requireAuth, optionalAuth, requireRole } = require('../middleware/auth');
+const { startEventCancellation, retryEventCancellation } = require('../services/eventCancellation');
+const { notifyInventoryReleased } = require('../services/waitlist');
+const Image = require('../models/Image');
+const { uploadImage, parseJsonFields } = require('../middleware/upload');
+const { saveImage, decodeDataUri, eventImageFields } = require('../services/images');
+const { ImageError } = require('../utils/errors');
 const router = express.Router();
 
+// Campos que en multipart/form-data llegan como JSON en texto
+const JSON_FIELDS = ['preSaleStages', 'ticketCategories', 'freeTickets'];
+
+// Tras sumar cupo (etapa nueva o límite mayor): reabrir el evento agotado y
+// ofrecer las entradas a la lista de espera
+async function afterCapacityChange(event) {
+  if (event.status === 'sold-out' && event.totalTicketsAvailable > 0) {
+    await Event.reopenIfAvailable(event._id);
+  }
+  notifyInventoryReleased(event._id);
+}
+
+// Campos de una etapa que se editan con el PUT del evento. Los contadores
+// (ticketsSold, ticketsHeld) y la progresión (openedAt, closedAt, carry-over)
+// los maneja el servidor con updates atómicos: nunca se pisan con la copia del cliente.
+const EDITABLE_STAGE_FIELDS = ['name', 'price', 'ticketLimit', 'endDate', 'startDate', 'description', 'isActive', 'category', 'carryOverUnsold'];
+
+function pickStageFields(stage) {
+  return Object.fromEntries(EDITABLE_STAGE_FIELDS
+    .filter(field => stage[field] !== undefined)
+    .map(field => [field, stage[field]]));
+}
+
+// Etapa guardada que corresponde a la del request (por _id o por posición)
+function findExistingStage(existingStages, stage, index) {
+  if (stage._id) {
+    return existingStages.find(existing => String(existing._id) === String(stage._id)) || null;
+  }
+  return existingStages[index] || null;
+}
+
+function sameStageValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return Boolean(a) && Boolean(b) && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a ?? '') === String(b ?? '');
+}
+
+// Traducir las etapas del request a un update que solo toca los campos editables.
+// Si se mantienen las etapas guardadas (en el mismo orden, pudiendo agregar al final)
+// se hace $set campo por campo y el filtro exige que cada límite nuevo siga cubriendo
+// lo vendido más lo retenido al momento de escribir. Quitar o reordenar etapas
+// cambia los índices que usan las reservas: solo se permite si no hay entradas
+// vendidas ni retenidas. Devuelve { filter, set, stages } o { error }.
+function buildStageUpdate(existingStages, stages) {
+  const keepsStages = stages.length >= existingStages.length &&
+    existingStages.every((existing, index) => !stages[index]._id || String(stages[index]._id) === String(existing._id));
+
+  if (!keepsStages) {
+    if (existingStages.some(stage => stage.ticketsSold > 0 || (stage.ticketsHeld || 0) > 0)) {
+      return {
+        error: 'No se pueden quitar ni reordenar etapas con entradas vendidas o retenidas: desactivalas en su lugar'
+      };
+    }
+
+    const replaced = stages.map(pickStageFields);
+    return {
+      filter: {
+        $expr: {
+          $and: [
+            { $eq: [{ $sum: '$preSaleStages.ticketsSold' }, 0] },
+            { $eq: [{ $sum: '$preSaleStages.ticketsHeld' }, 0] }
+          ]
+        }
+      },
+      set: { preSaleStages: replaced },
+      stages: replaced
+    };
+  }
+
+  const set = {};
+  const conditions = [];
+  const merged = [];
+
+  for (const [index, stage] of stages.entries()) {
+    const existing = existingStages[index];
+    const fields = pickStageFields(stage);
+
+    if (!existing) {
+      set[`preSaleStages.${index}`] = fields;
+      merged.push(fields);
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (!sameStageValue(existing[field], value)) {
+        set[`preSaleStages.${index}.${field}`] = value;
+      }
+    }
+
+    if (set[`preSaleStages.${index}.ticketLimit`] !== undefined) {
+      const ticketLimit = Number(fields.ticketLimit);
+      const committed = existing.ticketsSold + (existing.ticketsHeld || 0);
+      if (ticketLimit < committed) {
+        return {
+          error: `El límite de la etapa ${index + 1} no puede ser menor a las ${committed} entradas vendidas o retenidas`
+        };
+      }
+      conditions.push({
+        $gte: [
+          ticketLimit,
+          {
+            $add: [
+              { $arrayElemAt: ['$preSaleStages.ticketsSold', index] },
+              { $ifNull: [{ $arrayElemAt: ['$preSaleStages.ticketsHeld', index] }, 0] }
+            ]
+          }
+        ]
+      });
+    }
+
+    merged.push({ ...existing.toObject(), ...fields });
+  }
+
+  const filter = { preSaleStages: { $size: existingStages.length } };
+  if (conditions.length > 0) {
+    filter.$expr = { $and: conditions };
+  }
+  return { filter, set, stages: merged };
+}
+
+// El público no ve las categorías ocultas; un administrador logueado ve todo
+function serializeEvent(event, req) {
+  return req.admin ? event : event.toPublicJSON();
+}
+
+// Imagen del evento: archivo subido en el mismo request (multipart), una imagen
+// ya subida (imageId), una URL externa o un Base64 del formato anterior, que se
+// pasa al almacenamiento. Devuelve los campos a guardar o null si no vino imagen.
+async function resolveEventImage(req) {
+  const { image, imageId } = req.body;
+
+  if (req.file) {
+    const saved = await saveImage({
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      uploadedBy: req.admin
+    });
+    return eventImageFields(saved);
+  }
+
+  if (imageId) {
+    const existing = await Image.findById(imageId);
+    if (!existing) {
+      throw new ImageError('Imagen no encontrada', { code: 'IMAGE_NOT_FOUND', status: 404 });
+    }
+    return eventImageFields(existing);
+  }
+
+  if (typeof image === 'string' && image.startsWith('data:image/')) {
+    const { buffer, mimeType } = decodeDataUri(image);
+    return eventImageFields(await saveImage({ buffer, mimeType, uploadedBy: req.admin }));
+  }
+
+  if (typeof image === 'string' && /^https?:\/\//.test(image)) {
+    return { imageId: null, image, images: { thumbnail: image, card: image, hero: image } };
+  }
+
+  if (image) {
+    throw new ImageError('Formato de imagen no válido. Suba un archivo o use una URL', { code: 'INVALID_IMAGE' });
+  }
+  return null;
+}
+
+// Estado inicial de un evento nuevo: borrador si se pide o si la publicación es futura
+function resolveInitialStatus(status, publishAt) {
+  if (status === 'draft') return 'draft';
+  if (publishAt && new Date(publishAt) > new Date()) return 'draft';
+  return 'active';
+}
+
 // GET /api/events - Obtener todos los eventos con filtros
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { page = 1, limit = 10, upcoming, past, search, status } = req.query;
     
@@ -20,6 +200,11 @@ router.get('/', async (req, res) => {
       query.status = status;
     }
     
+    // Los borradores solo los ve un administrador
+    if (!req.admin && (!query.status || query.status === 'draft')) {
+      query.status = { $ne: 'draft' };
+    }
+    
     if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -36,7 +221,7 @@ router.get('/', async (req, res) => {
     const total = await Event.countDocuments(query);
     
     res.json({
-      events,
+      events: events.map(event => serializeEvent(event, req)),
       totalPages: Math.ceil(total / limit),
       currentPage: parseInt(page),
       total
@@ -47,15 +232,15 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/events/:id - Obtener un evento por ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
     
-    if (!event) {
+    if (!event || (event.status === 'draft' && !req.admin)) {
       return res.status(404).json({ message: 'Evento no encontrado' });
     }
     
-    res.json(event);
+    res.json(serializeEvent(event, req));
   } catch (error) {
     if (error.kind === 'ObjectId') {
       return res.status(400).json({ message: 'ID de evento no válido' });
@@ -96,24 +281,27 @@ router.get('/stats/overview', async (req, res) => {
 });
 
 // GET /api/events/upcoming/next - Próximos eventos (para dashboard)
-router.get('/upcoming/next', async (req, res) => {
+router.get('/upcoming/next', optionalAuth, async (req, res) => {
   try {
     const { limit = 6 } = req.query;
     
-    const upcomingEvents = await Event.find({
-      date: { $gte: new Date() }
-    })
+    const query = { date: { $gte: new Date() } };
+    if (!req.admin) {
+      query.status = { $ne: 'draft' };
+    }
+    
+    const upcomingEvents = await Event.find(query)
     .sort({ date: 1 })
     .limit(parseInt(limit));
     
-    res.json(upcomingEvents);
+    res.json(upcomingEvents.map(event => serializeEvent(event, req)));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // POST /api/events - Crear un nuevo evento
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, requireRole('owner'), uploadImage('image'), parseJsonFields(...JSON_FIELDS), async (req, res) => {
   try {
     const { 
       title, 
@@ -122,32 +310,21 @@ router.post('/', async (req, res) => {
       dj, 
       info, 
       basePrice, 
+      capacity, 
       image, 
       preSaleStages, 
-      freeTickets 
+      ticketCategories,
+      freeTickets, 
+      publishAt 
     } = req.body;
     
     // Validar campos requeridos
-    if (!title || !date || !location || !image) {
+    if (!title || !date || !location || (!image && !req.body.imageId && !req.file)) {
       return res.status(400).json({ 
         message: 'Faltan campos requeridos: título, fecha, ubicación o imagen' 
       });
     }
     
-    // Validaciones existentes...
-    if (!image.startsWith('data:image/')) {
-      return res.status(400).json({ 
-        message: 'Formato de imagen no válido. Use Base64.' 
-      });
-    }
-    
-    const matches = image.match(/^data:([A-Za-z-+/]+);base64,(.+)$/);
-    if (!matches || matches.length !== 3) {
-      return res.status(400).json({ 
-        message: 'Formato Base64 incorrecto' 
-      });
-    }
-    
     const eventDate = new Date(date);
     if (eventDate < new Date()) {
       return res.status(400).json({ 
@@ -191,6 +368,9 @@ router.post('/', async (req, res) => {
       }
     }
     
+    // Subir la imagen recién cuando el resto de los datos es válido
+    const imageFields = await resolveEventImage(req);
+    
     // Crear el nuevo evento
     const newEvent = new Event({
       title: title.trim(),
@@ -199,10 +379,15 @@ router.post('/', async (req, res) => {
       dj: dj ? dj.trim() : '',
       info: info ? info.trim() : '',
       basePrice: basePrice || 0,
-      image,
+      capacity: capacity || null,
+      ...imageFields,
+      ticketCategories: ticketCategories || [],
       preSaleStages: preSaleStages || [],
-      freeTickets: freeTickets || { enabled: false, quantity: 0 }
+      freeTickets: freeTickets || { enabled: false, quantity: 0 },
+      publishAt: publishAt ? new Date(publishAt) : null,
+      status: resolveInitialStatus(req.body.status, publishAt)
     });
+    newEvent.publishedAt = newEvent.status === 'active' ? new Date() : null;
     
     const savedEvent = await newEvent.save();
     
@@ -212,6 +397,14 @@ router.post('/', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof ImageError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID de imagen no válido' });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({ 
@@ -225,7 +418,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/events/:id - Actualizar un evento
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAuth, requireRole('owner'), uploadImage('image'), parseJsonFields(...JSON_FIELDS), async (req, res) => {
   try {
     const { 
       title, 
@@ -234,9 +427,11 @@ router.put('/:id', async (req, res) => {
       dj, 
       info, 
       basePrice, 
-      image, 
+      capacity, 
       preSaleStages, 
-      freeTickets 
+      ticketCategories,
+      freeTickets, 
+      publishAt 
     } = req.body;
     
     const existingEvent = await Event.findById(req.params.id);
@@ -244,13 +439,6 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Evento no encontrado' });
     }
     
-    // Validaciones existentes...
-    if (image && !image.startsWith('data:image/')) {
-      return res.status(400).json({ 
-        message: 'Formato de imagen no válido. Use Base64.' 
-      });
-    }
-    
     if (date) {
       const eventDate = new Date(date);
       if (eventDate < new Date()) {
@@ -269,7 +457,12 @@ router.put('/:id', async (req, res) => {
     // Validar etapas de preventa si se proporcionan
     if (preSaleStages && Array.isArray(preSaleStages)) {
       for (const [index, stage] of preSaleStages.entries()) {
-        if (!stage.name || !stage.price || !stage.ticketLimit || !stage.endDate) {
+        // Las etapas ya cerradas quedan en el array con su fecha vencida (y
+        // límite 0 si pasaron su cupo): solo se validan las nuevas o abiertas
+        const existing = findExistingStage(existingEvent.preSaleStages, stage, index);
+        const isClosed = Boolean(existing?.closedAt);
+        
+        if (!stage.name || !stage.price || (!stage.ticketLimit && !isClosed) || !stage.endDate) {
           return res.status(400).json({ 
             message: `Faltan campos en la etapa ${index + 1}: nombre, precio, límite de entradas o fecha de fin` 
           });
@@ -281,6 +474,8 @@ router.put('/:id', async (req, res) => {
           });
         }
         
+        if (isClosed) continue;
+        
         if (stage.ticketLimit < 1) {
           return res.status(400).json({ 
             message: `El límite de entradas de la etapa ${index + 1} debe ser al menos 1` 
@@ -296,28 +491,94 @@ router.put('/:id', async (req, res) => {
       }
     }
     
-    const updatedEvent = await Event.findByIdAndUpdate(
-      req.params.id,
+    // Las etapas se actualizan campo por campo para no pisar los contadores
+    let stageUpdate = null;
+    if (preSaleStages !== undefined) {
+      if (!Array.isArray(preSaleStages)) {
+        return res.status(400).json({ message: 'preSaleStages debe ser un array' });
+      }
+      stageUpdate = buildStageUpdate(existingEvent.preSaleStages, preSaleStages);
+      if (stageUpdate.error) {
+        return res.status(409).json({ 
+          message: stageUpdate.error,
+          code: 'STAGE_EDIT_CONFLICT'
+        });
+      }
+    }
+    
+    // findByIdAndUpdate no corre el pre('validate'): chequear acá que cada etapa
+    // pertenezca a una categoría existente
+    const nextCategories = ticketCategories !== undefined ? ticketCategories : existingEvent.ticketCategories;
+    const nextStages = stageUpdate ? stageUpdate.stages : existingEvent.preSaleStages;
+    if (nextCategories && nextCategories.length > 0) {
+      const keys = new Set(nextCategories.map(category => String(category.key).toLowerCase()));
+      const invalidIndex = nextStages.findIndex(stage => !keys.has((stage.category || 'general').toLowerCase()));
+      if (invalidIndex !== -1) {
+        return res.status(400).json({ 
+          message: `La etapa ${invalidIndex + 1} tiene una categoría inexistente: ${nextStages[invalidIndex].category || 'general'}` 
+        });
+      }
+    }
+    
+    // Tampoco el chequeo de capacidad del lugar
+    const nextCapacity = capacity !== undefined ? (capacity || null) : existingEvent.capacity;
+    const capacityError = Event.checkCapacity({
+      capacity: nextCapacity,
+      preSaleStages: nextStages,
+      freeTickets: freeTickets !== undefined
+        ? { ...freeTickets, ticketsClaimed: existingEvent.freeTickets?.ticketsClaimed || 0 }
+        : existingEvent.freeTickets
+    });
+    if (capacityError) {
+      return res.status(400).json({ 
+        message: capacityError,
+        code: 'CAPACITY_EXCEEDED'
+      });
+    }
+    
+    // Sin imagen nueva se conserva la actual
+    const imageFields = await resolveEventImage(req);
+    
+    const updatedEvent = await Event.findOneAndUpdate(
+      { _id: existingEvent._id, ...(stageUpdate ? stageUpdate.filter : {}) },
       { 
+        ...imageFields,
         title: title ? title.trim() : existingEvent.title,
         date: date ? new Date(date) : existingEvent.date,
         location: location ? location.trim() : existingEvent.location,
         dj: dj !== undefined ? dj.trim() : existingEvent.dj,
         info: info !== undefined ? info.trim() : existingEvent.info,
         basePrice: basePrice !== undefined ? basePrice : existingEvent.basePrice,
-        image: image || existingEvent.image,
-        preSaleStages: preSaleStages !== undefined ? preSaleStages : existingEvent.preSaleStages,
-        freeTickets: freeTickets !== undefined ? freeTickets : existingEvent.freeTickets
+        capacity: nextCapacity,
+        ticketCategories: ticketCategories !== undefined ? ticketCategories : existingEvent.ticketCategories,
+        ...(stageUpdate ? stageUpdate.set : {}),
+        freeTickets: freeTickets !== undefined ? freeTickets : existingEvent.freeTickets,
+        // Reprogramar la publicación solo tiene efecto mientras el evento es borrador
+        publishAt: publishAt !== undefined ? (publishAt ? new Date(publishAt) : null) : existingEvent.publishAt
       },
       { new: true, runValidators: true }
     );
     
+    // Entre la lectura y la escritura se vendieron entradas que el nuevo límite ya no cubre
+    if (!updatedEvent) {
+      return res.status(409).json({ 
+        message: 'Las entradas vendidas cambiaron mientras se editaba el evento. Volvé a cargarlo e intentá de nuevo',
+        code: 'STAGE_EDIT_CONFLICT'
+      });
+    }
+    
+    await afterCapacityChange(updatedEvent);
+    
     res.json({
       message: 'Evento actualizado exitosamente',
       event: updatedEvent
     });
     
   } catch (error) {
+    if (error instanceof ImageError) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    
     if (error.kind === 'ObjectId') {
       return res.status(400).json({ message: 'ID de evento no válido' });
     }
@@ -335,9 +596,9 @@ router.put('/:id', async (req, res) => {
 });
 
 // PATCH /api/events/:id/pre-sale/stage - Agregar etapa de preventa
-router.patch('/:id/pre-sale/stage', async (req, res) => {
+router.patch('/:id/pre-sale/stage', requireAuth, requireRole('owner'), async (req, res) => {
   try {
-    const { name, price, ticketLimit, endDate, description } = req.body;
+    const { name, price, ticketLimit, endDate, startDate, carryOverUnsold, description, category } = req.body;
     
     if (!name || !price || !ticketLimit || !endDate) {
       return res.status(400).json({ 
@@ -362,13 +623,18 @@ router.patch('/:id/pre-sale/stage', async (req, res) => {
       price: Number(price),
       ticketLimit: Number(ticketLimit),
       endDate: stageEndDate,
+      startDate: startDate ? new Date(startDate) : null,
+      carryOverUnsold: Boolean(carryOverUnsold),
       description: description ? description.trim() : '',
+      category: category || 'general',
       isActive: true,
       ticketsSold: 0
     };
     
     event.preSaleStages.push(newStage);
+    event.advanceStages();
     await event.save();
+    await afterCapacityChange(event);
     
     res.json({
       message: 'Etapa de preventa agregada exitosamente',
@@ -380,12 +646,20 @@ router.patch('/:id/pre-sale/stage', async (req, res) => {
       return res.status(400).json({ message: 'ID de evento no válido' });
     }
     
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Error de validación',
+        errors 
+      });
+    }
+    
     res.status(500).json({ message: error.message });
   }
 });
 
 // PATCH /api/events/:id/pre-sale/stage/:stageIndex - Actualizar etapa de preventa
-router.patch('/:id/pre-sale/stage/:stageIndex', async (req, res) => {
+router.patch('/:id/pre-sale/stage/:stageIndex', requireAuth, requireRole('owner'), async (req, res) => {
   try {
     const { stageIndex } = req.params;
     const updates = req.body;
@@ -417,8 +691,13 @@ router.patch('/:id/pre-sale/stage/:stageIndex', async (req, res) => {
     if (updates.ticketLimit !== undefined) stage.ticketLimit = Number(updates.ticketLimit);
     if (updates.description !== undefined) stage.description = updates.description.trim();
     if (updates.isActive !== undefined) stage.isActive = Boolean(updates.isActive);
+    if (updates.category !== undefined) stage.category = updates.category;
+    if (updates.startDate !== undefined) stage.startDate = updates.startDate ? new Date(updates.startDate) : null;
+    if (updates.carryOverUnsold !== undefined) stage.carryOverUnsold = Boolean(updates.carryOverUnsold);
     
+    event.advanceStages();
     await event.save();
+    await afterCapacityChange(event);
     
     res.json({
       message: 'Etapa de preventa actualizada exitosamente',
@@ -430,12 +709,20 @@ router.patch('/:id/pre-sale/stage/:stageIndex', async (req, res) => {
       return res.status(400).json({ message: 'ID de evento no válido' });
     }
     
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Error de validación',
+        errors 
+      });
+    }
+    
     res.status(500).json({ message: error.message });
   }
 });
 
 // PATCH /api/events/:id/free-tickets - Actualizar configuración de entradas gratis
-router.patch('/:id/free-tickets', async (req, res) => {
+router.patch('/:id/free-tickets', requireAuth, requireRole('owner'), async (req, res) => {
   try {
     const { enabled, quantity, description } = req.body;
     
@@ -460,30 +747,57 @@ router.patch('/:id/free-tickets', async (req, res) => {
       return res.status(400).json({ message: 'ID de evento no válido' });
     }
     
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Error de validación',
+        errors 
+      });
+    }
+    
     res.status(500).json({ message: error.message });
   }
 });
 
 // PATCH /api/events/:id/status - Cambiar estado de evento
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requireAuth, requireRole('owner'), async (req, res) => {
   try {
     const { status, cancellationReason } = req.body;
     
     // Validar estado
-    const validStatuses = ['active', 'cancelled', 'completed', 'sold-out', 'free-sold-out'];
+    const validStatuses = ['draft', 'active', 'cancelled', 'completed', 'sold-out', 'free-sold-out'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ 
-        message: 'Estado no válido. Use: active, cancelled, completed, sold-out, free-sold-out' 
+        message: 'Estado no válido. Use: draft, active, cancelled, completed, sold-out, free-sold-out' 
       });
     }
     
+    const existingEvent = await Event.findById(req.params.id);
+    if (!existingEvent) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+    
+    // No se puede reactivar un evento mientras se cancelan sus reservas o si ya se reembolsó dinero
+    if (status !== 'cancelled' && existingEvent.status === 'cancelled') {
+      const job = await CancellationJob.findLatestForEvent(existingEvent._id);
+      if (job && (job.refundsStarted || job.status === 'running')) {
+        return res.status(409).json({
+          message: 'El evento no puede reactivarse: la cancelación de reservas ya inició reembolsos o está en curso',
+          code: 'CANCELLATION_IN_PROGRESS',
+          cancellationJob: job.toProgressJSON()
+        });
+      }
+    }
+    
     // Preparar update object
     const updateData = { status };
     
     // Si se cancela, agregar razón de cancelación
-    if (status === 'cancelled' && cancellationReason) {
-      updateData.cancellationReason = cancellationReason;
-      updateData.cancelledAt = new Date();
+    if (status === 'cancelled') {
+      updateData.cancelledAt = existingEvent.cancelledAt || new Date();
+      if (cancellationReason) {
+        updateData.cancellationReason = cancellationReason;
+      }
     }
     
     // Si se reactiva, limpiar campos de cancelación
@@ -492,6 +806,11 @@ router.patch('/:id/status', async (req, res) => {
       updateData.cancelledAt = undefined;
     }
     
+    // Publicación manual de un borrador
+    if (status === 'active' && existingEvent.status === 'draft') {
+      updateData.publishedAt = new Date();
+    }
+    
     const updatedEvent = await Event.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -502,9 +821,19 @@ router.patch('/:id/status', async (req, res) => {
       return res.status(404).json({ message: 'Evento no encontrado' });
     }
     
+    // Al cancelar se cancelan en cascada las reservas (reembolsos + avisos) en segundo plano
+    let cancellationJob = null;
+    if (status === 'cancelled' && existingEvent.status !== 'cancelled') {
+      cancellationJob = await startEventCancellation(updatedEvent, {
+        reason: updatedEvent.cancellationReason,
+        operator: req.admin
+      });
+    }
+    
     res.json({
       message: `Evento marcado como ${status}`,
-      event: updatedEvent
+      event: updatedEvent,
+      cancellationJob: cancellationJob ? cancellationJob.toProgressJSON() : undefined
     });
     
   } catch (error) {
@@ -517,9 +846,119 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
+// PATCH /api/events/:id/transfers - Congelar/descongelar transferencias de entradas
+// frozen: corte manual inmediato; freezeHours: corte automático X horas antes del evento (null = sin corte)
+router.patch('/:id/transfers', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { frozen, freezeHours } = req.body;
+    const updateData = {};
+
+    if (frozen !== undefined) {
+      updateData.transfersFrozenAt = frozen ? new Date() : null;
+    }
+    if (freezeHours !== undefined) {
+      updateData.transferFreezeHours = freezeHours === null || freezeHours === '' ? null : Number(freezeHours);
+    }
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ message: 'Indique frozen o freezeHours' });
+    }
+
+    const existingEvent = await Event.findById(req.params.id).select('transfersFrozenAt');
+    if (!existingEvent) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+    // Volver a congelar no pisa la fecha del primer corte
+    if (updateData.transfersFrozenAt && existingEvent.transfersFrozenAt) {
+      delete updateData.transfersFrozenAt;
+    }
+
+    const event = await Event.findByIdAndUpdate(
+      req.params.id,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    );
+
+    const block = event.getTransferBlock();
+    res.json({
+      message: block ? 'Transferencias congeladas' : 'Transferencias habilitadas',
+      transfersFrozenAt: event.transfersFrozenAt,
+      transferFreezeHours: event.transferFreezeHours,
+      transfersOpen: !block,
+      transferBlock: block
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const errors = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/events/:id/cancellation - Progreso de la cancelación en cascada
+router.get('/:id/cancellation', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const job = await CancellationJob.findLatestForEvent(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ message: 'El evento no tiene una cancelación registrada' });
+    }
+    
+    res.json({ cancellationJob: job.toProgressJSON() });
+    
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+    
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/events/:id/cancellation/retry - Reintentar las reservas que fallaron
+router.post('/:id/cancellation/retry', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const job = await CancellationJob.findLatestForEvent(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ message: 'El evento no tiene una cancelación registrada' });
+    }
+    
+    const { job: retriedJob, started } = await retryEventCancellation(job, req.admin);
+    
+    if (!started) {
+      return res.status(409).json({
+        message: 'La cancelación todavía está en curso',
+        code: 'CANCELLATION_RUNNING',
+        cancellationJob: retriedJob.toProgressJSON()
+      });
+    }
+    
+    res.json({
+      message: 'Reintento de cancelación iniciado',
+      cancellationJob: retriedJob.toProgressJSON()
+    });
+    
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+    
+    res.status(500).json({ message: error.message });
+  }
+});
+
 
 // DELETE /api/events/:id - Eliminar un evento
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAuth, requireRole('owner'), async (req, res) => {
   try {
     const deletedEvent = await Event.findByIdAndDelete(req.params.id);
     
@@ -546,7 +985,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // PATCH /api/events/:id/status - Cambiar estado de evento (opcional)
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requireAuth, requireRole('owner'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const Image = require('../models/Image');
+const Event = require('../models/Event');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const { saveImage, deleteImage } = require('../services/images');
+const { ImageError } = require('../utils/errors');
+
+function handleError(res, error) {
+  if (error instanceof ImageError) {
+    return res.status(error.status).json({ message: error.message, code: error.code });
+  }
+
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({ message: 'ID de imagen no válido' });
+  }
+
+  res.status(500).json({ message: error.message });
+}
+
+// POST /api/images - Subir una imagen (multipart, campo "image") y generar sus tamaños
+router.post('/', requireAuth, requireRole('owner'), uploadImage('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'La imagen es requerida', code: 'INVALID_IMAGE' });
+    }
+
+    const image = await saveImage({
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      uploadedBy: req.admin
+    });
+
+    res.status(201).json({
+      message: 'Imagen subida exitosamente',
+      image: image.toPublicJSON()
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/images/:id - Datos y URLs de una imagen
+router.get('/:id', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const image = await Image.findById(req.params.id);
+    if (!image) {
+      return res.status(404).json({ message: 'Imagen no encontrada', code: 'IMAGE_NOT_FOUND' });
+    }
+
+    res.json({ image: image.toPublicJSON() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// DELETE /api/images/:id - Borrar una imagen que ningún evento usa
+router.delete('/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const image = await Image.findById(req.params.id);
+    if (!image) {
+      return res.status(404).json({ message: 'Imagen no encontrada', code: 'IMAGE_NOT_FOUND' });
+    }
+
+    const inUse = await Event.exists({ imageId: image._id });
+    if (inUse) {
+      return res.status(409).json({ message: 'La imagen está asignada a un evento', code: 'IMAGE_IN_USE' });
+    }
+
+    await deleteImage(image);
+    res.json({ message: 'Imagen eliminada correctamente' });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const CustomerSession = require('../models/CustomerSession');
+const { requireCustomer } = require('../middleware/auth');
+const { countClaimableReservations, claimReservations, getWallet } = require('../services/customers');
+
+// Todo /api/me es de la cuenta del cliente logueado
+router.use(requireCustomer);
+
+// GET /api/me - Datos de la cuenta
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      customer: req.customer.toPublicJSON(),
+      expiresAt: req.customerSession.expiresAt,
+      claimableReservations: req.customer.emailVerifiedAt ? await countClaimableReservations(req.customer) : 0
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/me - Actualizar nombre o contraseña
+// Cambiar una contraseña existente requiere la actual; las cuentas sin contraseña pueden crearla
+router.patch('/', async (req, res) => {
+  try {
+    const { name, password, currentPassword } = req.body;
+
+    const customer = await Customer.findById(req.customer._id).select('+passwordHash');
+
+    if (name !== undefined) customer.name = name;
+
+    if (password) {
+      if (customer.passwordHash && !(await customer.verifyPassword(currentPassword))) {
+        return res.status(401).json({
+          message: 'La contraseña actual es incorrecta',
+          code: 'INVALID_CREDENTIALS'
+        });
+      }
+      await customer.setPassword(password);
+    }
+
+    await customer.save();
+
+    // Al cambiar la contraseña se cierran las demás sesiones
+    if (password) {
+      await CustomerSession.deleteMany({ customerId: customer._id, _id: { $ne: req.customerSession._id } });
+    }
+
+    res.json({
+      message: 'Cuenta actualizada exitosamente',
+      customer: customer.toPublicJSON()
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// GET /api/me/tickets - Billetera: entradas de próximos eventos y de eventos pasados
+router.get('/tickets', async (req, res) => {
+  try {
+    const wallet = await getWallet(req.customer);
+
+    res.json({
+      upcoming: wallet.upcoming,
+      past: wallet.past,
+      total: wallet.upcoming.length + wallet.past.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo billetera:', error);
+    res.status(500).json({ message: 'Error al obtener tus entradas' });
+  }
+});
+
+// POST /api/me/reservations/claim - Vincular las reservas hechas sin cuenta con el mismo email
+router.post('/reservations/claim', async (req, res) => {
+  try {
+    const claimed = await claimReservations(req.customer);
+
+    if (claimed === null) {
+      return res.status(403).json({
+        message: 'Verificá tu email para recuperar tus reservas anteriores',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    res.json({
+      message: claimed > 0
+        ? `Se vincularon ${claimed} reservas a tu cuenta`
+        : 'No hay reservas para vincular',
+      claimed
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
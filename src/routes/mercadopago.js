@@ -1,23 +1,26 @@
 const express = require('express');
 const router = express.Router();
-const { MercadoPagoConfig, Preference, Payment, MerchantOrder } = require('mercadopago');
 const Reservation = require('../models/Reservation');
 const Event = require('../models/Event');
-
-// CONFIGURACIÓN CORREGIDA DE MERCADOPAGO
-// El problema está en el access token. Vamos a usar uno válido para testing
-const client = new MercadoPagoConfig({ 
-  accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN || 'TEST-870454137832011-121614-6c6c5c0c6c6c5c0c6c6c5c0c6c6c5c0c-870454137',
-  options: { 
-    timeout: 10000,
-    idempotencyKey: 'bardo-app'
-  }
-});
-
-// Crear instancias de los servicios
-const preferenceClient = new Preference(client);
-const paymentClient = new Payment(client);
-const merchantOrderClient = new MerchantOrder(client);
+const TicketHold = require('../models/TicketHold');
+const WebhookEvent = require('../models/WebhookEvent');
+const OrderQuote = require('../models/OrderQuote');
+const { verifyMercadoPagoSignature, getNotificationDataId } = require('../middleware/mercadopagoSignature');
+const { requireAuth, requireRole, requireCustomer, optionalCustomer } = require('../middleware/auth');
+const { InventoryError, RefundError, PromoCodeError } = require('../utils/errors');
+const { preferenceClient, paymentClient } = require('../config/mercadopago');
+const { refundReservation, syncRefundsFromPayment, processChargeback } = require('../services/refunds');
+const { queueReservationEmails, queueEmail } = require('../services/email');
+const { notifyInventoryReleased, markWaitlistClaimed } = require('../services/waitlist');
+const { processResalePayment } = require('../services/resale');
+const { resolvePromoterAttribution } = require('../services/promoters');
+const { quoteOrder, buildPreferenceItems, amountMatchesQuote } = require('../services/pricing');
+const {
+  evaluatePromoCode,
+  redeemPromoCode,
+  confirmPromoRedemption,
+  releasePromoRedemption
+} = require('../services/promoCodes');
 
 // Funciones auxiliares para manejo de usuarios (SE MANTIENEN IGUAL)
 function getUserInfoFromMetadata(metadata, paymentPayer) {
@@ -65,6 +68,12 @@ function createTicketsWithUserInfo(ticketsCount, userInfo, metadata) {
 async function createFreeTicketReservation(event, tickets, orderId, metadata) {
   const userInfo = getUserInfoFromMetadata(metadata, null);
   
+  // Descontar el cupo de forma atómica antes de crear la reserva
+  const claimsQuota = Boolean(event.freeTickets?.enabled);
+  if (claimsQuota) {
+    await Event.claimFreeTickets(event._id, tickets);
+  }
+  
   const reservation = new Reservation({
     eventId: event._id,
     eventTitle: event.title,
@@ -76,20 +85,26 @@ async function createFreeTicketReservation(event, tickets, orderId, metadata) {
     totalAmount: 0,
     isPaid: true,
     isFreeTicket: true,
+    customerId: metadata.customer_id || null,
+    promoterId: metadata.promoter_id || null,
+    promoterCode: metadata.promoter_code || null,
     userIdentifier: metadata.user_identifier,
     sessionId: metadata.session_id,
     deviceId: metadata.device_id,
     source: metadata.source || 'bardo_web_app'
   });
 
-  await reservation.save();
-
-  if (event.freeTickets?.enabled) {
-    event.freeTickets.ticketsClaimed += tickets;
-    await event.save();
+  try {
+    await reservation.save();
+  } catch (error) {
+    if (claimsQuota) {
+      await Event.releaseFreeTickets(event._id, tickets);
+    }
+    throw error;
   }
 
   console.log(`Reserva gratis creada: ${reservation.reservationCode} para usuario: ${metadata.user_identifier}`);
+  await queueReservationEmails('free_ticket_confirmation', reservation, { event });
   return reservation;
 }
 
@@ -104,22 +119,58 @@ async function processApprovedPayment(payment) {
 
     let reservation = await Reservation.findOne({ orderId: orderId });
 
-    if (!reservation) {
+    // Este pago ya se aplicó (notificación repetida): no volver a tocar el inventario.
+    // Si quedó algún paso pendiente (corte después de aprobar la reserva) se retoma.
+    const alreadyApproved = Boolean(reservation) &&
+      reservation.paymentStatus === 'approved' &&
+      reservation.paymentId === String(payment.id);
+    if (alreadyApproved && !reservation.inventoryPending && !reservation.promoPending) {
+      console.log(`Pago ${payment.id} ya aplicado a la reserva ${reservation.reservationCode}`);
+      return;
+    }
+
+    // El monto cobrado tiene que coincidir con la cotización guardada al crear la preferencia.
+    // Si no coincide (preferencia adulterada) el pago queda en revisión y no se emiten entradas.
+    // Un pago sin cotización tampoco se puede verificar y queda en revisión igual.
+    const quote = await OrderQuote.findOne({ orderId });
+    const amountMismatch = quote ? !amountMatchesQuote(quote, payment.transaction_amount) : true;
+    const reviewDetail = quote ? 'amount_mismatch' : 'missing_quote';
+    if (!quote) {
+      console.error(`⚠️ Pago ${payment.id} sin cotización registrada para la orden ${orderId}`);
+    } else if (amountMismatch) {
+      console.error(`⚠️ Monto cobrado ${payment.transaction_amount} distinto del cotizado ${quote.total} para la orden ${orderId}`);
+    }
+
+    if (alreadyApproved) {
+      console.log(`Retomando pasos pendientes del pago ${payment.id} en la reserva ${reservation.reservationCode}`);
+    } else if (!reservation) {
       reservation = new Reservation({
         eventId: eventId,
         eventTitle: metadata.event_title || 'Evento',
         tickets: createTicketsWithUserInfo(tickets, userInfo, metadata),
         totalTickets: tickets,
         orderId: orderId,
+        status: amountMismatch ? 'under_review' : 'confirmed',
         paymentStatus: 'approved',
+        paymentStatusDetail: amountMismatch ? reviewDetail : undefined,
         paymentMethod: 'mercadopago',
-        paymentId: payment.id,
+        paymentId: String(payment.id),
         totalAmount: payment.transaction_amount,
         isPaid: true,
+        inventoryPending: true,
+        promoPending: true,
+        customerId: metadata.customer_id || null,
+        promoterId: metadata.promoter_id || null,
+        promoterCode: metadata.promoter_code || null,
         userIdentifier: metadata.user_identifier,
         sessionId: metadata.session_id,
         deviceId: metadata.device_id,
-        preSaleStageIndex: metadata.pre_sale_stage ? parseInt(metadata.pre_sale_stage) : undefined,
+        preSaleStageIndex: metadata.pre_sale_stage !== undefined && metadata.pre_sale_stage !== null
+          ? parseInt(metadata.pre_sale_stage)
+          : undefined,
+        ticketCategory: metadata.ticket_category || null,
+        promoCode: quote?.discounts[0]?.code,
+        discountAmount: quote?.discountTotal || 0,
         source: metadata.source || 'bardo_web_app'
       });
 
@@ -127,14 +178,24 @@ async function processApprovedPayment(payment) {
       console.log(`Nueva reserva pagada creada: ${reservation.reservationCode} para usuario: ${metadata.user_identifier}`);
     } else {
       reservation.paymentStatus = 'approved';
-      reservation.paymentId = payment.id;
+      reservation.paymentId = String(payment.id);
       reservation.isPaid = true;
       reservation.totalAmount = payment.transaction_amount;
+      reservation.inventoryPending = true;
+      reservation.promoPending = true;
+      if (amountMismatch) {
+        reservation.status = 'under_review';
+        reservation.paymentStatusDetail = reviewDetail;
+      }
       reservation.paidAt = new Date();
+      if (quote?.discounts[0]) {
+        reservation.promoCode = quote.discounts[0].code;
+        reservation.discountAmount = quote.discountTotal;
+      }
 
       if (!reservation.tickets[0]?.email && userInfo.email) {
         reservation.tickets = reservation.tickets.map(ticket => ({
-          ...ticket,
+          ...ticket.toObject(),
           email: userInfo.email || ticket.email,
           nombre: userInfo.nombre || ticket.nombre,
           apellido: userInfo.apellido || ticket.apellido
@@ -145,7 +206,37 @@ async function processApprovedPayment(payment) {
       console.log(`Reserva actualizada: ${reservation.reservationCode}`);
     }
 
-    await updateEventAfterPayment(metadata, tickets);
+    if (reservation.inventoryPending) {
+      const inventory = await updateEventAfterPayment(metadata, tickets, orderId);
+      await markWaitlistClaimed(orderId);
+      if (inventory.soldOut) {
+        // El pago ya se cobró pero la etapa se agotó mientras tanto: dejarlo marcado para revisión
+        reservation.paymentStatusDetail = 'stage_sold_out_after_payment';
+      }
+      reservation.inventoryPending = false;
+      await reservation.save();
+    }
+
+    if (reservation.promoPending) {
+      await confirmPromoRedemption(orderId, reservation._id);
+      reservation.promoPending = false;
+      await reservation.save();
+    }
+
+    if (quote) {
+      await quote.recordPayment(payment, !amountMismatch);
+    }
+
+    if (amountMismatch) {
+      // Queda para revisión manual: ver GET /api/mercadopago/quotes/mismatches
+      // (los pagos sin cotización aparecen en missingQuotes)
+      return;
+    }
+
+    // El email tiene dedupeKey por reserva: retomar no lo manda dos veces
+    if (reservation.paymentStatusDetail !== 'stage_sold_out_after_payment') {
+      await queueReservationEmails('purchase_confirmation', reservation);
+    }
 
   } catch (error) {
     console.error('Error processing approved payment:', error);
@@ -153,8 +244,12 @@ async function processApprovedPayment(payment) {
   }
 }
 
-async function processRejectedPayment(orderId, statusDetail) {
+async function processRejectedPayment(orderId, statusDetail, payment) {
   try {
+    const hold = await TicketHold.release(orderId, 'rejected');
+    if (hold) notifyInventoryReleased(hold.eventId);
+    await releasePromoRedemption(orderId);
+
     const reservation = await Reservation.findOne({ orderId: orderId });
     if (reservation) {
       reservation.paymentStatus = 'rejected';
@@ -164,6 +259,16 @@ async function processRejectedPayment(orderId, statusDetail) {
       await reservation.save();
       console.log(`Pago rechazado para reserva: ${reservation.reservationCode}`);
     }
+
+    const metadata = payment?.metadata || {};
+    await queueEmail('payment_rejected', reservation?.tickets[0]?.email || metadata.customer_email || payment?.payer?.email, {
+      eventTitle: reservation?.eventTitle || metadata.event_title || 'tu evento',
+      statusDetail
+    }, {
+      dedupeKey: payment ? `payment_rejected:${payment.id}` : undefined,
+      eventId: reservation?.eventId,
+      reservationId: reservation?._id
+    });
   } catch (error) {
     console.error('Error processing rejected payment:', error);
   }
@@ -171,6 +276,10 @@ async function processRejectedPayment(orderId, statusDetail) {
 
 async function processCancelledPayment(orderId) {
   try {
+    const hold = await TicketHold.release(orderId, 'cancelled');
+    if (hold) notifyInventoryReleased(hold.eventId);
+    await releasePromoRedemption(orderId);
+
     const reservation = await Reservation.findOne({ orderId: orderId });
     if (reservation) {
       reservation.paymentStatus = 'cancelled';
@@ -199,46 +308,75 @@ async function processPendingPayment(orderId, status) {
   }
 }
 
-async function updateEventAfterPayment(metadata, ticketsCount) {
+async function updateEventAfterPayment(metadata, ticketsCount, orderId) {
   try {
-    const event = await Event.findById(metadata.event_id);
-    if (!event) return;
-
-    if (metadata.pre_sale_stage !== undefined) {
-      const stageIndex = parseInt(metadata.pre_sale_stage);
-      if (event.preSaleStages && event.preSaleStages[stageIndex]) {
-        event.preSaleStages[stageIndex].ticketsSold += ticketsCount;
-        await event.save();
-        console.log(`Actualizada etapa ${stageIndex} del evento ${event.title}: +${ticketsCount} entradas`);
-      }
+    if (metadata.pre_sale_stage === undefined || metadata.pre_sale_stage === null) {
+      return { soldOut: false };
+    }
+
+    // Si el checkout tenía un hold vigente, las entradas ya estaban apartadas
+    const hold = await TicketHold.convert(orderId);
+    if (hold) {
+      console.log(`Hold convertido en venta para orden ${orderId}: ${hold.quantity} entradas`);
+      return { soldOut: false };
     }
+
+    // Sin hold (vencido o checkout anterior a los holds): descontar directo de la etapa
+
+    const stageIndex = parseInt(metadata.pre_sale_stage);
+    const event = await Event.reserveStageTickets(metadata.event_id, stageIndex, ticketsCount, {
+      requireActive: false
+    });
+    console.log(`Actualizada etapa ${stageIndex} del evento ${event.title}: +${ticketsCount} entradas`);
+    return { soldOut: false };
   } catch (error) {
+    if (error instanceof InventoryError && ['STAGE_SOLD_OUT', 'CATEGORY_SOLD_OUT', 'VENUE_SOLD_OUT'].includes(error.code)) {
+      console.error(`⚠️ Etapa ${metadata.pre_sale_stage} agotada al confirmar pago del evento ${metadata.event_id}`);
+      return { soldOut: true };
+    }
     console.error('Error updating event after payment:', error);
+    if (error instanceof InventoryError) {
+      return { soldOut: false };
+    }
+    // Error transitorio (base de datos): la reserva queda con inventoryPending y
+    // el reintento del webhook lo vuelve a aplicar
+    throw error;
   }
 }
 
 // POST /api/mercadopago/create-preference - VERSIÓN COMPLETAMENTE CORREGIDA
-router.post('/create-preference', async (req, res) => {
+router.post('/create-preference', optionalCustomer, async (req, res) => {
   try {
     console.log('=== INICIANDO CREACIÓN DE PREFERENCIA ===');
     console.log('Body recibido:', JSON.stringify(req.body, null, 2));
     
-    const { items, orderId, eventId, tickets, customer, metadata = {} } = req.body;
+    const { orderId, eventId, customer, metadata = {} } = req.body;
+    const tickets = parseInt(req.body.tickets);
 
-    // Validaciones mejoradas
-    if (!items || !Array.isArray(items) || items.length === 0) {
+    // Los items y precios que envíe el cliente se ignoran: el backend es el único
+    // que define el precio de la orden
+    if (!orderId || !eventId || !req.body.tickets) {
       return res.status(400).json({
         success: false,
-        message: 'Items es requerido y debe ser un array no vacío',
-        code: 'INVALID_ITEMS'
+        message: 'Faltan campos requeridos: orderId, eventId, tickets',
+        code: 'MISSING_REQUIRED_FIELDS'
       });
     }
 
-    if (!orderId || !eventId || !tickets) {
+    if (isNaN(tickets) || tickets < 1) {
       return res.status(400).json({
         success: false,
-        message: 'Faltan campos requeridos: orderId, eventId, tickets',
-        code: 'MISSING_REQUIRED_FIELDS'
+        message: 'La cantidad de entradas debe ser al menos 1',
+        code: 'INVALID_TICKETS'
+      });
+    }
+
+    // Tope general por orden (la categoría de la etapa puede tener uno menor)
+    if (tickets > Event.MAX_TICKETS_PER_ORDER) {
+      return res.status(400).json({
+        success: false,
+        message: `Se pueden comprar hasta ${Event.MAX_TICKETS_PER_ORDER} entradas por orden`,
+        code: 'INVALID_TICKETS'
       });
     }
 
@@ -251,7 +389,11 @@ router.post('/create-preference', async (req, res) => {
       });
     }
 
-    if (event.status !== 'active') {
+    // Orden con entradas ya retenidas (ej: oferta de lista de espera): las entradas
+    // ya están apartadas para esta orden, así que no se vuelve a chequear disponibilidad
+    const existingHold = await TicketHold.findOne({ orderId, status: 'held', expiresAt: { $gt: new Date() } });
+
+    if (!existingHold && event.status !== 'active') {
       return res.status(400).json({
         success: false,
         message: 'El evento no está disponible para reservas',
@@ -260,33 +402,8 @@ router.post('/create-preference', async (req, res) => {
       });
     }
 
-    let unitPrice = event.basePrice || event.price || 0;
-    let stageName = 'Precio regular';
-    
-    if (metadata.pre_sale_stage !== undefined) {
-      const stageIndex = parseInt(metadata.pre_sale_stage);
-      const stage = event.preSaleStages?.[stageIndex];
-      
-      if (stage && stage.isActive && new Date(stage.endDate) > new Date()) {
-        unitPrice = stage.price;
-        stageName = stage.name;
-        
-        if (stage.ticketsSold + tickets > stage.ticketLimit) {
-          return res.status(400).json({
-            success: false,
-            message: `No hay suficientes entradas disponibles en la etapa ${stageName}`,
-            code: 'STAGE_SOLD_OUT',
-            available: stage.ticketLimit - stage.ticketsSold
-          });
-        }
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'La etapa de preventa seleccionada no está disponible',
-          code: 'STAGE_NOT_AVAILABLE'
-        });
-      }
-    }
+    // RRPP del link/código: si no es válido la compra sigue sin atribución
+    const attribution = await resolvePromoterAttribution(req.body.promoterCode || metadata.promoter_code, event._id);
 
     const isFreeTicket = metadata.is_free_ticket === true;
     if (isFreeTicket) {
@@ -309,7 +426,13 @@ router.post('/create-preference', async (req, res) => {
       }
 
       try {
-        const reservation = await createFreeTicketReservation(event, tickets, orderId, metadata);
+        // La cuenta sale de la sesión, nunca de la metadata que manda el cliente
+        const reservation = await createFreeTicketReservation(event, tickets, orderId, {
+          ...metadata,
+          customer_id: req.customer ? String(req.customer._id) : null,
+          promoter_id: attribution.promoterId ? String(attribution.promoterId) : null,
+          promoter_code: attribution.promoterCode
+        });
         
         return res.json({
           success: true,
@@ -325,6 +448,15 @@ router.post('/create-preference', async (req, res) => {
           }
         });
       } catch (error) {
+        if (error instanceof InventoryError) {
+          return res.status(400).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            available: error.available
+          });
+        }
+
         console.error('Error creating free ticket reservation:', error);
         return res.status(500).json({
           success: false,
@@ -335,32 +467,168 @@ router.post('/create-preference', async (req, res) => {
       }
     }
 
-    // PREPARAR ITEMS PARA MERCADOPAGO - VERSIÓN CORREGIDA
-    const mpItems = items.map((item, index) => {
-      // Validar y asegurar tipos de datos correctos
-      const title = (item.title || `Entrada para ${event.title}`).substring(0, 200);
-      const unit_price = parseFloat(item.unit_price) || parseFloat(unitPrice);
-      const quantity = parseInt(item.quantity) || parseInt(tickets);
-      const description = (item.description || `Evento: ${event.title} - ${stageName}`).substring(0, 200);
+    // Una orden ya cobrada no se vuelve a cotizar
+    const previousQuote = await OrderQuote.findOne({ orderId });
+    if (previousQuote && previousQuote.status !== 'quoted') {
+      return res.status(409).json({
+        success: false,
+        message: 'La orden ya fue pagada',
+        code: 'ORDER_ALREADY_PAID'
+      });
+    }
 
-      if (isNaN(unit_price) || unit_price <= 0) {
-        throw new Error(`Precio unitario inválido para item ${index}: ${item.unit_price}`);
+    // Etapa a cobrar: la elegida, la ya retenida para la orden o la etapa vigente
+    // del evento (o de la categoría pedida)
+    const categoryKey = req.body.category || metadata.ticket_category;
+    let stageIndex = null;
+    if (metadata.pre_sale_stage !== undefined && metadata.pre_sale_stage !== null) {
+      stageIndex = parseInt(metadata.pre_sale_stage);
+    } else if (existingHold) {
+      stageIndex = existingHold.preSaleStageIndex;
+    } else if (categoryKey) {
+      const currentStage = event.getCurrentStage(categoryKey);
+      if (!currentStage) {
+        return res.status(400).json({
+          success: false,
+          message: 'La categoría seleccionada no tiene una etapa de venta vigente',
+          code: 'CATEGORY_NOT_AVAILABLE'
+        });
       }
+      stageIndex = event.preSaleStages.indexOf(currentStage);
+    } else if (event.currentPreSaleStage) {
+      stageIndex = event.preSaleStages.indexOf(event.currentPreSaleStage);
+    }
+
+    let ticketCategory = null;
+    if (existingHold && (
+      !existingHold.eventId.equals(event._id) ||
+      existingHold.preSaleStageIndex !== stageIndex ||
+      existingHold.quantity !== tickets
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'La orden no coincide con las entradas reservadas',
+        code: 'HOLD_MISMATCH'
+      });
+    }
 
-      if (isNaN(quantity) || quantity <= 0) {
-        throw new Error(`Cantidad inválida para item ${index}: ${item.quantity}`);
+    if (stageIndex !== null) {
+      const stage = event.preSaleStages?.[stageIndex];
+      
+      if (!stage || !stage.isActive || new Date(stage.endDate) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'La etapa de preventa seleccionada no está disponible',
+          code: 'STAGE_NOT_AVAILABLE'
+        });
       }
 
-      return {
-        id: `item_${index + 1}`,
-        title: title,
-        unit_price: unit_price,
-        quantity: quantity,
-        currency_id: 'ARS',
-        description: description,
-        picture_url: item.picture_url || event.image
-      };
+      // Cada categoría vende una etapa por vez: la siguiente abre cuando cierra la anterior
+      if (!existingHold && event.getStageState(stageIndex) === 'upcoming') {
+        return res.status(400).json({
+          success: false,
+          message: `La etapa ${stage.name} todavía no está a la venta`,
+          code: 'STAGE_NOT_OPEN'
+        });
+      }
+
+      if (categoryKey && (stage.category || 'general') !== categoryKey) {
+        return res.status(400).json({
+          success: false,
+          message: 'La etapa seleccionada no pertenece a la categoría pedida',
+          code: 'CATEGORY_MISMATCH'
+        });
+      }
+
+      try {
+        ticketCategory = event.assertCategoryPurchase(stageIndex, tickets);
+      } catch (categoryError) {
+        if (categoryError instanceof InventoryError) {
+          return res.status(400).json({
+            success: false,
+            message: categoryError.message,
+            code: categoryError.code,
+            available: categoryError.available
+          });
+        }
+        throw categoryError;
+      }
+
+      if (!existingHold && stage.ticketsAvailable < tickets) {
+        return res.status(400).json({
+          success: false,
+          message: `No hay suficientes entradas disponibles en la etapa ${stage.name}`,
+          code: 'STAGE_SOLD_OUT',
+          available: stage.ticketsAvailable
+        });
+      }
+
+      const venueAvailable = event.occupancy.available;
+      if (!existingHold && venueAvailable !== null && venueAvailable < tickets) {
+        return res.status(400).json({
+          success: false,
+          message: 'El evento alcanzó la capacidad del lugar',
+          code: 'VENUE_SOLD_OUT',
+          available: venueAvailable
+        });
+      }
+    } else if (event.capacity) {
+      // Las ventas a precio base no descuentan inventario: con capacidad definida
+      // todas las entradas pagas tienen que salir de una etapa
+      return res.status(400).json({
+        success: false,
+        message: 'No hay una etapa de venta vigente para este evento',
+        code: 'STAGE_NOT_AVAILABLE'
+      });
+    }
+
+    // CÓDIGO PROMOCIONAL (opcional)
+    const promoCodeInput = req.body.promoCode || metadata.promo_code;
+    const customerEmail = metadata.customer_email || customer?.email;
+    let promo = null;
+    let promoDiscount = null;
+    if (promoCodeInput) {
+      try {
+        ({ promo, discount: promoDiscount } = await evaluatePromoCode({
+          code: promoCodeInput,
+          event,
+          stageIndex,
+          quantity: tickets,
+          email: customerEmail
+        }));
+      } catch (promoError) {
+        if (promoError instanceof PromoCodeError) {
+          return res.status(promoError.status).json({
+            success: false,
+            message: promoError.message,
+            code: promoError.code
+          });
+        }
+        throw promoError;
+      }
+    }
+
+    // COTIZAR LA ORDEN DEL LADO DEL SERVIDOR
+    const quote = quoteOrder(event, {
+      stageIndex,
+      quantity: tickets,
+      discounts: promoDiscount ? [promoDiscount] : []
     });
+    if (quote.total <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El total de la orden debe ser mayor a cero',
+        code: 'INVALID_PRICE'
+      });
+    }
+
+    await OrderQuote.findOneAndUpdate(
+      { orderId, status: 'quoted' },
+      { $set: { eventId: event._id, ...quote } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    const mpItems = buildPreferenceItems(quote, event);
 
     // PREPARAR PAYER - VERSIÓN CORREGIDA
     const payer = customer ? {
@@ -381,8 +649,11 @@ router.post('/create-preference', async (req, res) => {
     const extendedMetadata = {
       event_id: eventId.toString(),
       event_title: event.title.substring(0, 100),
-      tickets: parseInt(tickets),
-      pre_sale_stage: metadata.pre_sale_stage,
+      tickets: tickets,
+      pre_sale_stage: stageIndex,
+      ticket_category: ticketCategory ? ticketCategory.key : undefined,
+      quote_total: quote.total,
+      promo_code: promo ? promo.code : undefined,
       is_free_ticket: false,
       session_id: metadata.session_id || 'default_session',
       device_id: metadata.device_id || 'default_device',
@@ -390,10 +661,66 @@ router.post('/create-preference', async (req, res) => {
       customer_email: metadata.customer_email || payer.email,
       customer_name: metadata.customer_name || `${payer.name} ${payer.surname}`,
       customer_phone: metadata.customer_phone || payer.phone?.number,
+      customer_id: req.customer ? String(req.customer._id) : undefined,
+      promoter_id: attribution.promoterId ? String(attribution.promoterId) : undefined,
+      promoter_code: attribution.promoterCode || undefined,
       source: 'bardo_web_app',
       timestamp: new Date().toISOString()
     };
 
+    // RETENER LAS ENTRADAS DE LA ETAPA MIENTRAS EL CLIENTE PAGA
+    let hold = null;
+    if (stageIndex !== null) {
+      try {
+        hold = await TicketHold.place({
+          eventId: event._id,
+          stageIndex,
+          quantity: tickets,
+          orderId: orderId
+        });
+      } catch (holdError) {
+        if (holdError instanceof InventoryError) {
+          return res.status(400).json({
+            success: false,
+            message: holdError.message,
+            code: holdError.code,
+            available: holdError.available
+          });
+        }
+        throw holdError;
+      }
+    }
+
+    // RESERVAR EL USO DEL CÓDIGO PROMOCIONAL POR EL MISMO PLAZO QUE LAS ENTRADAS
+    if (promo) {
+      try {
+        await redeemPromoCode(promo, {
+          orderId,
+          eventId: event._id,
+          email: customerEmail,
+          tickets,
+          discountAmount: quote.discountTotal,
+          expiresAt: hold ? hold.expiresAt : new Date(Date.now() + TicketHold.HOLD_MINUTES * 60 * 1000)
+        });
+      } catch (promoError) {
+        if (hold && !existingHold) {
+          await TicketHold.release(orderId, 'preference_error');
+          notifyInventoryReleased(event._id);
+        }
+        if (promoError instanceof PromoCodeError) {
+          return res.status(promoError.status).json({
+            success: false,
+            message: promoError.message,
+            code: promoError.code
+          });
+        }
+        throw promoError;
+      }
+    } else {
+      // Reintento sin código de una orden que antes lo tenía
+      await releasePromoRedemption(orderId);
+    }
+
     // URLs FIJAS PARA EVITAR PROBLEMAS
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8100';
     const backendUrl = process.env.BACKEND_URL || 'https://bardobackend.onrender.com';
@@ -415,7 +742,9 @@ router.post('/create-preference', async (req, res) => {
       external_reference: orderId.substring(0, 256),
       notification_url: `${backendUrl}/api/mercadopago/webhook`,
       statement_descriptor: 'BARDOEVENTS',
-      expires: false,
+      // La preferencia vence junto con el hold para no cobrar entradas ya liberadas
+      expires: Boolean(hold),
+      expiration_date_to: hold ? hold.expiresAt.toISOString() : undefined,
       binary_mode: true,
       payment_methods: {
         excluded_payment_types: [
@@ -446,12 +775,21 @@ router.post('/create-preference', async (req, res) => {
         initPoint: response.init_point,
         sandboxInitPoint: response.sandbox_init_point,
         orderId: orderId,
-        amount: unitPrice * tickets,
-        isFreeTicket: false
+        amount: quote.total,
+        quote,
+        isFreeTicket: false,
+        holdExpiresAt: hold ? hold.expiresAt : null
       });
 
     } catch (mpError) {
       console.error('❌ Error de MercadoPago:', mpError);
+
+      // Si las entradas ya estaban retenidas antes (lista de espera) se conservan para reintentar
+      if (hold && !existingHold) {
+        await TicketHold.release(orderId, 'preference_error');
+        notifyInventoryReleased(event._id);
+      }
+      await releasePromoRedemption(orderId);
       
       // ANÁLISIS DETALLADO DEL ERROR
       if (mpError.message && mpError.message.includes('401')) {
@@ -504,11 +842,11 @@ router.post('/create-preference', async (req, res) => {
 });
 
 // POST /api/mercadopago/direct-reservation - VERSIÓN CORREGIDA
-router.post('/direct-reservation', async (req, res) => {
+router.post('/direct-reservation', optionalCustomer, async (req, res) => {
   try {
     console.log('Creando reserva directa...');
     
-    const { eventId, tickets, customerInfo, metadata = {} } = req.body;
+    const { eventId, tickets, customerInfo, promoterCode, metadata = {} } = req.body;
 
     if (!eventId || !tickets) {
       return res.status(400).json({
@@ -535,6 +873,8 @@ router.post('/direct-reservation', async (req, res) => {
       });
     }
 
+    const attribution = await resolvePromoterAttribution(promoterCode || metadata.promoter_code, event._id);
+
     const orderId = `DIRECT_${eventId}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
 
     const userInfo = {
@@ -544,6 +884,12 @@ router.post('/direct-reservation', async (req, res) => {
       telefono: customerInfo?.phone || ''
     };
 
+    // Descontar el cupo de entradas gratis de forma atómica (si el evento lo usa)
+    const claimsQuota = Boolean(event.freeTickets?.enabled);
+    if (claimsQuota) {
+      await Event.claimFreeTickets(eventId, tickets);
+    }
+
     const reservation = new Reservation({
       eventId: eventId,
       eventTitle: event.title,
@@ -555,20 +901,26 @@ router.post('/direct-reservation', async (req, res) => {
       totalAmount: 0,
       isPaid: true,
       isFreeTicket: true,
+      customerId: req.customer ? req.customer._id : null,
+      promoterId: attribution.promoterId,
+      promoterCode: attribution.promoterCode,
       userIdentifier: metadata.user_identifier,
       sessionId: metadata.session_id,
       deviceId: metadata.device_id,
       source: 'bardo_web_app_direct'
     });
 
-    await reservation.save();
-
-    if (event.freeTickets?.enabled) {
-      event.freeTickets.ticketsClaimed += tickets;
-      await event.save();
+    try {
+      await reservation.save();
+    } catch (saveError) {
+      if (claimsQuota) {
+        await Event.releaseFreeTickets(eventId, tickets);
+      }
+      throw saveError;
     }
 
     console.log(`✅ Reserva directa creada: ${reservation.reservationCode}`);
+    await queueReservationEmails('free_ticket_confirmation', reservation, { event });
 
     res.json({
       success: true,
@@ -584,6 +936,15 @@ router.post('/direct-reservation', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        available: error.available
+      });
+    }
+
     console.error('Error creating direct reservation:', error);
     res.status(500).json({
       success: false,
@@ -596,47 +957,95 @@ router.post('/direct-reservation', async (req, res) => {
 
 // ... (EL RESTO DE LOS ENDPOINTS SE MANTIENEN IGUAL) ...
 
+// Aplicar el estado de un pago a la reserva y al inventario
+async function applyPaymentStatus(payment) {
+  const orderId = payment.external_reference;
+
+  // Compras de la reventa: los reembolsos y contracargos siguen el camino común
+  if (payment.metadata?.resale_listing_id && ['approved', 'rejected', 'cancelled'].includes(payment.status)) {
+    await processResalePayment(payment);
+    return;
+  }
+
+  switch (payment.status) {
+    case 'approved':
+      await processApprovedPayment(payment);
+      // Reembolsos parciales: el pago sigue aprobado
+      if (payment.refunds?.length > 0) {
+        await syncRefundsFromPayment(payment);
+      }
+      break;
+    case 'rejected':
+      await processRejectedPayment(orderId, payment.status_detail, payment);
+      break;
+    case 'cancelled':
+      await processCancelledPayment(orderId);
+      break;
+    case 'pending':
+    case 'in_process':
+      await processPendingPayment(orderId, payment.status);
+      break;
+    case 'refunded':
+      await syncRefundsFromPayment(payment);
+      break;
+    case 'charged_back':
+      await processChargeback(payment);
+      break;
+    default:
+      console.log(`Estado de pago no manejado: ${payment.status}`);
+  }
+}
+
 // POST /api/mercadopago/webhook - Webhook para notificaciones
-router.post('/webhook', async (req, res) => {
+// Verifica la firma, registra cada notificación (pago + estado) y solo aplica
+// una vez los cambios, aunque MercadoPago la reenvíe varias veces.
+router.post('/webhook', verifyMercadoPagoSignature, async (req, res) => {
   try {
     console.log('📨 Webhook recibido:', req.body);
     
-    const { type, data } = req.body;
+    const type = req.body.type || req.query.type || req.query.topic;
+    // Mismo id que validó la firma (notificaciones IPN viejas sin firma: ?id=)
+    const paymentId = getNotificationDataId(req) || req.query.id;
 
-    if (type === 'payment') {
-      const paymentId = data.id;
-      
-      try {
-        const payment = await paymentClient.get({ id: paymentId });
-        const orderId = payment.external_reference;
-        const status = payment.status;
-        
-        console.log(`Webhook procesando - Payment: ${paymentId}, Status: ${status}, Order: ${orderId}`);
-
-        switch (status) {
-          case 'approved':
-            await processApprovedPayment(payment);
-            break;
-          case 'rejected':
-            await processRejectedPayment(orderId, payment.status_detail);
-            break;
-          case 'cancelled':
-            await processCancelledPayment(orderId);
-            break;
-          case 'pending':
-          case 'in_process':
-            await processPendingPayment(orderId, status);
-            break;
-          default:
-            console.log(`Estado de pago no manejado: ${status}`);
-        }
+    if (type !== 'payment' || !paymentId) {
+      return res.status(200).send('OK');
+    }
 
-        console.log(`✅ Webhook procesado - Payment: ${paymentId}, Status: ${status}`);
-      } catch (webhookError) {
-        console.error('❌ Error procesando webhook:', webhookError);
-      }
+    // El estado se consulta siempre a la API, nunca se toma del body
+    const payment = await paymentClient.get({ id: paymentId });
+    const orderId = payment.external_reference;
+    const status = payment.status;
+
+    console.log(`Webhook procesando - Payment: ${paymentId}, Status: ${status}, Order: ${orderId}`);
+
+    const { webhookEvent, shouldProcess } = await WebhookEvent.claim({
+      paymentId: payment.id,
+      status,
+      refundsCount: payment.refunds?.length || 0,
+      type,
+      orderId,
+      payload: req.body
+    });
+
+    if (!shouldProcess) {
+      console.log(`↩️ Webhook ya procesado - Payment: ${paymentId}, Status: ${status} (recibido ${webhookEvent.receivedCount} veces)`);
+      return res.status(200).send('OK');
+    }
+
+    try {
+      await applyPaymentStatus(payment);
+      await webhookEvent.markProcessed();
+    } catch (webhookError) {
+      console.error('❌ Error procesando webhook:', webhookError);
+      await webhookEvent.markFailed(webhookError);
+      // Responder con error para que MercadoPago reintente la notificación
+      return res.status(500).json({
+        message: 'Error processing webhook',
+        code: 'WEBHOOK_PROCESSING_ERROR'
+      });
     }
 
+    console.log(`✅ Webhook procesado - Payment: ${paymentId}, Status: ${status}`);
     res.status(200).send('OK');
   } catch (error) {
     console.error('💥 Error general en webhook:', error);
@@ -779,26 +1188,18 @@ router.get('/reservation/:orderId', async (req, res) => {
   }
 });
 
-// GET /api/mercadopago/user/reservations - Obtener reservas por usuario
-router.get('/user/reservations', async (req, res) => {
+// GET /api/mercadopago/user/reservations - Reservas del cliente logueado
+// Ya no se busca por userIdentifier/deviceId/sessionId: son valores que manda el
+// navegador (y 'default_user' es compartido), así que exponían reservas ajenas.
+// Incluye las reservas vinculadas a la cuenta y, con email verificado, las de ese email.
+router.get('/user/reservations', requireCustomer, async (req, res) => {
   try {
-    const { userIdentifier, deviceId, sessionId, email } = req.query;
-
-    if (!userIdentifier && !deviceId && !sessionId && !email) {
-      return res.status(400).json({
-        message: 'Se requiere al menos un criterio de búsqueda',
-        code: 'MISSING_SEARCH_CRITERIA'
-      });
+    const criteria = [{ customerId: req.customer._id }];
+    if (req.customer.emailVerifiedAt) {
+      criteria.push({ 'tickets.email': req.customer.email });
     }
 
-    let query = {};
-    
-    if (userIdentifier) query.userIdentifier = userIdentifier;
-    else if (deviceId) query.deviceId = deviceId;
-    else if (sessionId) query.sessionId = sessionId;
-    else if (email) query['tickets.email'] = email;
-
-    const reservations = await Reservation.find(query)
+    const reservations = await Reservation.find({ $or: criteria })
       .populate('eventId', 'title date location image')
       .sort({ reservationDate: -1 });
 
@@ -836,14 +1237,21 @@ router.get('/user/reservations', async (req, res) => {
   }
 });
 
-// PATCH /api/mercadopago/reservation/:orderId/contact - Actualizar contacto
-router.patch('/reservation/:orderId/contact', async (req, res) => {
+// POST /api/mercadopago/reservation/:orderId/refund - Reembolso total o parcial (admin)
+// Body: { amount?, tickets?, reason } - sin amount se reembolsa el saldo completo
+router.post('/reservation/:orderId/refund', requireAuth, requireRole('owner'), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { email, phone, name, surname } = req.body;
+    const { amount, tickets, reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        message: 'El motivo del reembolso es requerido',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
 
     const reservation = await Reservation.findOne({ orderId: orderId });
-    
     if (!reservation) {
       return res.status(404).json({
         message: 'Reserva no encontrada',
@@ -851,16 +1259,199 @@ router.patch('/reservation/:orderId/contact', async (req, res) => {
       });
     }
 
-    if (email || name) {
-      reservation.tickets = reservation.tickets.map(ticket => ({
-        ...ticket,
-        email: email || ticket.email,
-        nombre: name || ticket.nombre,
-        apellido: surname || ticket.apellido,
-        telefono: phone || ticket.telefono
-      }));
+    const result = await refundReservation(reservation, {
+      amount,
+      tickets,
+      reason: reason.trim(),
+      operator: req.admin
+    });
+
+    res.json({
+      success: true,
+      message: 'Reembolso procesado exitosamente',
+      mpRefundId: result.mpRefundId,
+      reservation: {
+        reservationCode: result.reservation.reservationCode,
+        paymentStatus: result.reservation.paymentStatus,
+        totalAmount: result.reservation.totalAmount,
+        refundedAmount: result.reservation.refundedAmount,
+        ticketsReturned: result.reservation.ticketsReturned,
+        refunds: result.reservation.refunds
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
     }
 
+    console.error('Error processing refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al procesar el reembolso',
+      code: 'REFUND_ERROR'
+    });
+  }
+});
+
+// GET /api/mercadopago/reservation/:orderId/refunds - Historial de reembolsos (admin)
+router.get('/reservation/:orderId/refunds', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const reservation = await Reservation.findOne({ orderId: req.params.orderId })
+      .select('reservationCode paymentStatus totalAmount refundedAmount ticketsReturned refunds');
+
+    if (!reservation) {
+      return res.status(404).json({
+        message: 'Reserva no encontrada',
+        code: 'RESERVATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      reservationCode: reservation.reservationCode,
+      paymentStatus: reservation.paymentStatus,
+      totalAmount: reservation.totalAmount,
+      refundedAmount: reservation.refundedAmount,
+      ticketsReturned: reservation.ticketsReturned,
+      refunds: reservation.refunds
+    });
+
+  } catch (error) {
+    console.error('Error getting refunds:', error);
+    res.status(500).json({
+      message: 'Error al obtener los reembolsos',
+      code: 'REFUNDS_ERROR'
+    });
+  }
+});
+
+// GET /api/mercadopago/quotes/mismatches - Pagos cuyo monto no coincide con la cotización
+router.get('/quotes/mismatches', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const quotes = await OrderQuote.find({ status: 'amount_mismatch', reviewedAt: null })
+      .sort({ paidAt: -1 });
+
+    const reservations = await Reservation.find({ orderId: { $in: quotes.map(quote => quote.orderId) } })
+      .select('orderId reservationCode eventTitle status paymentStatus totalAmount');
+    const byOrderId = new Map(reservations.map(reservation => [reservation.orderId, reservation]));
+
+    // Pagos aprobados sin cotización registrada: no hay contra qué comparar el monto
+    const missingQuotes = await Reservation.find({ status: 'under_review', paymentStatusDetail: 'missing_quote' })
+      .select('orderId reservationCode eventId eventTitle status paymentStatus paymentId totalAmount paidAt')
+      .sort({ paidAt: -1 });
+
+    res.json({
+      mismatches: quotes.map(quote => ({
+        orderId: quote.orderId,
+        eventId: quote.eventId,
+        quoted: quote.total,
+        paid: quote.paidAmount,
+        difference: Math.round((quote.paidAmount - quote.total) * 100) / 100,
+        paymentId: quote.paymentId,
+        paidAt: quote.paidAt,
+        breakdown: quote.toBreakdown(),
+        reservation: byOrderId.get(quote.orderId) || null
+      })),
+      missingQuotes
+    });
+
+  } catch (error) {
+    console.error('Error getting quote mismatches:', error);
+    res.status(500).json({
+      message: 'Error al obtener los pagos en revisión',
+      code: 'MISMATCHES_ERROR'
+    });
+  }
+});
+
+// POST /api/mercadopago/reservation/:orderId/review - Aceptar un pago en revisión y emitir las entradas.
+// Para rechazarlo se reembolsa con POST /reservation/:orderId/refund.
+router.post('/reservation/:orderId/review', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const reservation = await Reservation.findOne({ orderId: req.params.orderId });
+    if (!reservation) {
+      return res.status(404).json({
+        message: 'Reserva no encontrada',
+        code: 'RESERVATION_NOT_FOUND'
+      });
+    }
+
+    if (reservation.status !== 'under_review') {
+      return res.status(400).json({
+        message: 'La reserva no está en revisión',
+        code: 'NOT_UNDER_REVIEW'
+      });
+    }
+
+    reservation.status = 'confirmed';
+    reservation.paymentStatusDetail = reservation.paymentStatusDetail === 'missing_quote'
+      ? 'missing_quote_accepted'
+      : 'amount_mismatch_accepted';
+    await reservation.save();
+
+    await OrderQuote.updateOne(
+      { orderId: reservation.orderId },
+      { $set: { reviewedAt: new Date(), reviewedByEmail: req.admin.email } }
+    );
+
+    if (reservation.paymentStatus === 'approved') {
+      await queueReservationEmails('purchase_confirmation', reservation);
+    }
+
+    res.json({
+      message: 'Pago aceptado y entradas emitidas',
+      reservationCode: reservation.reservationCode
+    });
+
+  } catch (error) {
+    console.error('Error reviewing reservation:', error);
+    res.status(500).json({
+      message: 'Error al revisar la reserva',
+      code: 'REVIEW_ERROR'
+    });
+  }
+});
+
+// PATCH /api/mercadopago/reservation/:orderId/contact - Actualizar el teléfono de contacto
+// Solo el dueño de la reserva (sesión de cliente). Nombre, apellido y email
+// identifican al titular de cada entrada: se cambian con una transferencia
+// (POST /api/transfers), que rota el QR, respeta el congelamiento y deja historial.
+router.patch('/reservation/:orderId/contact', requireCustomer, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { email, phone, name, surname } = req.body;
+
+    if (email || name || surname) {
+      return res.status(409).json({
+        message: 'Para cambiar el titular de una entrada usá la transferencia de entradas',
+        code: 'HOLDER_CHANGE_REQUIRES_TRANSFER'
+      });
+    }
+
+    if (!phone) {
+      return res.status(400).json({
+        message: 'Indicá el teléfono de contacto',
+        code: 'MISSING_CONTACT'
+      });
+    }
+
+    const reservation = await Reservation.findOne({ orderId: orderId, customerId: req.customer._id });
+    
+    if (!reservation) {
+      return res.status(404).json({
+        message: 'Reserva no encontrada',
+        code: 'RESERVATION_NOT_FOUND'
+      });
+    }
+
+    reservation.tickets.forEach(ticket => {
+      ticket.telefono = String(phone).trim();
+    });
+
     await reservation.save();
 
     res.json({
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { PromoCodeError } = require('../utils/errors');
+const { quoteOrder } = require('../services/pricing');
+const { evaluatePromoCode } = require('../services/promoCodes');
+
+// Campos editables de un código (el código en sí no cambia una vez creado)
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'value',
+  'eventId',
+  'preSaleStageIndexes',
+  'maxUses',
+  'maxUsesPerEmail',
+  'validFrom',
+  'validUntil',
+  'isActive'
+];
+
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+}
+
+function handleError(res, error) {
+  if (error instanceof PromoCodeError) {
+    return res.status(error.status).json({ valid: false, message: error.message, code: error.code });
+  }
+
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({ message: 'ID no válido' });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Error de validación',
+      errors
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'Ya existe un código con ese nombre', code: 'PROMO_CODE_EXISTS' });
+  }
+
+  res.status(500).json({ message: error.message });
+}
+
+// POST /api/promo-codes/validate - Validar un código antes del checkout (público)
+router.post('/validate', async (req, res) => {
+  try {
+    const { code, eventId, preSaleStageIndex, quantity, email } = req.body;
+
+    if (!code || !eventId || !quantity) {
+      return res.status(400).json({
+        valid: false,
+        message: 'Faltan campos requeridos: code, eventId, quantity',
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ valid: false, message: 'Evento no encontrado', code: 'EVENT_NOT_FOUND' });
+    }
+
+    // Misma regla que el checkout: sin etapa indicada se usa la etapa vigente
+    let stageIndex = null;
+    if (preSaleStageIndex !== undefined && preSaleStageIndex !== null) {
+      stageIndex = parseInt(preSaleStageIndex);
+    } else if (event.currentPreSaleStage) {
+      stageIndex = event.preSaleStages.indexOf(event.currentPreSaleStage);
+    }
+
+    const { promo, discount } = await evaluatePromoCode({
+      code,
+      event,
+      stageIndex,
+      quantity: parseInt(quantity),
+      email
+    });
+
+    res.json({
+      valid: true,
+      code: promo.code,
+      description: promo.description,
+      discountType: promo.discountType,
+      value: promo.value,
+      quote: quoteOrder(event, { stageIndex, quantity: parseInt(quantity), discounts: [discount] })
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/promo-codes - Listado de códigos (admin)
+router.get('/', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const { eventId, active } = req.query;
+
+    const query = {};
+    if (eventId) {
+      // Los códigos globales también aplican al evento
+      query.$or = [{ eventId }, { eventId: null }];
+    }
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const promoCodes = await PromoCode.find(query).sort({ createdAt: -1 });
+    res.json({ promoCodes: promoCodes.map(promo => promo.toPublicJSON()) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// POST /api/promo-codes - Crear un código
+router.post('/', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ message: 'El código es requerido', code: 'MISSING_REQUIRED_FIELDS' });
+    }
+
+    const promo = await PromoCode.create({
+      ...pickEditable(req.body),
+      code: PromoCode.normalizeCode(req.body.code),
+      createdBy: req.admin._id,
+      createdByEmail: req.admin.email
+    });
+
+    res.status(201).json({
+      message: 'Código promocional creado exitosamente',
+      promoCode: promo.toPublicJSON()
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// PATCH /api/promo-codes/:id - Modificar o desactivar un código
+router.patch('/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) {
+      return res.status(404).json({ message: 'Código promocional no encontrado' });
+    }
+
+    Object.assign(promo, pickEditable(req.body));
+    await promo.save();
+
+    res.json({
+      message: 'Código promocional actualizado exitosamente',
+      promoCode: promo.toPublicJSON()
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/promo-codes/:id/redemptions - Usos de un código
+router.get('/:id/redemptions', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const promo = await PromoCode.findById(req.params.id);
+    if (!promo) {
+      return res.status(404).json({ message: 'Código promocional no encontrado' });
+    }
+
+    const redemptions = await PromoRedemption.find({ promoCodeId: promo._id })
+      .populate('reservationId', 'reservationCode eventTitle totalAmount status paymentStatus')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      promoCode: promo.toPublicJSON(),
+      redemptions
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
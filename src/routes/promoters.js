@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const Promoter = require('../models/Promoter');
+const PromoterQuota = require('../models/PromoterQuota');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+function handleError(res, error) {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Error de validación',
+      errors
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'Ya existe un RRPP con ese código', code: 'PROMOTER_CODE_TAKEN' });
+  }
+
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({ message: 'ID no válido' });
+  }
+
+  res.status(500).json({ message: error.message });
+}
+
+router.use(requireAuth);
+
+// GET /api/promoters - Listado de RRPP
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const promoters = await Promoter.find(filter).sort({ name: 1 });
+    res.json({ promoters: promoters.map(promoter => promoter.toPublicJSON()) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/promoters/:id - RRPP con sus cupos por evento
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const promoter = await Promoter.findById(req.params.id);
+    if (!promoter) {
+      return res.status(404).json({ message: 'RRPP no encontrado', code: 'PROMOTER_NOT_FOUND' });
+    }
+
+    const quotas = await PromoterQuota.find({ promoterId: promoter._id }).populate('eventId', 'title date status');
+    res.json({
+      promoter: promoter.toPublicJSON(),
+      quotas: quotas.map(quota => {
+        const event = quota.eventId;
+        return {
+          ...quota.toPublicJSON(event),
+          eventId: event ? event._id : null,
+          event: event ? { title: event.title, date: event.date, status: event.status } : null
+        };
+      })
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// POST /api/promoters - Alta de RRPP (el token de acceso se muestra una sola vez)
+router.post('/', requireRole('owner'), async (req, res) => {
+  try {
+    const { name, code, email, phone } = req.body;
+
+    const promoter = new Promoter({ name, code, email, phone, createdBy: req.admin._id });
+    const accessToken = promoter.issueAccessToken();
+    await promoter.save();
+
+    res.status(201).json({
+      message: 'RRPP creado exitosamente',
+      promoter: promoter.toPublicJSON(),
+      accessToken
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// PATCH /api/promoters/:id - Editar datos o deshabilitar un RRPP
+router.patch('/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const promoter = await Promoter.findById(req.params.id);
+    if (!promoter) {
+      return res.status(404).json({ message: 'RRPP no encontrado', code: 'PROMOTER_NOT_FOUND' });
+    }
+
+    for (const field of ['name', 'code', 'email', 'phone', 'isActive']) {
+      if (req.body[field] !== undefined) promoter[field] = req.body[field];
+    }
+    await promoter.save();
+
+    res.json({ message: 'RRPP actualizado', promoter: promoter.toPublicJSON() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// POST /api/promoters/:id/access-token - Generar un token nuevo (invalida el anterior)
+router.post('/:id/access-token', requireRole('owner'), async (req, res) => {
+  try {
+    const promoter = await Promoter.findById(req.params.id);
+    if (!promoter) {
+      return res.status(404).json({ message: 'RRPP no encontrado', code: 'PROMOTER_NOT_FOUND' });
+    }
+
+    const accessToken = promoter.issueAccessToken();
+    await promoter.save();
+
+    res.json({ message: 'Token de acceso regenerado', accessToken });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// PUT /api/promoters/:id/events/:eventId - Asignar o modificar el cupo de invitados de un evento
+// Body: { guestQuota, cutoffAt (null = GUEST_LIST_CUTOFF_HOURS antes del evento), isActive }
+router.put('/:id/events/:eventId', requireRole('owner'), async (req, res) => {
+  try {
+    const { guestQuota, cutoffAt, isActive } = req.body;
+
+    const [promoter, event] = await Promise.all([
+      Promoter.findById(req.params.id),
+      Event.findById(req.params.eventId)
+    ]);
+    if (!promoter) {
+      return res.status(404).json({ message: 'RRPP no encontrado', code: 'PROMOTER_NOT_FOUND' });
+    }
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado', code: 'EVENT_NOT_FOUND' });
+    }
+
+    let quota = await PromoterQuota.findOne({ promoterId: promoter._id, eventId: event._id });
+    if (!quota) {
+      quota = new PromoterQuota({ promoterId: promoter._id, eventId: event._id, guestQuota: 0 });
+    }
+
+    if (guestQuota !== undefined) {
+      const value = parseInt(guestQuota);
+      if (isNaN(value) || value < quota.guestsAdded) {
+        return res.status(400).json({
+          message: `El cupo no puede ser menor a los ${quota.guestsAdded} invitados ya cargados`,
+          code: 'INVALID_QUOTA'
+        });
+      }
+      quota.guestQuota = value;
+    }
+    if (cutoffAt !== undefined) {
+      if (cutoffAt !== null && isNaN(new Date(cutoffAt).getTime())) {
+        return res.status(400).json({ message: 'La fecha de cierre no es válida', code: 'INVALID_CUTOFF' });
+      }
+      quota.cutoffAt = cutoffAt === null ? null : new Date(cutoffAt);
+    }
+    if (isActive !== undefined) quota.isActive = Boolean(isActive);
+
+    await quota.save();
+
+    res.json({ message: 'Cupo actualizado', quota: quota.toPublicJSON(event) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
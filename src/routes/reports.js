@@ -3,8 +3,17 @@ const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
 const Reservation = require('../models/Reservation');
+const PromoCode = require('../models/PromoCode');
+const ResaleListing = require('../models/ResaleListing');
 const mongoose = require('mongoose');
 const ExcelJS = require('exceljs');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { getPromoterRanking } = require('../services/promoters');
+const { getRevenueStats, emptyRevenueStats, classifyReservation } = require('../services/revenue');
+const { toDoorListRow, sortDoorList, writeDoorListPdf } = require('../services/doorList');
+
+// Todos los reportes exponen datos personales: solo owner y viewer
+router.use(requireAuth, requireRole('viewer'));
 
 
 // GET /api/reports/events-overview - Listado de eventos con estadísticas COMPLETAS
@@ -45,54 +54,32 @@ router.get('/events-overview', async (req, res) => {
       .limit(options.limit)
       .skip((options.page - 1) * options.limit);
     
+    // Ingresos y reservas de todos los eventos de la página, clasificados por estado de pago
+    const revenueByEvent = await getRevenueStats(
+      { eventId: { $in: events.map(event => event._id) } },
+      { groupBy: '$eventId' }
+    );
+
     // ✅ NUEVO: Obtener estadísticas COMPLETAS para cada evento
     const eventsWithCompleteStats = await Promise.all(
       events.map(async (event) => {
         try {
-          // Estadísticas de TODAS las reservas
-          const stats = await Reservation.aggregate([
-            { $match: { eventId: event._id } },
-            {
-              $group: {
-                _id: null,
-                totalReservations: { $sum: 1 },
-                totalTickets: { $sum: { $size: '$tickets' } },
-                totalRevenue: { $sum: '$totalAmount' },
-                freeReservations: {
-                  $sum: { $cond: [{ $eq: ['$totalAmount', 0] }, 1, 0] }
-                },
-                paidReservations: {
-                  $sum: { $cond: [{ $gt: ['$totalAmount', 0] }, 1, 0] }
-                },
-                avgTicketsPerReservation: { $avg: { $size: '$tickets' } }
-              }
-            }
-          ]);
-
-          const eventStats = stats[0] || {
-            totalReservations: 0,
-            totalTickets: 0,
-            totalRevenue: 0,
-            freeReservations: 0,
-            paidReservations: 0,
-            avgTicketsPerReservation: 0
-          };
+          const revenue = revenueByEvent.get(String(event._id)) || emptyRevenueStats();
+          const validReservations = revenue.reservations.paid + revenue.reservations.free;
 
-          // Calcular ocupación (si el evento tiene capacidad)
+          // Calcular ocupación (si el evento tiene capacidad) con las entradas emitidas
+          const occupancy = event.occupancy;
           let occupancyRate = 'N/A';
-          if (event.capacity && event.capacity > 0) {
-            occupancyRate = `${((eventStats.totalTickets / event.capacity) * 100).toFixed(1)}%`;
+          if (occupancy.rate !== null) {
+            occupancyRate = `${occupancy.rate.toFixed(1)}%`;
           }
 
-          // Información de free tickets (mantener compatibilidad)
+          // Cupo de entradas gratis (quantity 0 = sin límite)
           let freeTicketsAvailable = 'N/A';
-          if (event.freeTickets > 0) {
-            const freeTicketsUsed = await Reservation.aggregate([
-              { $match: { eventId: event._id, totalAmount: 0 } },
-              { $group: { _id: null, total: { $sum: { $size: '$tickets' } } } }
-            ]);
-            const used = freeTicketsUsed[0]?.total || 0;
-            freeTicketsAvailable = Math.max(0, event.freeTickets - used);
+          if (event.freeTickets?.enabled) {
+            freeTicketsAvailable = event.freeTickets.quantity > 0
+              ? Math.max(0, event.freeTickets.quantity - event.freeTickets.ticketsClaimed)
+              : 'Sin límite';
           }
 
           return {
@@ -102,32 +89,35 @@ router.get('/events-overview', async (req, res) => {
             date: event.date,
             location: event.location,
             status: event.status,
-            price: event.price,
+            basePrice: event.basePrice,
+            currentPrice: event.currentPrice,
             capacity: event.capacity,
             
             // ✅ NUEVAS ESTADÍSTICAS COMPLETAS
             statistics: {
-              totalReservations: eventStats.totalReservations,
-              totalTickets: eventStats.totalTickets,
-              totalRevenue: eventStats.totalRevenue,
-              freeReservations: eventStats.freeReservations,
-              paidReservations: eventStats.paidReservations,
-              avgTicketsPerReservation: Math.round(eventStats.avgTicketsPerReservation * 10) / 10,
+              ...getRevenueStatistics(revenue),
+              avgTicketsPerReservation: validReservations > 0
+                ? Math.round((revenue.tickets.total / validReservations) * 10) / 10
+                : 0,
               occupancyRate: occupancyRate
             },
             
+            // Ocupación del lugar y disponibilidad por categoría de entrada
+            occupancy,
+            categories: event.categoryAvailability,
+            
             // ✅ Mantener compatibilidad con free tickets (para no romper frontend existente)
             freeTickets: event.freeTickets,
             freeTicketsAvailable: freeTicketsAvailable,
-            freeTicketsConsumed: eventStats.freeReservations,
-            hasFreeTickets: event.freeTickets > 0 || event.price === 0,
+            freeTicketsConsumed: revenue.tickets.free,
+            hasFreeTickets: Boolean(event.freeTickets?.enabled) || isFreeEvent(event),
             
             // ✅ Indicadores de rendimiento
             performance: {
-              isFreeEvent: event.price === 0,
-              hasPaidTickets: eventStats.paidReservations > 0,
-              revenuePerTicket: eventStats.totalTickets > 0 
-                ? (eventStats.totalRevenue / eventStats.totalTickets).toFixed(2) 
+              isFreeEvent: isFreeEvent(event),
+              hasPaidTickets: revenue.reservations.paid > 0,
+              revenuePerTicket: revenue.tickets.paid > 0
+                ? Math.round((revenue.netRevenue / revenue.tickets.paid) * 100) / 100
                 : 0
             }
           };
@@ -164,43 +154,49 @@ router.get('/events-overview', async (req, res) => {
   }
 });
 
+// Evento sin precio: ni precio base ni etapas pagas
+function isFreeEvent(event) {
+  return !event.basePrice && event.preSaleStages.every(stage => !stage.price);
+}
+
+// Estadísticas de ingresos con los nombres que usan los reportes. totalRevenue
+// es lo efectivamente cobrado menos lo devuelto (igual a netRevenue); los pagos
+// pendientes, rechazados y las reservas canceladas no suman.
+function getRevenueStatistics(revenue) {
+  return {
+    totalReservations: revenue.reservations.total,
+    totalTickets: revenue.tickets.total,
+    totalRevenue: revenue.netRevenue,
+    grossRevenue: revenue.grossRevenue,
+    refundedAmount: revenue.refundedAmount,
+    netRevenue: revenue.netRevenue,
+    estimatedFees: revenue.estimatedFees,
+    netAfterFees: revenue.netAfterFees,
+    pendingAmount: revenue.pendingAmount,
+    reservationsByStatus: revenue.reservations,
+    freeReservations: revenue.reservations.free,
+    paidReservations: revenue.reservations.paid,
+    // Ventas de la productora vs. entradas revendidas entre asistentes
+    primaryRevenue: revenue.primaryRevenue,
+    resaleReservations: revenue.resaleReservations,
+    resaleRevenue: revenue.resaleRevenue
+  };
+}
+
 // Función para obtener resumen global del reporte
 async function getReportSummary(query) {
-  const eventsInReport = await Event.find(query);
+  const eventsInReport = await Event.find(query).select('_id');
   const eventIds = eventsInReport.map(e => e._id);
   
-  const globalStats = await Reservation.aggregate([
-    { $match: { eventId: { $in: eventIds } } },
-    {
-      $group: {
-        _id: null,
-        totalEvents: { $addToSet: '$eventId' },
-        totalReservations: { $sum: 1 },
-        totalTickets: { $sum: { $size: '$tickets' } },
-        totalRevenue: { $sum: '$totalAmount' },
-        freeReservations: { $sum: { $cond: [{ $eq: ['$totalAmount', 0] }, 1, 0] } },
-        paidReservations: { $sum: { $cond: [{ $gt: ['$totalAmount', 0] }, 1, 0] } }
-      }
-    }
-  ]);
-  
-  const stats = globalStats[0] || {
-    totalReservations: 0,
-    totalTickets: 0,
-    totalRevenue: 0,
-    freeReservations: 0,
-    paidReservations: 0
-  };
+  const revenue = await getRevenueStats({ eventId: { $in: eventIds } });
+  const validReservations = revenue.reservations.paid + revenue.reservations.free;
   
   return {
     totalEvents: eventsInReport.length,
-    totalReservations: stats.totalReservations,
-    totalTickets: stats.totalTickets,
-    totalRevenue: stats.totalRevenue,
-    freeReservations: stats.freeReservations,
-    paidReservations: stats.paidReservations,
-    freeVsPaidRatio: stats.totalReservations > 0 
-      ? `${((stats.freeReservations / stats.totalReservations) * 100).toFixed(1)}% free` 
+    ...getRevenueStatistics(revenue),
+    feePercent: revenue.feePercent,
+    freeVsPaidRatio: validReservations > 0 
+      ? `${((revenue.reservations.free / validReservations) * 100).toFixed(1)}% free` 
       : 'N/A'
   };
 }
@@ -221,7 +217,7 @@ function getErrorEventStats(event, error) {
     freeTicketsConsumed: 'Error',
     hasFreeTickets: false,
     performance: {
-      isFreeEvent: event.price === 0,
+      isFreeEvent: isFreeEvent(event),
       hasPaidTickets: 'Error',
       revenuePerTicket: 'Error'
     },
@@ -246,6 +242,20 @@ router.get('/events/:eventId/all-reservations', async (req, res) => {
       return res.status(404).json({ message: 'Evento no encontrado' });
     }
     
+    // Exportaciones: CSV con todas las reservas y lista de puerta en PDF
+    // (entradas gratis y pagas aprobadas)
+    if (exportType === 'csv') {
+      return await exportReservationsToCsv(res, event);
+    }
+    if (exportType === 'pdf') {
+      return await exportDoorListToPdf(res, event, {
+        $or: [{ isFreeTicket: true }, { paymentStatus: 'approved' }]
+      }, {
+        listTitle: 'Lista de puerta',
+        filename: 'lista-puerta'
+      });
+    }
+    
     // Obtener TODAS las reservas del evento
     const reservations = await Reservation.find({ eventId })
       .sort({ reservationDate: -1 })
@@ -255,12 +265,13 @@ router.get('/events/:eventId/all-reservations', async (req, res) => {
     // Enriquecer datos con información de tipo y valor
     const enrichedReservations = reservations.map(reservation => {
       const totalTickets = reservation.tickets.length;
-      const isFree = reservation.totalAmount === 0;
+      const isFree = Boolean(reservation.isFreeTicket);
       const ticketValue = isFree ? 0 : (reservation.totalAmount / totalTickets);
       
       return {
         ...reservation.toObject(),
         reservationType: isFree ? 'free' : 'paid',
+        revenueClass: classifyReservation(reservation),
         totalTickets,
         ticketValue,
         // Agrupar por nombre para contar duplicados del mismo nombre
@@ -276,7 +287,7 @@ router.get('/events/:eventId/all-reservations', async (req, res) => {
         title: event.title,
         date: event.date,
         location: event.location,
-        price: event.price
+        basePrice: event.basePrice
       },
       reservations: enrichedReservations,
       totalPages: Math.ceil(totalReservations / parseInt(limit)),
@@ -330,24 +341,37 @@ router.get('/events/:eventId/complete-stats', async (req, res) => {
       return res.status(404).json({ message: 'Evento no encontrado' });
     }
     
-    // Estadísticas de reservas
-    const stats = await Reservation.aggregate([
-      { $match: { eventId: new mongoose.Types.ObjectId(eventId) } },
+    // Estadísticas de reservas, clasificadas por estado de pago
+    const revenue = await getRevenueStats({ eventId: event._id });
+    
+    // Ventas por categoría de entrada (general, VIP, mesa...). Solo ventas de
+    // la productora con pago aprobado: las reventas no suman entradas nuevas
+    const salesByCategory = await Reservation.aggregate([
+      {
+        $match: {
+          eventId: new mongoose.Types.ObjectId(eventId),
+          isFreeTicket: { $ne: true },
+          saleType: { $ne: 'resale' },
+          status: { $ne: 'cancelled' },
+          paymentStatus: 'approved'
+        }
+      },
       {
         $group: {
-          _id: null,
-          totalReservations: { $sum: 1 },
-          totalTickets: { $sum: { $size: '$tickets' } },
-          totalRevenue: { $sum: '$totalAmount' },
-          freeReservations: {
-            $sum: { $cond: [{ $eq: ['$totalAmount', 0] }, 1, 0] }
-          },
-          paidReservations: {
-            $sum: { $cond: [{ $gt: ['$totalAmount', 0] }, 1, 0] }
-          }
+          _id: { $ifNull: ['$ticketCategory', 'general'] },
+          reservations: { $sum: 1 },
+          tickets: { $sum: { $subtract: ['$totalTickets', { $ifNull: ['$ticketsReturned', 0] }] } },
+          revenue: { $sum: { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] } }
         }
       }
     ]);
+    const salesByKey = new Map(salesByCategory.map(item => [item._id, item]));
+    const categories = event.categoryAvailability.map(category => ({
+      ...category,
+      reservations: salesByKey.get(category.key)?.reservations || 0,
+      tickets: salesByKey.get(category.key)?.tickets || 0,
+      revenue: salesByKey.get(category.key)?.revenue || 0
+    }));
     
     // Tickets por persona (agrupados)
     const reservations = await Reservation.find({ eventId });
@@ -372,16 +396,18 @@ router.get('/events/:eventId/complete-stats', async (req, res) => {
         title: event.title,
         date: event.date,
         location: event.location,
-        price: event.price,
+        basePrice: event.basePrice,
+        currentPrice: event.currentPrice,
+        capacity: event.capacity,
         freeTickets: event.freeTickets
       },
-      statistics: stats[0] || {
-        totalReservations: 0,
-        totalTickets: 0,
-        totalRevenue: 0,
-        freeReservations: 0,
-        paidReservations: 0
+      occupancy: event.occupancy,
+      statistics: {
+        ...getRevenueStatistics(revenue),
+        feePercent: revenue.feePercent
       },
+      resale: await getResaleStats(event._id),
+      categories,
       ticketsByPerson: Object.values(ticketsByPerson),
       summary: {
         averageTicketsPerPerson: calculateAverage(ticketsByPerson),
@@ -395,6 +421,546 @@ router.get('/events/:eventId/complete-stats', async (req, res) => {
   }
 });
 
+// Reventa de un evento: publicaciones por estado, ventas, cargos retenidos y
+// reembolsos a vendedores
+async function getResaleStats(eventId) {
+  const [byStatus, sold] = await Promise.all([
+    ResaleListing.aggregate([
+      { $match: { eventId } },
+      { $group: { _id: '$status', listings: { $sum: 1 } } }
+    ]),
+    ResaleListing.aggregate([
+      { $match: { eventId, status: 'sold' } },
+      {
+        $group: {
+          _id: null,
+          ticketsResold: { $sum: 1 },
+          grossRevenue: { $sum: '$price' },
+          faceValue: { $sum: '$faceValue' },
+          feesRetained: { $sum: '$fee' },
+          sellerRefunds: { $sum: '$payoutRefundAmount' },
+          manualPayouts: { $sum: '$payoutManualAmount' },
+          failedPayouts: { $sum: { $cond: [{ $eq: ['$payoutStatus', 'failed'] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const listings = byStatus.reduce((acc, item) => {
+    acc[item._id] = item.listings;
+    return acc;
+  }, { active: 0, reserved: 0, sold: 0, cancelled: 0, withdrawn: 0 });
+
+  const { _id, ...totals } = sold[0] || {
+    ticketsResold: 0,
+    grossRevenue: 0,
+    faceValue: 0,
+    feesRetained: 0,
+    sellerRefunds: 0,
+    manualPayouts: 0,
+    failedPayouts: 0
+  };
+
+  return { listings, ...totals };
+}
+
+// GET /api/reports/events/:eventId/resale - Reventa del evento
+router.get('/events/:eventId/resale', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const event = await Event.findById(eventId).select('title date');
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    res.json({
+      event: { _id: event._id, title: event.title, date: event.date },
+      resale: await getResaleStats(event._id)
+    });
+  } catch (error) {
+    console.error('Error en reporte de reventa:', error);
+    res.status(500).json({ message: 'Error al obtener el reporte de reventa' });
+  }
+});
+
+// GET /api/reports/events/:eventId/promoters - Ranking de RRPP por personas que ingresaron
+// (export=excel para descargar la planilla)
+router.get('/events/:eventId/promoters', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    const ranking = await getPromoterRanking(event._id);
+
+    if (req.query.export === 'excel') {
+      return await exportPromotersToExcel(res, event, ranking);
+    }
+
+    res.json({
+      event: { _id: event._id, title: event.title, date: event.date, location: event.location },
+      ranking,
+      totals: ranking.reduce((totals, item) => ({
+        submitted: totals.submitted + item.submitted,
+        checkedIn: totals.checkedIn + item.checkedIn,
+        revenue: Math.round((totals.revenue + item.revenue) * 100) / 100
+      }), { submitted: 0, checkedIn: 0, revenue: 0 }),
+      hasExport: true
+    });
+  } catch (error) {
+    console.error('Error en ranking de RRPP:', error);
+    res.status(500).json({ message: 'Error al obtener el ranking de RRPP' });
+  }
+});
+
+// Zona horaria de los reportes: los cortes por hora/día/semana son horarios de Argentina
+const REPORT_TIMEZONE = 'America/Argentina/Buenos_Aires';
+const TIMELINE_INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+const MAX_TIMELINE_BUCKETS = 2000;
+
+// Etiqueta del período en hora argentina (2026-10-19 o 2026-10-19 21:00)
+function formatBucketLabel(date, interval) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: REPORT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+  return interval === 'hour' ? `${day} ${parts.hour}:00` : day;
+}
+
+// Valida interval/startDate/endDate del query; devuelve { error } o las opciones
+function parseTimelineQuery(query, { defaultDays = null } = {}) {
+  const interval = query.interval || 'day';
+  if (!TIMELINE_INTERVALS[interval]) {
+    return { error: 'El intervalo debe ser hour, day o week' };
+  }
+
+  const from = query.startDate
+    ? new Date(query.startDate)
+    : (defaultDays ? new Date(Date.now() - defaultDays * TIMELINE_INTERVALS.day) : null);
+  const to = query.endDate ? new Date(query.endDate) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return { error: 'Fecha no válida' };
+  }
+  if (from && to && from > to) {
+    return { error: 'La fecha de inicio debe ser anterior a la de fin' };
+  }
+
+  return { interval, from, to };
+}
+
+// Serie temporal de ventas: entradas e ingresos por período según la fecha de
+// venta (paidAt de las pagas, createdAt de las gratis y las no cobradas).
+// Solo ventas de la productora: las reventas no suman entradas nuevas.
+// splitBy: 'stage' (etapas de un evento) o 'event' (todos los eventos)
+async function getSalesTimeline(match, { interval, from, to, splitBy = 'stage' }) {
+  const saleDateMatch = {};
+  if (from) saleDateMatch.$gte = from;
+  if (to) saleDateMatch.$lte = to;
+
+  const isPaidSale = {
+    $and: [
+      { $ne: ['$isFreeTicket', true] },
+      { $ne: ['$status', 'cancelled'] },
+      { $in: ['$paymentStatus', ['approved', 'refunded']] }
+    ]
+  };
+  const isFreeSale = {
+    $and: [{ $eq: ['$isFreeTicket', true] }, { $ne: ['$status', 'cancelled'] }]
+  };
+  const splitKey = splitBy === 'event' ? '$eventId' : { $ifNull: ['$preSaleStageIndex', null] };
+
+  const [result] = await Reservation.aggregate([
+    { $match: { ...match, saleType: { $ne: 'resale' } } },
+    {
+      $addFields: {
+        saleDate: {
+          $cond: [
+            { $and: [{ $ne: ['$isFreeTicket', true] }, { $ne: [{ $ifNull: ['$paidAt', null] }, null] }] },
+            '$paidAt',
+            '$createdAt'
+          ]
+        }
+      }
+    },
+    ...(from || to ? [{ $match: { saleDate: saleDateMatch } }] : []),
+    {
+      $addFields: {
+        bucket: {
+          $dateTrunc: {
+            date: '$saleDate',
+            unit: interval,
+            timezone: REPORT_TIMEZONE,
+            ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+          }
+        },
+        isPaidSale,
+        isFreeSale,
+        netTickets: { $subtract: ['$totalTickets', { $ifNull: ['$ticketsReturned', 0] }] },
+        netRevenue: { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] }
+      }
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: '$bucket',
+              freeReservations: { $sum: { $cond: ['$isFreeSale', 1, 0] } },
+              freeTickets: { $sum: { $cond: ['$isFreeSale', '$totalTickets', 0] } },
+              paidReservations: { $sum: { $cond: ['$isPaidSale', 1, 0] } },
+              paidTickets: { $sum: { $cond: ['$isPaidSale', '$netTickets', 0] } },
+              grossRevenue: { $sum: { $cond: ['$isPaidSale', '$totalAmount', 0] } },
+              refundedAmount: { $sum: { $cond: ['$isPaidSale', { $ifNull: ['$refundedAmount', 0] }, 0] } }
+            }
+          }
+        ],
+        bySplit: [
+          { $match: { $expr: { $or: ['$isPaidSale', '$isFreeSale'] } } },
+          {
+            $group: {
+              _id: { bucket: '$bucket', key: splitKey, free: '$isFreeSale' },
+              reservations: { $sum: 1 },
+              tickets: { $sum: { $cond: ['$isFreeSale', '$totalTickets', '$netTickets'] } },
+              revenue: { $sum: { $cond: ['$isPaidSale', '$netRevenue', 0] } }
+            }
+          }
+        ],
+        byPaymentStatus: [
+          { $match: { isFreeTicket: { $ne: true } } },
+          {
+            $group: {
+              _id: { bucket: '$bucket', paymentStatus: '$paymentStatus' },
+              reservations: { $sum: 1 },
+              tickets: { $sum: '$totalTickets' },
+              amount: { $sum: '$totalAmount' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totalsByBucket = new Map(result.totals.map(item => [item._id.getTime(), item]));
+  const bucketTimes = [...totalsByBucket.keys()].sort((a, b) => a - b);
+
+  // Completar los períodos sin ventas para que la serie sea continua
+  // (Argentina no tiene horario de verano: los períodos tienen duración fija)
+  const step = TIMELINE_INTERVALS[interval];
+  const times = [];
+  if (bucketTimes.length > 0) {
+    const first = bucketTimes[0];
+    const last = bucketTimes[bucketTimes.length - 1];
+    if ((last - first) / step < MAX_TIMELINE_BUCKETS) {
+      for (let time = first; time <= last; time += step) times.push(time);
+    } else {
+      times.push(...bucketTimes);
+    }
+  }
+
+  const splitNames = new Map();
+  if (splitBy === 'event') {
+    const eventIds = [...new Set(result.bySplit.map(item => String(item._id.key)))];
+    const events = await Event.find({ _id: { $in: eventIds } }).select('title');
+    events.forEach(event => splitNames.set(String(event._id), event.title));
+  }
+
+  const timeline = times.map(time => {
+    const item = totalsByBucket.get(time) || {};
+    const freeTickets = item.freeTickets || 0;
+    const paidTickets = item.paidTickets || 0;
+    const grossRevenue = item.grossRevenue || 0;
+    const refundedAmount = item.refundedAmount || 0;
+
+    const split = result.bySplit
+      .filter(entry => entry._id.bucket.getTime() === time)
+      .map(entry => splitBy === 'event'
+        ? {
+          eventId: entry._id.key,
+          title: splitNames.get(String(entry._id.key)) || null,
+          free: entry._id.free,
+          reservations: entry.reservations,
+          tickets: entry.tickets,
+          revenue: entry.revenue
+        }
+        : {
+          stageIndex: entry._id.free ? null : entry._id.key,
+          free: entry._id.free,
+          reservations: entry.reservations,
+          tickets: entry.tickets,
+          revenue: entry.revenue
+        });
+
+    const byPaymentStatus = Object.fromEntries(result.byPaymentStatus
+      .filter(entry => entry._id.bucket.getTime() === time)
+      .map(entry => [entry._id.paymentStatus, {
+        reservations: entry.reservations,
+        tickets: entry.tickets,
+        amount: entry.amount
+      }]));
+
+    return {
+      start: new Date(time),
+      label: formatBucketLabel(new Date(time), interval),
+      tickets: freeTickets + paidTickets,
+      revenue: grossRevenue - refundedAmount,
+      free: { reservations: item.freeReservations || 0, tickets: freeTickets },
+      paid: {
+        reservations: item.paidReservations || 0,
+        tickets: paidTickets,
+        grossRevenue,
+        refundedAmount,
+        netRevenue: grossRevenue - refundedAmount
+      },
+      [splitBy === 'event' ? 'byEvent' : 'byStage']: split,
+      byPaymentStatus
+    };
+  });
+
+  const totals = timeline.reduce((acc, bucket) => ({
+    tickets: acc.tickets + bucket.tickets,
+    freeTickets: acc.freeTickets + bucket.free.tickets,
+    paidTickets: acc.paidTickets + bucket.paid.tickets,
+    grossRevenue: acc.grossRevenue + bucket.paid.grossRevenue,
+    refundedAmount: acc.refundedAmount + bucket.paid.refundedAmount,
+    netRevenue: acc.netRevenue + bucket.paid.netRevenue
+  }), { tickets: 0, freeTickets: 0, paidTickets: 0, grossRevenue: 0, refundedAmount: 0, netRevenue: 0 });
+
+  return { interval, timezone: REPORT_TIMEZONE, from, to, timeline, totals };
+}
+
+// GET /api/reports/sales-timeline - Ventas de todos los eventos por período
+// Query: interval (hour|day|week), startDate, endDate (por defecto los últimos 30 días)
+router.get('/sales-timeline', async (req, res) => {
+  try {
+    const options = parseTimelineQuery(req.query, { defaultDays: 30 });
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    res.json(await getSalesTimeline({}, { ...options, splitBy: 'event' }));
+  } catch (error) {
+    console.error('Error en serie de ventas:', error);
+    res.status(500).json({ message: 'Error al obtener la serie de ventas' });
+  }
+});
+
+// GET /api/reports/events/:eventId/sales-timeline - Ventas del evento por período
+// Query: interval (hour|day|week), startDate, endDate
+router.get('/events/:eventId/sales-timeline', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const options = parseTimelineQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const event = await Event.findById(eventId).select('title date preSaleStages');
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    const result = await getSalesTimeline({ eventId: event._id }, { ...options, splitBy: 'stage' });
+
+    // Nombre de la etapa en cada corte
+    result.timeline.forEach(bucket => {
+      bucket.byStage.forEach(entry => {
+        entry.stageName = entry.free
+          ? 'Entradas gratis'
+          : (event.preSaleStages[entry.stageIndex]?.name || 'Venta general');
+      });
+    });
+
+    res.json({
+      event: { _id: event._id, title: event.title, date: event.date },
+      ...result
+    });
+  } catch (error) {
+    console.error('Error en serie de ventas del evento:', error);
+    res.status(500).json({ message: 'Error al obtener la serie de ventas del evento' });
+  }
+});
+
+// Ingresos y entradas por código promocional. Solo cuentan reservas pagas
+// no canceladas; los reembolsos se descuentan del ingreso.
+async function getPromoCodeStats(match) {
+  const stats = await Reservation.aggregate([
+    {
+      $match: {
+        ...match,
+        promoCode: { $ne: null },
+        status: { $ne: 'cancelled' },
+        paymentStatus: { $in: ['approved', 'refunded'] }
+      }
+    },
+    {
+      $group: {
+        _id: '$promoCode',
+        reservations: { $sum: 1 },
+        tickets: { $sum: { $subtract: ['$totalTickets', { $ifNull: ['$ticketsReturned', 0] }] } },
+        grossRevenue: { $sum: '$totalAmount' },
+        refundedAmount: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        discountTotal: { $sum: { $ifNull: ['$discountAmount', 0] } },
+        events: { $addToSet: '$eventTitle' }
+      }
+    },
+    { $sort: { grossRevenue: -1 } }
+  ]);
+
+  const promoCodes = await PromoCode.find({ code: { $in: stats.map(item => item._id) } });
+  const byCode = new Map(promoCodes.map(promo => [promo.code, promo]));
+
+  return stats.map(item => {
+    const promo = byCode.get(item._id);
+    return {
+      code: item._id,
+      description: promo?.description,
+      discountType: promo?.discountType,
+      value: promo?.value,
+      usesCount: promo?.usesCount,
+      maxUses: promo?.maxUses,
+      reservations: item.reservations,
+      tickets: item.tickets,
+      grossRevenue: item.grossRevenue,
+      refundedAmount: item.refundedAmount,
+      netRevenue: item.grossRevenue - item.refundedAmount,
+      discountTotal: item.discountTotal,
+      events: item.events
+    };
+  });
+}
+
+// GET /api/reports/promo-codes - Ingresos y entradas por código (todos los eventos)
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = {};
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    res.json({ promoCodes: await getPromoCodeStats(match) });
+  } catch (error) {
+    console.error('Error en reporte de códigos promocionales:', error);
+    res.status(500).json({ message: 'Error al obtener el reporte de códigos promocionales' });
+  }
+});
+
+// GET /api/reports/events/:eventId/promo-codes - Ingresos y entradas por código de un evento
+router.get('/events/:eventId/promo-codes', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const event = await Event.findById(eventId).select('title date');
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    const promoCodes = await getPromoCodeStats({ eventId: new mongoose.Types.ObjectId(eventId) });
+
+    res.json({
+      event: { title: event.title, date: event.date },
+      promoCodes,
+      totals: promoCodes.reduce((acc, item) => ({
+        reservations: acc.reservations + item.reservations,
+        tickets: acc.tickets + item.tickets,
+        netRevenue: acc.netRevenue + item.netRevenue,
+        discountTotal: acc.discountTotal + item.discountTotal
+      }), { reservations: 0, tickets: 0, netRevenue: 0, discountTotal: 0 })
+    });
+  } catch (error) {
+    console.error('Error en reporte de códigos promocionales:', error);
+    res.status(500).json({ message: 'Error al obtener el reporte de códigos promocionales' });
+  }
+});
+
+// GET /api/reports/events/:eventId/stage-progress - Apertura, cierre y ritmo de venta de cada etapa
+router.get('/events/:eventId/stage-progress', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    const now = new Date();
+    const stages = event.preSaleStages.map((stage, index) => {
+      // Horas a la venta: desde la apertura hasta el cierre (o hasta ahora si sigue abierta)
+      const hoursOnSale = stage.openedAt
+        ? ((stage.closedAt || now) - stage.openedAt) / (60 * 60 * 1000)
+        : null;
+
+      return {
+        index,
+        name: stage.name,
+        category: stage.category,
+        price: stage.price,
+        state: event.getStageState(index, now),
+        ticketLimit: stage.ticketLimit,
+        ticketsSold: stage.ticketsSold,
+        carriedOverTickets: stage.carriedOverTickets || 0,
+        sellThroughRate: stage.ticketLimit > 0
+          ? Math.round((stage.ticketsSold / stage.ticketLimit) * 1000) / 10
+          : null,
+        startDate: stage.startDate,
+        endDate: stage.endDate,
+        openedAt: stage.openedAt,
+        closedAt: stage.closedAt,
+        closeReason: stage.closeReason,
+        hoursOnSale: hoursOnSale === null ? null : Math.round(hoursOnSale * 10) / 10,
+        ticketsPerHour: hoursOnSale > 0 ? Math.round((stage.ticketsSold / hoursOnSale) * 100) / 100 : null
+      };
+    });
+
+    res.json({
+      event: { title: event.title, date: event.date },
+      stages,
+      transitions: event.stageTransitions
+    });
+  } catch (error) {
+    console.error('Error en reporte de etapas:', error);
+    res.status(500).json({ message: 'Error al obtener el progreso de las etapas' });
+  }
+});
+
 // GET /api/reports/events/:eventId/free-tickets - Obtener lista de personas con free tickets
 router.get('/events/:eventId/free-tickets', async (req, res) => {
   try {
@@ -416,6 +982,15 @@ router.get('/events/:eventId/free-tickets', async (req, res) => {
     if (exportType === 'excel') {
       return await exportFreeTicketsToExcel(res, eventId, event);
     }
+    if (exportType === 'csv') {
+      return await exportFreeTicketsToCsv(res, eventId, event);
+    }
+    if (exportType === 'pdf') {
+      return await exportDoorListToPdf(res, event, { isFreeTicket: true }, {
+        listTitle: 'Lista de puerta - Entradas gratis',
+        filename: 'lista-free-tickets'
+      });
+    }
     
     // Si es una solicitud normal (paginada)
     const options = {
@@ -454,7 +1029,8 @@ router.get('/events/:eventId/free-tickets', async (req, res) => {
       totalPages: Math.ceil(totalReservations / options.limit),
       currentPage: options.page,
       total: totalReservations,
-      hasExport: true // Indicar que hay opción de exportar
+      hasExport: true, // Indicar que hay opción de exportar
+      exportFormats: ['excel', 'csv', 'pdf']
     });
     
   } catch (error) {
@@ -549,6 +1125,562 @@ async function exportFreeTicketsToExcel(res, eventId, event) {
   }
 }
 
+// Fecha y hora argentina para los CSV
+function formatCsvDate(date) {
+  return date ? new Date(date).toLocaleString('es-AR', { timeZone: REPORT_TIMEZONE }) : '';
+}
+
+// Textos que Excel interpretaría como fórmula (nombres o emails cargados por
+// compradores): se les antepone ' para que se muestren como texto
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+  return typeof value === 'string' && CSV_FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+// Enviar un CSV (con BOM para que Excel respete los acentos)
+async function sendCsv(res, filename, columns, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Datos');
+  worksheet.columns = columns;
+  rows.forEach(row => {
+    worksheet.addRow(Object.fromEntries(Object.entries(row).map(([key, value]) => [key, escapeCsvValue(value)])));
+  });
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  await workbook.csv.write(res, { formatterOptions: { writeBOM: true } });
+  res.end();
+}
+
+// Exportar las entradas gratis a CSV (una fila por persona)
+async function exportFreeTicketsToCsv(res, eventId, event) {
+  const reservations = await Reservation.find({ eventId, isFreeTicket: true, status: { $ne: 'cancelled' } })
+    .sort({ reservationDate: -1 })
+    .lean();
+
+  const rows = reservations.flatMap(reservation =>
+    reservation.tickets.map(ticket => ({
+      nombre: ticket.nombre,
+      apellido: ticket.apellido,
+      telefono: ticket.telefono || '',
+      email: ticket.email || '',
+      reservationCode: reservation.reservationCode,
+      reservationDate: formatCsvDate(reservation.reservationDate)
+    }))
+  );
+
+  await sendCsv(res, `free-tickets-${event.title}-${event.date.toISOString().split('T')[0]}`, [
+    { header: 'Nombre', key: 'nombre' },
+    { header: 'Apellido', key: 'apellido' },
+    { header: 'Teléfono', key: 'telefono' },
+    { header: 'Email', key: 'email' },
+    { header: 'Código Reserva', key: 'reservationCode' },
+    { header: 'Fecha Reserva', key: 'reservationDate' }
+  ], rows);
+}
+
+// Exportar todas las reservas a CSV con su estado de pago (una fila por reserva)
+async function exportReservationsToCsv(res, event) {
+  const reservations = await Reservation.find({ eventId: event._id })
+    .sort({ reservationDate: -1 })
+    .lean();
+
+  const rows = reservations.map(reservation => ({
+    reservationCode: reservation.reservationCode,
+    nombre: reservation.tickets[0]?.nombre || '',
+    apellido: reservation.tickets[0]?.apellido || '',
+    email: reservation.tickets[0]?.email || '',
+    totalTickets: reservation.totalTickets,
+    ticketsReturned: reservation.ticketsReturned || 0,
+    type: reservation.isFreeTicket ? 'free' : 'paid',
+    revenueClass: classifyReservation(reservation),
+    paymentStatus: reservation.paymentStatus,
+    paymentMethod: reservation.paymentMethod,
+    paymentId: reservation.paymentId || '',
+    promoCode: reservation.promoCode || '',
+    totalAmount: reservation.totalAmount,
+    refundedAmount: reservation.refundedAmount || 0,
+    reservationDate: formatCsvDate(reservation.reservationDate),
+    paidAt: formatCsvDate(reservation.paidAt)
+  }));
+
+  await sendCsv(res, `reservas-${event.title}-${event.date.toISOString().split('T')[0]}`, [
+    { header: 'Código Reserva', key: 'reservationCode' },
+    { header: 'Nombre', key: 'nombre' },
+    { header: 'Apellido', key: 'apellido' },
+    { header: 'Email', key: 'email' },
+    { header: 'Entradas', key: 'totalTickets' },
+    { header: 'Entradas Devueltas', key: 'ticketsReturned' },
+    { header: 'Tipo', key: 'type' },
+    { header: 'Estado', key: 'revenueClass' },
+    { header: 'Estado Pago', key: 'paymentStatus' },
+    { header: 'Medio', key: 'paymentMethod' },
+    { header: 'ID Pago', key: 'paymentId' },
+    { header: 'Código Promo', key: 'promoCode' },
+    { header: 'Monto', key: 'totalAmount' },
+    { header: 'Reembolsado', key: 'refundedAmount' },
+    { header: 'Fecha Reserva', key: 'reservationDate' },
+    { header: 'Fecha Pago', key: 'paidAt' }
+  ], rows);
+}
+
+// Lista de puerta en PDF (orden alfabético) con las reservas que pueden ingresar
+async function exportDoorListToPdf(res, event, filter, { listTitle, filename }) {
+  const reservations = await Reservation.find({
+    eventId: event._id,
+    status: { $nin: ['cancelled', 'under_review'] },
+    ...filter
+  })
+    .select('reservationCode tickets.nombre tickets.apellido tickets.refundedAt tickets.resoldAt')
+    .lean();
+  const rows = sortDoorList(reservations.map(toDoorListRow).filter(Boolean));
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${event.title}-${event.date.toISOString().split('T')[0]}.pdf"`);
+  await writeDoorListPdf(res, event, rows, { listTitle });
+}
+
+// Exportar el ranking de RRPP a Excel
+async function exportPromotersToExcel(res, event, ranking) {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Ranking RRPP');
+
+    worksheet.columns = [
+      { header: 'Puesto', key: 'rank', width: 8 },
+      { header: 'RRPP', key: 'name', width: 25 },
+      { header: 'Código', key: 'code', width: 15 },
+      { header: 'Cupo invitados', key: 'guestQuota', width: 15 },
+      { header: 'Invitados cargados', key: 'guestNames', width: 18 },
+      { header: 'Invitados ingresados', key: 'guestsCheckedIn', width: 20 },
+      { header: 'Gratis por link', key: 'freeTickets', width: 15 },
+      { header: 'Vendidas por link', key: 'paidTickets', width: 17 },
+      { header: 'Total aportado', key: 'submitted', width: 15 },
+      { header: 'Ingresaron', key: 'checkedIn', width: 12 },
+      { header: '% Ingreso', key: 'checkInRate', width: 11 },
+      { header: 'Recaudación', key: 'revenue', width: 15 }
+    ];
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+
+    ranking.forEach(item => {
+      worksheet.addRow({
+        ...item,
+        guestQuota: item.guestQuota === null ? '-' : item.guestQuota
+      });
+    });
+
+    const totalCheckedIn = ranking.reduce((sum, item) => sum + item.checkedIn, 0);
+    worksheet.insertRow(1, [`Evento: ${event.title}`]);
+    worksheet.insertRow(2, [`Fecha: ${event.date.toLocaleDateString('es-ES')}`]);
+    worksheet.insertRow(3, [`Ubicación: ${event.location}`]);
+    worksheet.insertRow(4, [`RRPP: ${ranking.length} - Personas que ingresaron: ${totalCheckedIn}`]);
+    worksheet.insertRow(5, ['']);
+
+    worksheet.mergeCells('A1:L1');
+    worksheet.mergeCells('A2:L2');
+    worksheet.mergeCells('A3:L3');
+    worksheet.mergeCells('A4:L4');
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="rrpp-${event.title}-${event.date.toISOString().split('T')[0]}.xlsx"`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+
+  } catch (error) {
+    console.error('Error al exportar ranking de RRPP:', error);
+    res.status(500).json({
+      message: 'Error al exportar el ranking a Excel',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Formatos de la liquidación
+const MONEY_FORMAT = '"$"#,##0.00';
+const DATE_FORMAT = 'dd/mm/yyyy hh:mm';
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+const TICKET_TYPE_LABELS = { paid: 'Paga', free: 'Gratis', guest: 'Invitado RRPP', resale: 'Reventa' };
+const REVENUE_CLASS_LABELS = {
+  paid: 'Pagada',
+  pending: 'Pendiente',
+  rejected: 'Rechazada',
+  refunded: 'Reembolsada',
+  cancelled: 'Cancelada',
+  free: 'Gratis'
+};
+
+// Excel no guarda zona horaria: las fechas se escriben en hora argentina
+function toExcelDate(date) {
+  if (!date) return null;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: REPORT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map(part => [part.type, Number(part.value)]));
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+}
+
+// Hoja en streaming con encabezado en negrita, fijo, y formatos por columna
+function addSettlementSheet(workbook, name, columns) {
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = columns.map(({ header, key, width, format }) => ({
+    header,
+    key,
+    width,
+    style: format ? { numFmt: format } : undefined
+  }));
+  const header = worksheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = HEADER_FILL;
+  header.commit();
+  return worksheet;
+}
+
+// Fila de totales con SUM sobre las columnas indicadas (rowCount = filas de datos)
+function addTotalsRow(worksheet, rowCount, sumKeys, label = 'Total') {
+  const values = { [worksheet.columns[0].key]: label };
+  sumKeys.forEach(key => {
+    const letter = worksheet.getColumn(key).letter;
+    values[key] = rowCount > 0 ? { formula: `SUM(${letter}2:${letter}${rowCount + 1})` } : 0;
+  });
+  const row = worksheet.addRow(values);
+  row.font = { bold: true };
+  row.commit();
+}
+
+function getTicketType(reservation) {
+  if (reservation.saleType === 'resale') return 'resale';
+  if (reservation.isGuestList) return 'guest';
+  return reservation.isFreeTicket ? 'free' : 'paid';
+}
+
+// Liquidación del evento en un libro de Excel con varias hojas. Las entradas se
+// leen con un cursor y las filas se escriben a medida que llegan (streaming),
+// así un evento grande no se carga entero en memoria.
+async function exportSettlementToExcel(res, event) {
+  const eventObjectId = event._id;
+  const stageName = index => (index === null || index === undefined
+    ? 'Precio base'
+    : (event.preSaleStages[index]?.name || `Etapa ${index + 1}`));
+
+  // Los datos agregados se calculan antes de empezar a escribir la respuesta
+  const [revenue, admitted, stageStats, promoStats] = await Promise.all([
+    getRevenueStats({ eventId: eventObjectId }),
+    Reservation.aggregate([
+      { $match: { eventId: eventObjectId, status: { $ne: 'cancelled' } } },
+      { $unwind: '$tickets' },
+      { $match: { 'tickets.checkedInAt': { $ne: null }, 'tickets.refundedAt': null } },
+      { $count: 'total' }
+    ]),
+    Reservation.aggregate([
+      {
+        $match: {
+          eventId: eventObjectId,
+          isFreeTicket: { $ne: true },
+          saleType: { $ne: 'resale' },
+          paymentStatus: { $in: ['approved', 'refunded', 'charged_back'] }
+        }
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$preSaleStageIndex', null] },
+          reservations: { $sum: 1 },
+          tickets: { $sum: { $max: [0, { $subtract: ['$totalTickets', { $ifNull: ['$ticketsReturned', 0] }] }] } },
+          grossRevenue: { $sum: '$totalAmount' },
+          refundedAmount: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+          discountTotal: { $sum: { $ifNull: ['$discountAmount', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    getPromoCodeStats({ eventId: eventObjectId })
+  ]);
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="liquidacion-${event.title}-${event.date.toISOString().split('T')[0]}.xlsx"`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+
+  // Resumen
+  const summary = addSettlementSheet(workbook, 'Resumen', [
+    { header: 'Concepto', key: 'label', width: 35 },
+    { header: 'Valor', key: 'value', width: 22 }
+  ]);
+  // Devuelve el número de fila para armar las fórmulas
+  let summaryRowNumber = 1;
+  const addSummaryRow = (label, value, format) => {
+    const row = summary.addRow({ label, value });
+    if (format) row.getCell('value').numFmt = format;
+    row.commit();
+    return ++summaryRowNumber;
+  };
+  const occupancy = event.occupancy;
+  addSummaryRow('Evento', event.title);
+  addSummaryRow('Fecha', toExcelDate(event.date), DATE_FORMAT);
+  addSummaryRow('Ubicación', event.location);
+  addSummaryRow('Estado', event.status);
+  addSummaryRow('Capacidad', event.capacity || 'Sin tope');
+  addSummaryRow('Entradas pagas vigentes', revenue.tickets.paid);
+  addSummaryRow('Entradas gratis', revenue.tickets.free);
+  addSummaryRow('Invitados RRPP (cupo tomado)', occupancy.guestListClaimed);
+  addSummaryRow('Entradas emitidas', occupancy.ticketsIssued);
+  addSummaryRow('Ingresaron', admitted[0]?.total || 0);
+  addSummaryRow('Reservas pagas', revenue.reservations.paid);
+  addSummaryRow('Reservas pendientes', revenue.reservations.pending);
+  addSummaryRow('Reservas rechazadas', revenue.reservations.rejected);
+  addSummaryRow('Reservas reembolsadas', revenue.reservations.refunded);
+  addSummaryRow('Reservas canceladas', revenue.reservations.cancelled);
+  const grossRow = addSummaryRow('Recaudación bruta', revenue.grossRevenue, MONEY_FORMAT);
+  const refundedRow = addSummaryRow('Reembolsos', revenue.refundedAmount, MONEY_FORMAT);
+  const netRow = addSummaryRow('Recaudación neta', {
+    formula: `B${grossRow}-B${refundedRow}`,
+    result: revenue.netRevenue
+  }, MONEY_FORMAT);
+  const feesRow = addSummaryRow(`Comisión MercadoPago estimada (${revenue.feePercent}%)`, revenue.estimatedFees, MONEY_FORMAT);
+  addSummaryRow('Neto después de comisiones', {
+    formula: `B${netRow}-B${feesRow}`,
+    result: revenue.netAfterFees
+  }, MONEY_FORMAT);
+  addSummaryRow('  de ventas de la productora', revenue.primaryRevenue, MONEY_FORMAT);
+  addSummaryRow('  de reventa oficial', revenue.resaleRevenue, MONEY_FORMAT);
+  addSummaryRow('Pagos pendientes', revenue.pendingAmount, MONEY_FORMAT);
+  summary.commit();
+
+  // Ventas por etapa
+  const stages = addSettlementSheet(workbook, 'Etapas', [
+    { header: 'Etapa', key: 'stage', width: 25 },
+    { header: 'Precio', key: 'price', width: 14, format: MONEY_FORMAT },
+    { header: 'Límite', key: 'ticketLimit', width: 10 },
+    { header: 'Reservas', key: 'reservations', width: 10 },
+    { header: 'Entradas', key: 'tickets', width: 10 },
+    { header: 'Bruto', key: 'grossRevenue', width: 16, format: MONEY_FORMAT },
+    { header: 'Descuentos', key: 'discountTotal', width: 14, format: MONEY_FORMAT },
+    { header: 'Reembolsos', key: 'refundedAmount', width: 14, format: MONEY_FORMAT },
+    { header: 'Neto', key: 'netRevenue', width: 16, format: MONEY_FORMAT }
+  ]);
+  const statsByStage = new Map(stageStats.map(item => [item._id, item]));
+  const stageIndexes = [...new Set([...event.preSaleStages.map((stage, index) => index), ...statsByStage.keys()])];
+  stageIndexes.forEach((index, position) => {
+    const item = statsByStage.get(index) || {};
+    const stage = index === null ? null : event.preSaleStages[index];
+    const rowNumber = position + 2;
+    stages.addRow({
+      stage: stageName(index),
+      price: stage ? stage.price : event.basePrice,
+      ticketLimit: stage ? stage.ticketLimit : null,
+      reservations: item.reservations || 0,
+      tickets: item.tickets || 0,
+      grossRevenue: item.grossRevenue || 0,
+      discountTotal: item.discountTotal || 0,
+      refundedAmount: item.refundedAmount || 0,
+      netRevenue: { formula: `F${rowNumber}-H${rowNumber}`, result: (item.grossRevenue || 0) - (item.refundedAmount || 0) }
+    }).commit();
+  });
+  addTotalsRow(stages, stageIndexes.length, ['reservations', 'tickets', 'grossRevenue', 'discountTotal', 'refundedAmount', 'netRevenue']);
+  stages.commit();
+
+  // Todas las entradas con su pago
+  const tickets = addSettlementSheet(workbook, 'Entradas', [
+    { header: 'Código Reserva', key: 'reservationCode', width: 16 },
+    { header: 'Nombre', key: 'nombre', width: 18 },
+    { header: 'Apellido', key: 'apellido', width: 18 },
+    { header: 'Email', key: 'email', width: 28 },
+    { header: 'Teléfono', key: 'telefono', width: 15 },
+    { header: 'Tipo', key: 'type', width: 14 },
+    { header: 'Etapa', key: 'stage', width: 18 },
+    { header: 'Categoría', key: 'category', width: 14 },
+    { header: 'Estado', key: 'revenueClass', width: 13 },
+    { header: 'Estado Pago', key: 'paymentStatus', width: 13 },
+    { header: 'Medio', key: 'paymentMethod', width: 13 },
+    { header: 'ID Pago', key: 'paymentId', width: 16 },
+    { header: 'Código Promo', key: 'promoCode', width: 14 },
+    { header: 'RRPP', key: 'promoterCode', width: 12 },
+    { header: 'Precio', key: 'price', width: 13, format: MONEY_FORMAT },
+    { header: 'Fecha Compra', key: 'purchasedAt', width: 17, format: DATE_FORMAT },
+    { header: 'Ingreso', key: 'checkedInAt', width: 17, format: DATE_FORMAT },
+    { header: 'Reembolsada', key: 'refundedAt', width: 17, format: DATE_FORMAT }
+  ]);
+  let ticketRows = 0;
+  const ticketCursor = Reservation.find({ eventId: eventObjectId }).sort({ createdAt: 1 }).lean().cursor();
+  for await (const reservation of ticketCursor) {
+    const revenueClass = classifyReservation(reservation);
+    // Precio de cada entrada: solo si el pago se cobró
+    const collected = !reservation.isFreeTicket && ['paid', 'refunded'].includes(revenueClass);
+    const unitPrice = collected && reservation.totalTickets > 0
+      ? Math.round((reservation.totalAmount / reservation.totalTickets) * 100) / 100
+      : 0;
+
+    reservation.tickets.forEach(ticket => {
+      tickets.addRow({
+        reservationCode: reservation.reservationCode,
+        nombre: ticket.nombre,
+        apellido: ticket.apellido,
+        email: ticket.email || '',
+        telefono: ticket.telefono || '',
+        type: TICKET_TYPE_LABELS[getTicketType(reservation)],
+        stage: reservation.isFreeTicket ? '' : stageName(reservation.preSaleStageIndex),
+        category: reservation.ticketCategory || '',
+        revenueClass: REVENUE_CLASS_LABELS[revenueClass],
+        paymentStatus: reservation.paymentStatus,
+        paymentMethod: reservation.paymentMethod,
+        paymentId: reservation.paymentId || '',
+        promoCode: reservation.promoCode || '',
+        promoterCode: reservation.promoterCode || '',
+        price: unitPrice,
+        purchasedAt: toExcelDate(reservation.paidAt || reservation.createdAt),
+        checkedInAt: toExcelDate(ticket.checkedInAt),
+        refundedAt: toExcelDate(ticket.refundedAt)
+      }).commit();
+      ticketRows++;
+    });
+  }
+  addTotalsRow(tickets, ticketRows, ['price']);
+  tickets.commit();
+
+  // Entradas gratis e invitados de RRPP
+  const guests = addSettlementSheet(workbook, 'Gratis e Invitados', [
+    { header: 'Nombre', key: 'nombre', width: 18 },
+    { header: 'Apellido', key: 'apellido', width: 18 },
+    { header: 'Email', key: 'email', width: 28 },
+    { header: 'Teléfono', key: 'telefono', width: 15 },
+    { header: 'Código Reserva', key: 'reservationCode', width: 16 },
+    { header: 'Tipo', key: 'type', width: 14 },
+    { header: 'RRPP', key: 'promoterCode', width: 12 },
+    { header: 'Fecha Reserva', key: 'createdAt', width: 17, format: DATE_FORMAT },
+    { header: 'Ingreso', key: 'checkedInAt', width: 17, format: DATE_FORMAT }
+  ]);
+  const guestCursor = Reservation.find({ eventId: eventObjectId, isFreeTicket: true, status: { $ne: 'cancelled' } })
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+  for await (const reservation of guestCursor) {
+    reservation.tickets.forEach(ticket => {
+      guests.addRow({
+        nombre: ticket.nombre,
+        apellido: ticket.apellido,
+        email: ticket.email || '',
+        telefono: ticket.telefono || '',
+        reservationCode: reservation.reservationCode,
+        type: TICKET_TYPE_LABELS[getTicketType(reservation)],
+        promoterCode: reservation.promoterCode || '',
+        createdAt: toExcelDate(reservation.createdAt),
+        checkedInAt: toExcelDate(ticket.checkedInAt)
+      }).commit();
+    });
+  }
+  guests.commit();
+
+  // Reembolsos y contracargos
+  const refunds = addSettlementSheet(workbook, 'Reembolsos', [
+    { header: 'Fecha', key: 'createdAt', width: 17, format: DATE_FORMAT },
+    { header: 'Código Reserva', key: 'reservationCode', width: 16 },
+    { header: 'Titular', key: 'holder', width: 28 },
+    { header: 'ID Pago', key: 'paymentId', width: 16 },
+    { header: 'Origen', key: 'source', width: 12 },
+    { header: 'Entradas Devueltas', key: 'ticketsReturned', width: 18 },
+    { header: 'Monto', key: 'amount', width: 14, format: MONEY_FORMAT },
+    { header: 'Motivo', key: 'reason', width: 30 },
+    { header: 'Operador', key: 'operatorEmail', width: 24 },
+    { header: 'ID Reembolso MP', key: 'mpRefundId', width: 18 }
+  ]);
+  let refundRows = 0;
+  const refundCursor = Reservation.find({ eventId: eventObjectId, 'refunds.0': { $exists: true } })
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+  for await (const reservation of refundCursor) {
+    const holder = reservation.tickets[0] ? `${reservation.tickets[0].nombre} ${reservation.tickets[0].apellido}` : '';
+    reservation.refunds.forEach(refund => {
+      refunds.addRow({
+        createdAt: toExcelDate(refund.createdAt),
+        reservationCode: reservation.reservationCode,
+        holder,
+        paymentId: reservation.paymentId || '',
+        source: refund.source,
+        ticketsReturned: refund.ticketsReturned || 0,
+        amount: refund.amount,
+        reason: refund.reason || '',
+        operatorEmail: refund.operatorEmail || '',
+        mpRefundId: refund.mpRefundId || ''
+      }).commit();
+      refundRows++;
+    });
+  }
+  addTotalsRow(refunds, refundRows, ['ticketsReturned', 'amount']);
+  refunds.commit();
+
+  // Uso de códigos promocionales
+  const promos = addSettlementSheet(workbook, 'Códigos Promocionales', [
+    { header: 'Código', key: 'code', width: 16 },
+    { header: 'Descripción', key: 'description', width: 28 },
+    { header: 'Reservas', key: 'reservations', width: 10 },
+    { header: 'Entradas', key: 'tickets', width: 10 },
+    { header: 'Descuento Otorgado', key: 'discountTotal', width: 18, format: MONEY_FORMAT },
+    { header: 'Bruto', key: 'grossRevenue', width: 15, format: MONEY_FORMAT },
+    { header: 'Reembolsos', key: 'refundedAmount', width: 14, format: MONEY_FORMAT },
+    { header: 'Neto', key: 'netRevenue', width: 15, format: MONEY_FORMAT }
+  ]);
+  promoStats.forEach(item => {
+    promos.addRow({
+      code: item.code,
+      description: item.description || '',
+      reservations: item.reservations,
+      tickets: item.tickets,
+      discountTotal: item.discountTotal,
+      grossRevenue: item.grossRevenue,
+      refundedAmount: item.refundedAmount,
+      netRevenue: item.netRevenue
+    }).commit();
+  });
+  addTotalsRow(promos, promoStats.length, ['reservations', 'tickets', 'discountTotal', 'grossRevenue', 'refundedAmount', 'netRevenue']);
+  promos.commit();
+
+  await workbook.commit();
+}
+
+// GET /api/reports/events/:eventId/settlement - Liquidación del evento en Excel
+// (resumen, etapas, entradas, gratis e invitados, reembolsos y códigos promocionales)
+router.get('/events/:eventId/settlement', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    await exportSettlementToExcel(res, event);
+  } catch (error) {
+    console.error('Error al exportar la liquidación:', error);
+    // Si ya se empezó a enviar el archivo no se puede responder con JSON
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      message: 'Error al exportar la liquidación',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET /api/reports/events/:eventId/free-tickets/export - Endpoint alternativo para exportar
 router.get('/events/:eventId/free-tickets/export', async (req, res) => {
   try {
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const ResaleListing = require('../models/ResaleListing');
+const { requireAuth, requireRole, optionalCustomer } = require('../middleware/auth');
+const { ResaleError } = require('../utils/errors');
+const {
+  RESALE_FEE_PERCENT,
+  RESALE_MAX_MARKUP_PERCENT,
+  createListing,
+  cancelListing,
+  getTicketListings,
+  startCheckout,
+  payoutSeller
+} = require('../services/resale');
+
+function handleError(res, error) {
+  if (error instanceof ResaleError) {
+    return res.status(error.status).json({ message: error.message, code: error.code });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Error de validación',
+      errors
+    });
+  }
+
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({ message: 'ID no válido' });
+  }
+
+  res.status(500).json({ message: error.message });
+}
+
+// GET /api/resale/events/:eventId - Entradas en reventa de un evento
+// Un evento cancelado, finalizado o con transferencias congeladas no muestra publicaciones
+router.get('/events/:eventId', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event || event.status === 'draft') {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    const block = event.getTransferBlock();
+    const listings = block ? [] : await ResaleListing.find({
+      eventId: event._id,
+      ...ResaleListing.availableFilter()
+    }).sort({ price: 1, createdAt: 1 });
+
+    res.json({
+      eventId: event._id,
+      resaleOpen: !block,
+      listings: listings.map(listing => listing.toPublicJSON())
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// POST /api/resale/listings - Publicar una entrada (el token del QR prueba que es del titular)
+// price es opcional: por defecto se publica a valor nominal
+router.post('/listings', optionalCustomer, async (req, res) => {
+  try {
+    const { ticketToken, price } = req.body;
+
+    if (!ticketToken) {
+      return res.status(400).json({ message: 'Falta el campo requerido: ticketToken' });
+    }
+
+    const listing = await createListing(ticketToken, { price }, { customer: req.customer });
+
+    res.status(201).json({
+      message: 'Entrada publicada en la reventa',
+      listing: listing.toSellerJSON(),
+      feePercent: RESALE_FEE_PERCENT,
+      maxMarkupPercent: RESALE_MAX_MARKUP_PERCENT
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/resale/ticket/:ticketToken - Publicaciones de una entrada (vista del vendedor)
+router.get('/ticket/:ticketToken', async (req, res) => {
+  try {
+    const listings = await getTicketListings(req.params.ticketToken);
+    res.json({ listings: listings.map(listing => listing.toSellerJSON()) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// DELETE /api/resale/ticket/:ticketToken - Bajar la publicación de una entrada
+router.delete('/ticket/:ticketToken', async (req, res) => {
+  try {
+    const listing = await cancelListing(req.params.ticketToken);
+    res.json({ message: 'Publicación cancelada', listing: listing.toSellerJSON() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// POST /api/resale/listings/:id/checkout - Comprar una entrada de reventa
+router.post('/listings/:id/checkout', optionalCustomer, async (req, res) => {
+  try {
+    const { nombre, apellido, email, telefono } = req.body;
+
+    if (!nombre || !apellido || !email) {
+      return res.status(400).json({
+        message: 'Faltan campos requeridos: nombre, apellido, email'
+      });
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ message: 'El email no es válido' });
+    }
+
+    const buyer = {
+      nombre: String(nombre).trim(),
+      apellido: String(apellido).trim(),
+      email: String(email).trim().toLowerCase(),
+      telefono: telefono ? String(telefono).trim() : undefined
+    };
+    const { listing, orderId, preference } = await startCheckout(req.params.id, buyer, { customer: req.customer });
+
+    res.json({
+      success: true,
+      preferenceId: preference.id,
+      initPoint: preference.init_point,
+      sandboxInitPoint: preference.sandbox_init_point,
+      orderId,
+      amount: listing.price,
+      reservedUntil: listing.reservedUntil
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/resale/admin/events/:eventId - Todas las publicaciones del evento (admin)
+router.get('/admin/events/:eventId', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = { eventId: req.params.eventId };
+    if (status) filter.status = status;
+
+    const listings = await ResaleListing.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      listings: listings.map(listing => ({
+        ...listing.toSellerJSON(),
+        seller: listing.seller,
+        buyer: listing.buyer,
+        orderId: listing.orderId,
+        paymentId: listing.paymentId,
+        reservationId: listing.reservationId,
+        buyerReservationId: listing.buyerReservationId,
+        payoutError: listing.payoutError
+      }))
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// POST /api/resale/admin/listings/:id/payout - Reintentar el reembolso al vendedor
+router.post('/admin/listings/:id/payout', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const listing = await ResaleListing.findById(req.params.id);
+    if (!listing) {
+      return res.status(404).json({ message: 'Publicación no encontrada', code: 'LISTING_NOT_FOUND' });
+    }
+    if (listing.status !== 'sold' || !['failed', 'pending'].includes(listing.payoutStatus)) {
+      return res.status(409).json({
+        message: 'La publicación no tiene un pago al vendedor pendiente',
+        code: 'LISTING_NOT_AVAILABLE'
+      });
+    }
+
+    const updated = await payoutSeller(listing);
+    res.json({
+      message: updated.payoutStatus === 'failed' ? 'No se pudo reembolsar al vendedor' : 'Reembolso al vendedor registrado',
+      listing: { ...updated.toSellerJSON(), payoutError: updated.payoutError }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,31 @@
 const express = require('express');
+const QRCode = require('qrcode');
 const router = express.Router();
 const Reservation = require('../models/Reservation');
 const Event = require('../models/Event');
+const TicketHold = require('../models/TicketHold');
+const { requireAuth, requireRole, requireCustomer, optionalCustomer } = require('../middleware/auth');
+const { InventoryError, PromoCodeError } = require('../utils/errors');
+const { queueReservationEmails } = require('../services/email');
+const { quoteOrder } = require('../services/pricing');
+const { evaluatePromoCode, redeemPromoCode, releasePromoRedemption } = require('../services/promoCodes');
+const { notifyInventoryReleased } = require('../services/waitlist');
+const { resolvePromoterAttribution, releaseGuestListReservation } = require('../services/promoters');
 
 // POST /api/reservations - Crear una nueva reserva
-// POST /api/reservations - Crear una nueva reserva
-router.post('/', async (req, res) => {
+// POST /api/reservations - Crear una nueva reserva. Las reservas pagas quedan
+// pendientes de pago: el pago lo confirma el webhook de MercadoPago.
+router.post('/', optionalCustomer, async (req, res) => {
   try {
     const { 
       eventId, 
       eventTitle, 
       tickets, 
-      isPaid, 
       paymentMethod, 
-      totalAmount, 
-      orderId,
       preSaleStageIndex, // Nueva: índice de la etapa de preventa
-      isFreeTicket // Nueva: indica si es entrada gratis
+      isFreeTicket, // Nueva: indica si es entrada gratis
+      promoCode,
+      promoterCode
     } = req.body;
     
     // Validar campos requeridos
@@ -26,8 +35,12 @@ router.post('/', async (req, res) => {
       });
     }
     
+    if (req.body.orderId !== undefined && req.body.orderId !== null && typeof req.body.orderId !== 'string') {
+      return res.status(400).json({ message: 'orderId no válido' });
+    }
+    
     const event = await Event.findById(eventId);
-    if (!event) {
+    if (!event || event.status === 'draft') {
       return res.status(404).json({ message: 'Evento no encontrado' });
     }
     
@@ -56,57 +69,98 @@ router.post('/', async (req, res) => {
       }
     }
     
-    // Verificar disponibilidad según el tipo de reserva
-    if (isFreeTicket) {
-      // Validar entradas gratis
-      if (!event.freeTickets.enabled) {
-        return res.status(400).json({ 
-          message: 'Este evento no tiene entradas gratis disponibles' 
-        });
-      }
-      
-      if (event.freeTickets.quantity > 0 && 
-          event.freeTickets.ticketsClaimed + tickets.length > event.freeTickets.quantity) {
-        return res.status(400).json({ 
-          message: 'No hay suficientes entradas gratis disponibles' 
-        });
-      }
-      
-      // Actualizar contador de entradas gratis
-      event.freeTickets.ticketsClaimed += tickets.length;
-      await event.save();
-      
-    } else if (preSaleStageIndex !== undefined) {
-      // Validar preventa
-      if (preSaleStageIndex >= event.preSaleStages.length) {
-        return res.status(400).json({ 
-          message: 'Etapa de preventa no válida' 
-        });
-      }
-      
-      const stage = event.preSaleStages[preSaleStageIndex];
-      
-      if (!stage.isActive) {
-        return res.status(400).json({ 
-          message: 'Esta etapa de preventa no está activa' 
-        });
-      }
-      
-      if (stage.endDate < new Date()) {
-        return res.status(400).json({ 
-          message: 'Esta etapa de preventa ha expirado' 
-        });
+    // RRPP del link/código (si no es válido la reserva sigue sin atribución)
+    const attribution = await resolvePromoterAttribution(promoterCode, event._id);
+
+    // Descontar inventario con una actualización atómica según el tipo de reserva
+    const isStageReservation = !isFreeTicket && preSaleStageIndex !== undefined && preSaleStageIndex !== null;
+    
+    // Sin etapa no se descuenta inventario: con capacidad definida no se permite
+    if (!isFreeTicket && !isStageReservation && event.capacity) {
+      return res.status(400).json({
+        message: 'Indicá la etapa de preventa de la reserva',
+        code: 'STAGE_NOT_AVAILABLE'
+      });
+    }
+    
+    if (isStageReservation && event.getStageState(parseInt(preSaleStageIndex)) === 'upcoming') {
+      return res.status(400).json({
+        message: 'La etapa de preventa seleccionada todavía no está a la venta',
+        code: 'STAGE_NOT_OPEN'
+      });
+    }
+    
+    // Categoría de la etapa: tiene que estar disponible y respetar su límite por orden
+    const category = isStageReservation
+      ? event.assertCategoryPurchase(parseInt(preSaleStageIndex), tickets.length)
+      : null;
+    
+    // La orden identifica la reserva cuando llega el pago
+    const orderId = req.body.orderId ||
+      (isFreeTicket ? null : `RES_${eventId}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`);
+    if (orderId && await Reservation.exists({ orderId })) {
+      return res.status(409).json({
+        message: 'Ya existe una reserva para esta orden',
+        code: 'ORDER_EXISTS'
+      });
+    }
+    
+    // El total lo calcula siempre el servidor
+    let promo = null;
+    let discounts = [];
+    if (promoCode) {
+      if (isFreeTicket) {
+        throw new PromoCodeError('Los códigos promocionales no aplican a entradas gratis', { code: 'PROMO_NOT_APPLICABLE' });
       }
-      
-      if (stage.ticketsSold + tickets.length > stage.ticketLimit) {
-        return res.status(400).json({ 
-          message: 'No hay suficientes entradas disponibles en esta etapa' 
+      const stageIndex = isStageReservation ? parseInt(preSaleStageIndex) : null;
+      const evaluation = await evaluatePromoCode({
+        code: promoCode,
+        event,
+        stageIndex,
+        quantity: tickets.length,
+        email: tickets[0].email
+      });
+      promo = evaluation.promo;
+      discounts = [evaluation.discount];
+    }
+    const quote = isFreeTicket
+      ? null
+      : quoteOrder(event, { stageIndex: isStageReservation ? parseInt(preSaleStageIndex) : null, quantity: tickets.length, discounts });
+    
+    // Las entradas de una reserva sin pagar quedan retenidas como en el checkout:
+    // si el pago no llega antes de que venza el hold vuelven a la venta
+    let hold = null;
+    const existingHold = isStageReservation
+      ? await TicketHold.exists({ orderId, status: 'held', expiresAt: { $gt: new Date() } })
+      : null;
+    if (isFreeTicket) {
+      await Event.claimFreeTickets(eventId, tickets.length);
+    } else if (isStageReservation) {
+      hold = await TicketHold.place({
+        eventId: event._id,
+        stageIndex: parseInt(preSaleStageIndex),
+        quantity: tickets.length,
+        orderId
+      });
+    }
+    
+    let redemption = null;
+    if (promo) {
+      try {
+        redemption = await redeemPromoCode(promo, {
+          orderId,
+          eventId: event._id,
+          email: tickets[0].email,
+          tickets: tickets.length,
+          discountAmount: quote.discountTotal,
+          expiresAt: hold ? hold.expiresAt : new Date(Date.now() + TicketHold.HOLD_MINUTES * 60 * 1000)
         });
+      } catch (promoError) {
+        if (hold && !existingHold) {
+          await TicketHold.release(orderId, 'cancelled');
+        }
+        throw promoError;
       }
-      
-      // Actualizar contador de la etapa
-      stage.ticketsSold += tickets.length;
-      await event.save();
     }
     
     // Crear la reserva
@@ -115,16 +169,45 @@ router.post('/', async (req, res) => {
       eventTitle,
       tickets,
       totalTickets: tickets.length,
-      isPaid: isPaid || false,
+      isPaid: false,
       paymentMethod: paymentMethod || (isFreeTicket ? 'free' : 'mercadopago'),
-      totalAmount: totalAmount || 0,
-      orderId: orderId || null,
+      totalAmount: quote ? quote.total : 0,
+      orderId,
       preSaleStageIndex: isFreeTicket ? undefined : preSaleStageIndex,
-      isFreeTicket: isFreeTicket || false
+      isFreeTicket: isFreeTicket || false,
+      ticketCategory: category ? category.key : null,
+      promoCode: promo ? promo.code : null,
+      discountAmount: quote ? quote.discountTotal : 0,
+      customerId: req.customer ? req.customer._id : null,
+      promoterId: attribution.promoterId,
+      promoterCode: attribution.promoterCode
     };
     
-    const newReservation = new Reservation(reservationData);
-    const savedReservation = await newReservation.save();
+    let savedReservation;
+    try {
+      const newReservation = new Reservation(reservationData);
+      savedReservation = await newReservation.save();
+    } catch (saveError) {
+      // Si la reserva no se pudo guardar, devolver las entradas descontadas
+      if (isFreeTicket) {
+        await Event.releaseFreeTickets(eventId, tickets.length);
+      } else if (hold && !existingHold) {
+        await TicketHold.release(orderId, 'cancelled');
+      }
+      if (redemption) {
+        await releasePromoRedemption(orderId);
+      }
+      throw saveError;
+    }
+    
+    if (redemption) {
+      redemption.reservationId = savedReservation._id;
+      await redemption.save();
+    }
+    
+    if (savedReservation.isFreeTicket) {
+      await queueReservationEmails('free_ticket_confirmation', savedReservation, { event });
+    }
     
     res.status(201).json({
       message: 'Reserva creada exitosamente',
@@ -135,6 +218,21 @@ router.post('/', async (req, res) => {
   } catch (error) {
     console.error('Error creating reservation:', error);
     
+    if (error instanceof InventoryError) {
+      return res.status(error.code === 'EVENT_NOT_FOUND' ? 404 : 400).json({ 
+        message: error.message,
+        code: error.code,
+        available: error.available
+      });
+    }
+    
+    if (error instanceof PromoCodeError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        code: error.code
+      });
+    }
+    
     if (error.code === 11000) {
       return res.status(500).json({ 
         message: 'Error al generar código de reserva único. Intente nuevamente.' 
@@ -146,7 +244,7 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/reservations - Obtener todas las reservas (para admin)
-router.get('/', async (req, res) => {
+router.get('/', requireAuth, requireRole('viewer'), async (req, res) => {
   try {
     const { page = 1, limit = 10, eventId } = req.query;
     
@@ -174,7 +272,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/reservations/event/:eventId - Obtener reservas por evento
-router.get('/event/:eventId', async (req, res) => {
+router.get('/event/:eventId', requireAuth, requireRole('viewer'), async (req, res) => {
   try {
     const { eventId } = req.params;
     const { page = 1, limit = 20 } = req.query;
@@ -219,26 +317,64 @@ router.get('/:code', async (req, res) => {
   }
 });
 
-// PATCH /api/reservations/order/:orderId/contact - Actualizar info de contacto
-router.patch('/order/:orderId/contact', async (req, res) => {
+// GET /api/reservations/tickets/:token/qr - QR de una entrada (?format=png|svg)
+router.get('/tickets/:token/qr', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { format = 'png' } = req.query;
+    
+    if (!['png', 'svg'].includes(format)) {
+      return res.status(400).json({ message: 'Formato no válido. Use: png o svg' });
+    }
+    
+    const reservation = await Reservation.findOne({ 'tickets.token': token })
+      .select('_id');
+    if (!reservation) {
+      return res.status(404).json({ message: 'Entrada no encontrada' });
+    }
+    
+    // El QR contiene solo el token: la validación se hace en /api/checkin/scan
+    if (format === 'svg') {
+      const svg = await QRCode.toString(token, { type: 'svg', margin: 2 });
+      res.setHeader('Content-Type', 'image/svg+xml');
+      return res.send(svg);
+    }
+    
+    const png = await QRCode.toBuffer(token, { type: 'png', width: 400, margin: 2 });
+    res.setHeader('Content-Type', 'image/png');
+    res.send(png);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/reservations/order/:orderId/contact - Actualizar el teléfono de contacto
+// Solo el dueño de la reserva. El titular (nombre y email) se cambia con una
+// transferencia (POST /api/transfers).
+router.patch('/order/:orderId/contact', requireCustomer, async (req, res) => {
   try {
     const { orderId } = req.params;
     const { email, phone, name } = req.body;
     
-    const reservation = await Reservation.findOne({ orderId });
+    if (email || name) {
+      return res.status(409).json({ 
+        message: 'Para cambiar el titular de una entrada usá la transferencia de entradas',
+        code: 'HOLDER_CHANGE_REQUIRES_TRANSFER'
+      });
+    }
+    
+    if (!phone) {
+      return res.status(400).json({ message: 'Indicá el teléfono de contacto' });
+    }
+    
+    const reservation = await Reservation.findOne({ orderId, customerId: req.customer._id });
     if (!reservation) {
       return res.status(404).json({ message: 'Reserva no encontrada' });
     }
     
-    // Actualizar tickets con información de contacto
-    if (email || name) {
-      reservation.tickets = reservation.tickets.map(ticket => ({
-        ...ticket,
-        email: email || ticket.email,
-        nombre: name ? name.split(' ')[0] : ticket.nombre,
-        apellido: name ? name.split(' ').slice(1).join(' ') : ticket.apellido
-      }));
-    }
+    reservation.tickets.forEach(ticket => {
+      ticket.telefono = String(phone).trim();
+    });
     
     await reservation.save();
     
@@ -252,20 +388,46 @@ router.patch('/order/:orderId/contact', async (req, res) => {
   }
 });
 
-// DELETE /api/reservations/:code - Cancelar reserva
-router.delete('/:code', async (req, res) => {
+// DELETE /api/reservations/:code - Cancelar reserva (admin)
+router.delete('/:code', requireAuth, requireRole('owner'), async (req, res) => {
   try {
-    const reservation = await Reservation.findOne({ 
-      reservationCode: req.params.code 
-    });
+    // Marcar como cancelada en lugar de eliminar (condicional para no liberar dos veces)
+    const reservation = await Reservation.findOneAndUpdate(
+      { reservationCode: req.params.code, status: { $ne: 'cancelled' } },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
     
     if (!reservation) {
-      return res.status(404).json({ message: 'Reserva no encontrada' });
+      const existing = await Reservation.findOne({ reservationCode: req.params.code });
+      if (!existing) {
+        return res.status(404).json({ message: 'Reserva no encontrada' });
+      }
+      return res.json({ message: 'La reserva ya estaba cancelada', reservation: existing });
     }
     
-    // Marcar como cancelada en lugar de eliminar
-    reservation.status = 'cancelled';
-    await reservation.save();
+    // Devolver al inventario las entradas que no fueron reembolsadas antes. Las
+    // pagas sin reembolsar no vuelven a la venta: para liberarlas hay que
+    // reembolsar la reserva antes de cancelarla (POST /api/mercadopago/reservation/:orderId/refund)
+    const isPaid = !reservation.isFreeTicket && reservation.paymentStatus === 'approved';
+    const ticketsToRelease = isPaid ? 0 : reservation.totalTickets - (reservation.ticketsReturned || 0);
+    if (ticketsToRelease > 0) {
+      if (reservation.isGuestList) {
+        await releaseGuestListReservation(reservation, ticketsToRelease);
+      } else if (reservation.isFreeTicket) {
+        await Event.releaseFreeTickets(reservation.eventId, ticketsToRelease);
+      } else if (reservation.preSaleStageIndex !== null && reservation.preSaleStageIndex !== undefined) {
+        // Sin pagar las entradas están en el hold de la orden (si no venció todavía).
+        // Solo las reservas anteriores a los holds descontaron directo de la etapa.
+        const hold = reservation.orderId ? await TicketHold.findOne({ orderId: reservation.orderId }) : null;
+        if (hold) {
+          await TicketHold.release(reservation.orderId, 'cancelled');
+        } else {
+          await Event.releaseStageTickets(reservation.eventId, reservation.preSaleStageIndex, ticketsToRelease);
+        }
+      }
+      notifyInventoryReleased(reservation.eventId);
+    }
     
     res.json({ 
       message: 'Reserva cancelada exitosamente',
@@ -277,7 +439,7 @@ router.delete('/:code', async (req, res) => {
 });
 
 // GET /api/reservations/stats/overview - Estadísticas de reservas
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', requireAuth, requireRole('viewer'), async (req, res) => {
   try {
     const totalReservations = await Reservation.countDocuments();
     const totalTickets = await Reservation.aggregate([
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const PromoterQuota = require('../models/PromoterQuota');
+const Reservation = require('../models/Reservation');
+const { requirePromoter } = require('../middleware/auth');
+const { GuestListError, InventoryError } = require('../utils/errors');
+const { addGuests, removeGuest } = require('../services/promoters');
+
+function handleError(res, error) {
+  if (error instanceof GuestListError) {
+    return res.status(error.status).json({ message: error.message, code: error.code });
+  }
+
+  if (error instanceof InventoryError) {
+    return res.status(409).json({ message: error.message, code: error.code, available: error.available });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Error de validación',
+      errors
+    });
+  }
+
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({ message: 'ID no válido' });
+  }
+
+  res.status(500).json({ message: error.message });
+}
+
+function guestJSON(reservation) {
+  const ticket = reservation.tickets[0] || {};
+  return {
+    id: reservation._id,
+    reservationCode: reservation.reservationCode,
+    nombre: ticket.nombre,
+    apellido: ticket.apellido,
+    email: ticket.email,
+    status: reservation.status,
+    checkedInAt: ticket.checkedInAt || null,
+    createdAt: reservation.createdAt
+  };
+}
+
+router.use(requirePromoter);
+
+// GET /api/rrpp/me - Datos del RRPP y sus eventos con cupo
+router.get('/me', async (req, res) => {
+  try {
+    const quotas = await PromoterQuota.find({ promoterId: req.promoter._id, isActive: true })
+      .populate('eventId', 'title date location status');
+
+    const events = quotas
+      .filter(quota => quota.eventId && ['active', 'sold-out'].includes(quota.eventId.status))
+      .map(quota => ({
+        eventId: quota.eventId._id,
+        title: quota.eventId.title,
+        date: quota.eventId.date,
+        location: quota.eventId.location,
+        ...quota.toPublicJSON(quota.eventId),
+        listOpen: quota.getCutoff(quota.eventId) > new Date()
+      }));
+
+    res.json({ promoter: req.promoter.toPublicJSON(), events });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/rrpp/events/:eventId/guests - Lista de invitados del RRPP para el evento
+router.get('/events/:eventId/guests', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    const quota = event && await PromoterQuota.findOne({ promoterId: req.promoter._id, eventId: event._id });
+    if (!event || !quota) {
+      return res.status(404).json({ message: 'Evento no encontrado', code: 'EVENT_NOT_FOUND' });
+    }
+
+    const guests = await Reservation.find({
+      eventId: event._id,
+      promoterId: req.promoter._id,
+      isGuestList: true,
+      status: { $ne: 'cancelled' }
+    }).sort({ createdAt: 1 });
+
+    res.json({
+      quota: quota.toPublicJSON(event),
+      listOpen: quota.isActive && quota.getCutoff(event) > new Date(),
+      guests: guests.map(guestJSON)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// POST /api/rrpp/events/:eventId/guests - Cargar invitados
+// Body: { guests: [{ nombre, apellido, email?, telefono? }] }
+router.post('/events/:eventId/guests', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado', code: 'EVENT_NOT_FOUND' });
+    }
+
+    const { reservations, quota } = await addGuests(req.promoter, event, req.body.guests);
+
+    res.status(201).json({
+      message: `${reservations.length} invitado(s) agregado(s) a la lista`,
+      guests: reservations.map(guestJSON),
+      quota: quota.toPublicJSON(event)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// DELETE /api/rrpp/events/:eventId/guests/:reservationId - Quitar un invitado de la lista
+router.delete('/events/:eventId/guests/:reservationId', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado', code: 'EVENT_NOT_FOUND' });
+    }
+
+    const reservation = await removeGuest(req.promoter, event, req.params.reservationId);
+    res.json({ message: 'Invitado quitado de la lista', guest: guestJSON(reservation) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
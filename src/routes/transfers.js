@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const TicketTransfer = require('../models/TicketTransfer');
+const { requireAuth, requireRole, optionalCustomer } = require('../middleware/auth');
+const { TransferError } = require('../utils/errors');
+const {
+  startTransfer,
+  findTransferByToken,
+  acceptTransfer,
+  cancelTransfer,
+  getTicketTransfers
+} = require('../services/transfers');
+
+function handleError(res, error) {
+  if (error instanceof TransferError) {
+    return res.status(error.status).json({ message: error.message, code: error.code });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Error de validación',
+      errors
+    });
+  }
+
+  if (error.kind === 'ObjectId') {
+    return res.status(400).json({ message: 'ID no válido' });
+  }
+
+  res.status(500).json({ message: error.message });
+}
+
+// POST /api/transfers - Iniciar la transferencia de una entrada
+// Quien tiene el token del QR es el titular de la entrada
+router.post('/', optionalCustomer, async (req, res) => {
+  try {
+    const { ticketToken, nombre, apellido, email, telefono } = req.body;
+
+    if (!ticketToken || !nombre || !apellido || !email) {
+      return res.status(400).json({
+        message: 'Faltan campos requeridos: ticketToken, nombre, apellido, email'
+      });
+    }
+
+    const transfer = await startTransfer(ticketToken, { nombre, apellido, email, telefono }, {
+      customer: req.customer
+    });
+
+    res.status(201).json({
+      message: `Enviamos el link para aceptar la entrada a ${transfer.to.email}`,
+      transfer: transfer.toPublicJSON()
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/transfers/ticket/:ticketToken - Historial de transferencias de una entrada
+router.get('/ticket/:ticketToken', async (req, res) => {
+  try {
+    const transfers = await getTicketTransfers(req.params.ticketToken);
+    res.json({ transfers: transfers.map(transfer => transfer.toPublicJSON()) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// DELETE /api/transfers/ticket/:ticketToken - Cancelar la transferencia pendiente
+router.delete('/ticket/:ticketToken', async (req, res) => {
+  try {
+    await cancelTransfer(req.params.ticketToken);
+    res.json({ message: 'Transferencia cancelada' });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/transfers/events/:eventId - Transferencias de un evento (admin)
+router.get('/events/:eventId', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const event = await Event.findById(req.params.eventId).select('title date transfersFrozenAt transferFreezeHours status');
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    const filter = { eventId: event._id };
+    if (status) filter.status = status;
+
+    const transfers = await TicketTransfer.find(filter).sort({ createdAt: -1 });
+    const block = event.getTransferBlock();
+
+    res.json({
+      event: {
+        id: event._id,
+        title: event.title,
+        date: event.date,
+        transfersFrozenAt: event.transfersFrozenAt,
+        transferFreezeHours: event.transferFreezeHours,
+        transfersOpen: !block,
+        transferBlock: block
+      },
+      transfers: transfers.map(transfer => transfer.toPublicJSON())
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// GET /api/transfers/:token - Datos de una transferencia desde el link del email
+router.get('/:token', async (req, res) => {
+  try {
+    const transfer = await findTransferByToken(req.params.token);
+    const event = await Event.findById(transfer.eventId).select('title date location image images');
+
+    res.json({
+      transfer: {
+        fromName: `${transfer.from.nombre || ''} ${transfer.from.apellido || ''}`.trim(),
+        to: transfer.to,
+        expiresAt: transfer.expiresAt
+      },
+      event
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// POST /api/transfers/:token/accept - Aceptar la entrada (rota el token del QR)
+router.post('/:token/accept', optionalCustomer, async (req, res) => {
+  try {
+    const { transfer, event, reservation, ticketToken } = await acceptTransfer(req.params.token, {
+      customer: req.customer
+    });
+
+    res.json({
+      message: 'La entrada ya está a tu nombre',
+      transfer: transfer.toPublicJSON(),
+      event: { id: event._id, title: event.title, date: event.date, location: event.location },
+      reservationCode: reservation.reservationCode,
+      ticketToken
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
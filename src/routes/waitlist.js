@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const TicketHold = require('../models/TicketHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { processWaitlist, notifyInventoryReleased, findOfferByToken } = require('../services/waitlist');
+
+// POST /api/waitlist - Anotarse en la lista de espera de un evento
+router.post('/', async (req, res) => {
+  try {
+    const { eventId, preSaleStageIndex, nombre, apellido, email, quantity } = req.body;
+
+    if (!eventId || !nombre || !apellido || !email || !quantity) {
+      return res.status(400).json({
+        message: 'Faltan campos requeridos: eventId, nombre, apellido, email, quantity'
+      });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Evento no encontrado' });
+    }
+
+    if (!['active', 'sold-out'].includes(event.status)) {
+      return res.status(400).json({
+        message: 'El evento no admite lista de espera',
+        code: 'EVENT_NOT_ACTIVE',
+        eventStatus: event.status
+      });
+    }
+
+    const hasStage = preSaleStageIndex !== undefined && preSaleStageIndex !== null;
+    if (hasStage && !event.preSaleStages[parseInt(preSaleStageIndex)]) {
+      return res.status(400).json({ message: 'Índice de etapa no válido', code: 'STAGE_NOT_AVAILABLE' });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existing = await WaitlistEntry.findOne({
+      eventId,
+      email: normalizedEmail,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(409).json({
+        message: 'Ya estás anotado en la lista de espera de este evento',
+        code: 'ALREADY_IN_WAITLIST',
+        entry: existing.toPublicJSON()
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      eventId,
+      preSaleStageIndex: hasStage ? parseInt(preSaleStageIndex) : null,
+      nombre,
+      apellido,
+      email: normalizedEmail,
+      quantity: parseInt(quantity),
+      position: await WaitlistEntry.nextPosition(eventId)
+    });
+
+    // Si ya hay entradas libres se ofrecen enseguida
+    notifyInventoryReleased(event._id);
+
+    res.status(201).json({
+      message: 'Te anotamos en la lista de espera',
+      entry: entry.toPublicJSON()
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/waitlist/claim/:token - Datos de una oferta para completar la compra.
+// El frontend usa orderId, eventId, preSaleStageIndex y quantity para crear la
+// preferencia de MercadoPago sobre las entradas ya retenidas.
+router.get('/claim/:token', async (req, res) => {
+  try {
+    const entry = await findOfferByToken(req.params.token);
+    if (!entry) {
+      return res.status(404).json({
+        message: 'La oferta no existe o ya venció',
+        code: 'OFFER_NOT_AVAILABLE'
+      });
+    }
+
+    const event = await Event.findById(entry.eventId).select('title date location image preSaleStages');
+    const stage = event?.preSaleStages[entry.offeredStageIndex];
+
+    res.json({
+      orderId: entry.orderId,
+      eventId: entry.eventId,
+      eventTitle: event?.title,
+      eventDate: event?.date,
+      eventLocation: event?.location,
+      preSaleStageIndex: entry.offeredStageIndex,
+      stageName: stage?.name,
+      unitPrice: stage?.price,
+      quantity: entry.quantity,
+      nombre: entry.nombre,
+      apellido: entry.apellido,
+      email: entry.email,
+      offerExpiresAt: entry.offerExpiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/waitlist/events/:eventId - Lista de espera de un evento (admin)
+router.get('/events/:eventId', requireAuth, requireRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { eventId: req.params.eventId };
+    if (status) {
+      query.status = status;
+    }
+
+    const entries = await WaitlistEntry.find(query).sort({ position: 1 });
+
+    const summary = entries.reduce((acc, entry) => {
+      acc[entry.status] = (acc[entry.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    res.json({
+      entries: entries.map(entry => entry.toPublicJSON()),
+      summary
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /api/waitlist/entries/:id/position - Reordenar manualmente (1 = primero)
+router.patch('/entries/:id/position', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const position = parseInt(req.body.position);
+    if (!position || position < 1) {
+      return res.status(400).json({ message: 'La posición debe ser un número mayor a 0' });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Entrada de lista de espera no encontrada' });
+    }
+
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({
+        message: 'Solo se pueden reordenar personas que están esperando',
+        code: 'NOT_WAITING'
+      });
+    }
+
+    const entries = await WaitlistEntry.reorder(entry.eventId, entry._id, position);
+
+    res.json({
+      message: 'Lista de espera reordenada',
+      entries: entries.map(item => item.toPublicJSON())
+    });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID no válido' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// DELETE /api/waitlist/entries/:id - Sacar a alguien de la lista (libera su oferta si tenía)
+router.delete('/entries/:id', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['waiting', 'offered'] } },
+      { $set: { status: 'removed' } }
+    );
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Entrada de lista de espera no encontrada o ya cerrada' });
+    }
+
+    if (entry.status === 'offered') {
+      const hold = await TicketHold.release(entry.orderId, 'cancelled');
+      if (hold) notifyInventoryReleased(entry.eventId);
+    }
+
+    res.json({ message: 'Persona quitada de la lista de espera' });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID no válido' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/waitlist/events/:eventId/process - Ofrecer ahora el inventario disponible
+router.post('/events/:eventId/process', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const offered = await processWaitlist(req.params.eventId);
+    res.json({ message: 'Lista de espera procesada', offered });
+  } catch (error) {
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'ID de evento no válido' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
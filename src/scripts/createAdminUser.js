@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const AdminUser = require('../models/AdminUser');
+require('dotenv').config();
+
+// Uso: node src/scripts/createAdminUser.js <email> <password> [role]
+const createAdminUser = async (email, password, role = 'owner') => {
+  try {
+    if (!email || !password) {
+      throw new Error('Uso: node src/scripts/createAdminUser.js <email> <password> [role]');
+    }
+
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('Conectado a MongoDB para crear usuario administrador');
+    }
+
+    const user = new AdminUser({ email, role });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`Usuario ${user.email} creado con rol ${user.role}`);
+    return { success: true, user: user.toPublicJSON() };
+  } catch (error) {
+    console.error('Error creando usuario administrador:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+if (require.main === module) {
+  const [email, password, role] = process.argv.slice(2);
+
+  createAdminUser(email, password, role)
+    .then(async result => {
+      await mongoose.connection.close();
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Error fatal:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = createAdminUser;
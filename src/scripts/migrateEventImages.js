@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { decodeDataUri, saveImage, eventImageFields } = require('../services/images');
+require('dotenv').config();
+
+// Mover las imágenes Base64 guardadas en Event.image al almacenamiento de imágenes.
+// Uso: node src/scripts/migrateEventImages.js [--dry-run]
+const migrateEventImages = async ({ dryRun = false } = {}) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('Conectado a MongoDB para migrar imágenes');
+    }
+
+    // Solo se traen id y título: las imágenes se leen de a una
+    const events = await Event.find({ image: /^data:image\// }).select('_id title').lean();
+    console.log(`${events.length} eventos con imagen Base64`);
+
+    let migrated = 0;
+    const failed = [];
+
+    for (const { _id, title } of events) {
+      try {
+        const { image } = await Event.findById(_id).select('image').lean();
+        const { buffer, mimeType } = decodeDataUri(image);
+
+        if (dryRun) {
+          console.log(`[dry-run] ${title}: ${(buffer.length / 1024).toFixed(0)}KB (${mimeType})`);
+          continue;
+        }
+
+        const saved = await saveImage({ buffer, mimeType, originalName: `event-${_id}` });
+
+        // updateOne para no pasar por los validadores del resto del documento
+        // (fechas pasadas, etapas vencidas)
+        await Event.updateOne(
+          { _id, image },
+          { $set: eventImageFields(saved) }
+        );
+
+        migrated++;
+        console.log(`✅ ${title} -> ${saved.getUrl('card')}`);
+      } catch (error) {
+        failed.push({ eventId: _id, title, error: error.message });
+        console.error(`❌ ${title}: ${error.message}`);
+      }
+    }
+
+    return { success: true, total: events.length, migrated, failed };
+  } catch (error) {
+    console.error('Error migrando imágenes:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Solo ejecutar directamente si se llama desde la línea de comandos
+if (require.main === module) {
+  migrateEventImages({ dryRun: process.argv.includes('--dry-run') })
+    .then(result => {
+      if (result.success) {
+        console.log(`Migración completada: ${result.migrated}/${result.total} eventos, ${result.failed.length} con error`);
+        process.exit(result.failed.length > 0 ? 1 : 0);
+      } else {
+        console.error('Error en migración:', result.error);
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('Error fatal:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateEventImages;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+require('dotenv').config();
+
+// Generar el token de QR de las entradas de reservas anteriores a los tokens por entrada.
+// Sin token la entrada no se puede escanear en puerta ni aparece en la lista de check-in.
+// Uso: node src/scripts/migrateTicketTokens.js [--dry-run]
+const migrateTicketTokens = async ({ dryRun = false } = {}) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('Conectado a MongoDB para migrar tokens de entradas');
+    }
+
+    // lean: al hidratar el documento Mongoose completaría el default en memoria
+    // y las entradas sin token parecerían tenerlo
+    const reservations = await Reservation.find({ 'tickets.token': null })
+      .select('_id reservationCode tickets.token')
+      .lean();
+    console.log(`${reservations.length} reservas con entradas sin token`);
+
+    let migrated = 0;
+    let tickets = 0;
+    const failed = [];
+
+    for (const { _id, reservationCode, tickets: reservationTickets } of reservations) {
+      const missing = reservationTickets
+        .map((ticket, index) => (ticket.token ? null : index))
+        .filter(index => index !== null);
+
+      if (dryRun) {
+        console.log(`[dry-run] ${reservationCode}: ${missing.length} entradas sin token`);
+        continue;
+      }
+
+      try {
+        const set = {};
+        const filter = { _id };
+        for (const index of missing) {
+          set[`tickets.${index}.token`] = Reservation.generateTicketToken();
+          filter[`tickets.${index}.token`] = null;
+        }
+
+        // updateOne para no pasar por los validadores del resto del documento.
+        // El filtro evita pisar un token generado mientras corría la migración.
+        const result = await Reservation.updateOne(filter, { $set: set });
+        if (result.modifiedCount === 0) {
+          console.log(`⏭️ ${reservationCode}: ya tenía tokens`);
+          continue;
+        }
+
+        migrated++;
+        tickets += missing.length;
+        console.log(`✅ ${reservationCode}: ${missing.length} tokens generados`);
+      } catch (error) {
+        failed.push({ reservationId: _id, reservationCode, error: error.message });
+        console.error(`❌ ${reservationCode}: ${error.message}`);
+      }
+    }
+
+    return { success: true, total: reservations.length, migrated, tickets, failed };
+  } catch (error) {
+    console.error('Error migrando tokens de entradas:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Solo ejecutar directamente si se llama desde la línea de comandos
+if (require.main === module) {
+  migrateTicketTokens({ dryRun: process.argv.includes('--dry-run') })
+    .then(result => {
+      if (result.success) {
+        console.log(`Migración completada: ${result.migrated}/${result.total} reservas (${result.tickets} entradas), ${result.failed.length} con error`);
+        process.exit(result.failed.length > 0 ? 1 : 0);
+      } else {
+        console.error('Error en migración:', result.error);
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('Error fatal:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateTicketTokens;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { processOutbox } = require('../services/email');
+require('dotenv').config();
+
+const processEmailOutbox = async () => {
+  try {
+    // Verificar si ya estamos conectados
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('Conectado a MongoDB para enviar emails pendientes');
+    }
+
+    const result = await processOutbox();
+
+    if (result.sent > 0 || result.failed > 0) {
+      console.log(`Emails enviados: ${result.sent}, con error: ${result.failed}`);
+    }
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error procesando outbox de emails:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Solo ejecutar directamente si se llama desde la línea de comandos
+if (require.main === module) {
+  processEmailOutbox()
+    .then(result => {
+      if (result.success) {
+        console.log('Envío completado');
+        process.exit(0);
+      } else {
+        console.error('Error en envío:', result.error);
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('Error fatal:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = processEmailOutbox;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const TicketHold = require('../models/TicketHold');
+const { processAllWaitlists } = require('../services/waitlist');
+const { releaseExpiredRedemptions } = require('../services/promoCodes');
+require('dotenv').config();
+
+const releaseExpiredHolds = async () => {
+  try {
+    // Verificar si ya estamos conectados
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('Conectado a MongoDB para liberar holds vencidos');
+    }
+
+    const released = await TicketHold.releaseExpired();
+
+    if (released > 0) {
+      console.log(`Holds vencidos liberados: ${released}`);
+    }
+
+    // Devolver los usos de códigos promocionales de esos checkouts
+    const promoReleased = await releaseExpiredRedemptions();
+
+    // Ofrecer el inventario liberado a las listas de espera
+    const offered = await processAllWaitlists();
+
+    return { success: true, released, promoReleased, offered };
+  } catch (error) {
+    console.error('Error liberando holds vencidos:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Solo ejecutar directamente si se llama desde la línea de comandos
+if (require.main === module) {
+  releaseExpiredHolds()
+    .then(result => {
+      if (result.success) {
+        console.log('Liberación completada');
+        process.exit(0);
+      } else {
+        console.error('Error en liberación:', result.error);
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('Error fatal:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = releaseExpiredHolds;
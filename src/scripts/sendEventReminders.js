@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Reservation = require('../models/Reservation');
+const { queueReservationEmails } = require('../services/email');
+require('dotenv').config();
+
+// Encola el recordatorio de 24h para los eventos que empiezan en las próximas 24 horas.
+// La dedupeKey del outbox evita que se envíe dos veces a la misma reserva.
+const sendEventReminders = async () => {
+  try {
+    // Verificar si ya estamos conectados
+    if (mongoose.connection.readyState !== 1) {
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('Conectado a MongoDB para recordatorios de eventos');
+    }
+
+    const now = new Date();
+    const events = await Event.find({
+      status: { $in: ['active', 'sold-out'] },
+      date: { $gt: now, $lte: new Date(now.getTime() + 24 * 60 * 60 * 1000) }
+    }).select('title date location');
+
+    let queued = 0;
+    for (const event of events) {
+      const reservations = await Reservation.find({
+        eventId: event._id,
+        ...Reservation.admissibleFilter()
+      });
+
+      for (const reservation of reservations) {
+        queued += await queueReservationEmails('event_reminder', reservation, { event });
+      }
+    }
+
+    if (queued > 0) {
+      console.log(`Recordatorios encolados: ${queued}`);
+    }
+    return { success: true, queued };
+  } catch (error) {
+    console.error('Error encolando recordatorios:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Solo ejecutar directamente si se llama desde la línea de comandos
+if (require.main === module) {
+  sendEventReminders()
+    .then(result => {
+      if (result.success) {
+        console.log('Recordatorios completados');
+        process.exit(0);
+      } else {
+        console.error('Error en recordatorios:', result.error);
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('Error fatal:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = sendEventReminders;
@@ -1,6 +1,7 @@
 
 const mongoose = require('mongoose');
 const Event = require('../models/Event');
+const ResaleListing = require('../models/ResaleListing');
 require('dotenv').config();
 
 const updateEventStatuses = async () => {
@@ -14,6 +15,12 @@ const updateEventStatuses = async () => {
     console.log('Actualizando estados de eventos...');
     await Event.updateEventStatuses();
     
+    // Las publicaciones de reventa de eventos cancelados o finalizados se retiran
+    const withdrawn = await ResaleListing.withdrawForFinishedEvents();
+    if (withdrawn > 0) {
+      console.log(`${withdrawn} publicaciones de reventa retiradas`);
+    }
+    
     console.log('Estados actualizados exitosamente');
     return { success: true };
   } catch (error) {
@@ -11,9 +11,24 @@ const eventRoutes = require('./routes/events');
 const reservationRoutes = require('./routes/reservations');
 const reportsRoutes = require('./routes/reports');
 const mercadopagoRoutes = require('./routes/mercadopago');
+const authRoutes = require('./routes/auth');
+const checkinRoutes = require('./routes/checkin');
+const waitlistRoutes = require('./routes/waitlist');
+const promoCodeRoutes = require('./routes/promoCodes');
+const imageRoutes = require('./routes/images');
+const customerRoutes = require('./routes/customers');
+const meRoutes = require('./routes/me');
+const transferRoutes = require('./routes/transfers');
+const resaleRoutes = require('./routes/resale');
+const promoterRoutes = require('./routes/promoters');
+const rrppRoutes = require('./routes/rrpp');
+const { getStorageName, getLocalDirectory } = require('./services/images/storage');
 
 // Importar el script de actualización de estados
 const updateEventStatuses = require('./scripts/updateEventStatuses');
+const releaseExpiredHolds = require('./scripts/releaseExpiredHolds');
+const processEmailOutbox = require('./scripts/processEmailOutbox');
+const sendEventReminders = require('./scripts/sendEventReminders');
 
 const app = express();
 
@@ -22,14 +37,32 @@ connectDB();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Las imágenes se suben en multipart (/api/images); el límite de JSON solo
+// contempla una imagen Base64 del formato anterior
+app.use(express.json({ limit: '15mb' }));
+app.use(express.urlencoded({ extended: true, limit: '15mb' }));
+
+// Con almacenamiento local las imágenes se sirven desde el propio backend
+if (getStorageName() === 'local') {
+  app.use('/uploads', express.static(getLocalDirectory(), { maxAge: '365d', immutable: true }));
+}
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/reservations', reservationRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/mercadopago', mercadopagoRoutes);
+app.use('/api/checkin', checkinRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/resale', resaleRoutes);
+app.use('/api/promoters', promoterRoutes);
+app.use('/api/rrpp', rrppRoutes);
 
 // Manejo de errores global
 app.use((error, req, res, next) => {
@@ -70,12 +103,28 @@ const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
   console.log(`Servidor ejecutándose en puerto ${PORT}`);
   
-  // Programar actualización diaria a medianoche - SOLO DESPUÉS de que el servidor esté listo
-  cron.schedule('0 0 * * *', () => {
+  // Programar actualización cada 5 minutos (cierre y apertura de etapas de preventa)
+  // - SOLO DESPUÉS de que el servidor esté listo
+  cron.schedule('*/5 * * * *', () => {
     console.log('Ejecutando actualización automática de estados de eventos...');
     updateEventStatuses();
   });
   
+  // Liberar cada minuto las entradas retenidas por checkouts vencidos
+  cron.schedule('* * * * *', () => {
+    releaseExpiredHolds();
+  });
+  
+  // Enviar los emails pendientes del outbox cada minuto
+  cron.schedule('* * * * *', () => {
+    processEmailOutbox();
+  });
+  
+  // Encolar cada hora los recordatorios de eventos de las próximas 24 horas
+  cron.schedule('0 * * * *', () => {
+    sendEventReminders();
+  });
+  
   // También ejecutar al iniciar el servidor - SOLO DESPUÉS de que el servidor esté listo
   console.log('Ejecutando actualización inicial de estados de eventos...');
   updateEventStatuses();
@@ -0,0 +1,152 @@
+const Customer = require('../models/Customer');
+const CustomerLoginToken = require('../models/CustomerLoginToken');
+const Reservation = require('../models/Reservation');
+const { queueEmail, ticketQrUrl } = require('./email');
+
+// Enviar un link mágico de ingreso al email del cliente
+async function sendMagicLink(customer) {
+  const { token, loginToken } = await CustomerLoginToken.issue(customer);
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8100';
+
+  await queueEmail('customer_magic_link', customer.email, {
+    name: customer.name,
+    loginUrl: `${frontendUrl}/cuenta/ingresar/${token}`,
+    expiresInMinutes: CustomerLoginToken.TTL_MINUTES
+  }, { dedupeKey: `customer_magic_link:${loginToken._id}` });
+
+  return loginToken;
+}
+
+// Usar un link mágico: devuelve el cliente (con el email ya verificado) o null
+async function consumeMagicLink(token) {
+  const loginToken = await CustomerLoginToken.consume(token);
+  if (!loginToken) return null;
+
+  const customer = await Customer.findById(loginToken.customerId);
+  if (!customer || !customer.isActive) return null;
+
+  if (!customer.emailVerifiedAt) {
+    customer.emailVerifiedAt = new Date();
+  }
+  customer.lastLoginAt = new Date();
+  await customer.save();
+  return customer;
+}
+
+// Reservas hechas sin cuenta con el email del cliente como comprador (primera entrada)
+function claimableReservationsQuery(customer) {
+  return {
+    customerId: null,
+    'tickets.0.email': customer.email
+  };
+}
+
+function countClaimableReservations(customer) {
+  return Reservation.countDocuments(claimableReservationsQuery(customer));
+}
+
+// Vincular a la cuenta las reservas históricas del email. Solo con email verificado:
+// si no, cualquiera podría registrarse con un email ajeno y quedarse con sus entradas.
+async function claimReservations(customer) {
+  if (!customer.emailVerifiedAt) {
+    return null;
+  }
+
+  const result = await Reservation.updateMany(
+    claimableReservationsQuery(customer),
+    { $set: { customerId: customer._id, claimedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+// La entrada se transfirió a otra persona: sigue en la reserva del comprador,
+// pero el QR (token rotado) es solo del nuevo titular
+function isTransferredAway(ticket, customer) {
+  return Boolean(ticket.transferredAt) && ticket.email !== customer.email;
+}
+
+// Entrada recibida por transferencia en la reserva de otro cliente
+function isReceivedTicket(ticket, customer) {
+  return Boolean(ticket.transferredAt) && ticket.email === customer.email;
+}
+
+// Entrada tal como se muestra en la billetera del cliente
+function walletTicket(ticket, customer) {
+  const transferred = isTransferredAway(ticket, customer);
+  return {
+    nombre: ticket.nombre,
+    apellido: ticket.apellido,
+    category: ticket.category,
+    checkedIn: Boolean(ticket.checkedInAt),
+    checkedInAt: ticket.checkedInAt,
+    refunded: Boolean(ticket.refundedAt),
+    transferred,
+    qrUrl: ticket.token && !ticket.refundedAt && !transferred ? ticketQrUrl(ticket.token) : null
+  };
+}
+
+// Reservas del cliente separadas en próximos eventos y eventos pasados. Incluye
+// las entradas que otros le transfirieron (con email verificado).
+async function getWallet(customer) {
+  const criteria = [{ customerId: customer._id }];
+  if (customer.emailVerifiedAt) {
+    criteria.push({
+      customerId: { $ne: customer._id },
+      tickets: { $elemMatch: { email: customer.email, transferredAt: { $ne: null } } }
+    });
+  }
+
+  const reservations = await Reservation.find({ $or: criteria })
+    .populate('eventId', 'title date location image images status')
+    .sort({ reservationDate: -1 });
+
+  const now = new Date();
+  const wallet = { upcoming: [], past: [] };
+
+  for (const reservation of reservations) {
+    const event = reservation.eventId;
+    const receivedByTransfer = !customer._id.equals(reservation.customerId);
+    const tickets = receivedByTransfer
+      ? reservation.tickets.filter(ticket => isReceivedTicket(ticket, customer))
+      : reservation.tickets;
+    const item = {
+      id: reservation._id,
+      reservationCode: reservation.reservationCode,
+      status: reservation.status,
+      paymentStatus: reservation.paymentStatus,
+      isFreeTicket: reservation.isFreeTicket,
+      // Lo que pagó el comprador no se muestra a quien recibió la entrada
+      totalAmount: receivedByTransfer ? null : reservation.totalAmount,
+      reservationDate: reservation.reservationDate,
+      event: event ? {
+        id: event._id,
+        title: event.title,
+        date: event.date,
+        location: event.location,
+        image: event.image,
+        images: event.images,
+        status: event.status
+      } : { title: reservation.eventTitle },
+      receivedByTransfer,
+      tickets: tickets.map(ticket => walletTicket(ticket, customer))
+    };
+
+    if (event && event.date >= now) {
+      wallet.upcoming.push(item);
+    } else {
+      wallet.past.push(item);
+    }
+  }
+
+  // Próximos: el más cercano primero
+  wallet.upcoming.sort((a, b) => a.event.date - b.event.date);
+  return wallet;
+}
+
+module.exports = {
+  sendMagicLink,
+  consumeMagicLink,
+  countClaimableReservations,
+  claimReservations,
+  getWallet
+};
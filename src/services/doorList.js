@@ -0,0 +1,139 @@
+const PDFDocument = require('pdfkit');
+
+const TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 22;
+const CHECKBOX_SIZE = 11;
+
+// Columnas de la lista de puerta (x relativo al margen)
+const COLUMNS = [
+  { key: 'nombre', header: 'Nombre', x: 0, width: 150 },
+  { key: 'apellido', header: 'Apellido', x: 155, width: 150 },
+  { key: 'quantity', header: 'Cant.', x: 310, width: 40, align: 'center' },
+  { key: 'reservationCode', header: 'Código', x: 355, width: 110 },
+  { key: 'check', header: 'Ingresó', x: 470, width: 45, align: 'center' }
+];
+
+function formatEventDate(date) {
+  return new Date(date).toLocaleString('es-AR', {
+    timeZone: TIMEZONE,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Fila de la lista a partir de una reserva: titular (primera entrada) y
+// cantidad de entradas vigentes. null si no le queda ninguna entrada válida.
+function toDoorListRow(reservation) {
+  const active = reservation.tickets.filter(ticket => !ticket.refundedAt && !ticket.resoldAt);
+  if (active.length === 0) return null;
+  return {
+    nombre: active[0].nombre,
+    apellido: active[0].apellido,
+    quantity: active.length,
+    reservationCode: reservation.reservationCode
+  };
+}
+
+// Orden alfabético por apellido y nombre, sin distinguir mayúsculas ni acentos
+function sortDoorList(rows) {
+  const collator = new Intl.Collator('es', { sensitivity: 'base' });
+  return rows.sort((a, b) => collator.compare(a.apellido || '', b.apellido || '') ||
+    collator.compare(a.nombre || '', b.nombre || ''));
+}
+
+function drawPageHeader(doc, event, listTitle) {
+  const left = PAGE_MARGIN;
+  doc.font('Helvetica-Bold').fontSize(16).text(event.title, left, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(10)
+    .text(formatEventDate(event.date))
+    .text(event.location || '')
+    .moveDown(0.3)
+    .font('Helvetica-Oblique')
+    .text(listTitle);
+
+  const y = doc.y + 8;
+  doc.font('Helvetica-Bold').fontSize(10);
+  COLUMNS.forEach(column => {
+    doc.text(column.header, left + column.x, y, { width: column.width, align: column.align || 'left' });
+  });
+  doc.moveTo(left, y + 14).lineTo(doc.page.width - PAGE_MARGIN, y + 14).stroke();
+  return y + 20;
+}
+
+// Lista de puerta imprimible: encabezado del evento en cada página, una fila por
+// reserva con casilla para tildar el ingreso y numeración de páginas al pie
+function writeDoorListPdf(stream, event, rows, { listTitle = 'Lista de puerta' } = {}) {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true });
+  doc.pipe(stream);
+
+  const left = PAGE_MARGIN;
+  const bottom = doc.page.height - PAGE_MARGIN - 20;
+  let y = drawPageHeader(doc, event, listTitle);
+
+  rows.forEach((row, index) => {
+    if (y + ROW_HEIGHT > bottom) {
+      doc.addPage();
+      y = drawPageHeader(doc, event, listTitle);
+    }
+
+    if (index % 2 === 1) {
+      doc.save().rect(left, y - 5, doc.page.width - PAGE_MARGIN * 2, ROW_HEIGHT).fill('#F2F2F2').restore();
+    }
+
+    doc.font('Helvetica').fontSize(10).fillColor('black');
+    COLUMNS.forEach(column => {
+      if (column.key === 'check') {
+        const boxX = left + column.x + (column.width - CHECKBOX_SIZE) / 2;
+        doc.rect(boxX, y - 1, CHECKBOX_SIZE, CHECKBOX_SIZE).stroke();
+        return;
+      }
+      doc.text(String(row[column.key] ?? ''), left + column.x, y, {
+        width: column.width,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+    });
+    y += ROW_HEIGHT;
+  });
+
+  const totalTickets = rows.reduce((sum, row) => sum + row.quantity, 0);
+  if (y + ROW_HEIGHT > bottom) {
+    doc.addPage();
+    y = drawPageHeader(doc, event, listTitle);
+  }
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(`Reservas: ${rows.length} - Personas: ${totalTickets}`, left, y + 6);
+
+  // Numeración de páginas
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Sin margen inferior para que el pie no abra una página nueva
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).text(
+      `Página ${i + 1} de ${range.count}`,
+      left,
+      doc.page.height - PAGE_MARGIN - 10,
+      { width: doc.page.width - PAGE_MARGIN * 2, align: 'right', lineBreak: false }
+    );
+  }
+
+  doc.end();
+  return new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+module.exports = {
+  toDoorListRow,
+  sortDoorList,
+  writeDoorListPdf
+};
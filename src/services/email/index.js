@@ -0,0 +1,110 @@
+const Notification = require('../../models/Notification');
+const Event = require('../../models/Event');
+const { renderTemplate } = require('./templates');
+const { createTransport } = require('./transports');
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+function ticketQrUrl(token) {
+  const backendUrl = process.env.BACKEND_URL || 'https://bardobackend.onrender.com';
+  return `${backendUrl}/api/reservations/tickets/${token}/qr`;
+}
+
+// Datos comunes para los emails de una reserva
+async function buildReservationData(reservation, event) {
+  const eventDoc = event || await Event.findById(reservation.eventId).select('title date location');
+
+  return {
+    eventTitle: eventDoc?.title || reservation.eventTitle,
+    eventDate: eventDoc?.date,
+    eventLocation: eventDoc?.location,
+    reservationCode: reservation.reservationCode,
+    totalAmount: reservation.totalAmount,
+    tickets: reservation.tickets
+      .filter(ticket => !ticket.refundedAt)
+      .map(ticket => ({
+        nombre: ticket.nombre,
+        apellido: ticket.apellido,
+        qrUrl: ticket.token ? ticketQrUrl(ticket.token) : null
+      }))
+  };
+}
+
+// Encolar un email por cada dirección distinta de las entradas de la reserva.
+// Nunca lanza: un problema con el email no puede cortar el pago o la reserva.
+async function queueReservationEmails(template, reservation, { event, extraData = {} } = {}) {
+  try {
+    const emails = [...new Set(reservation.tickets.map(ticket => ticket.email).filter(Boolean))];
+    if (emails.length === 0) return 0;
+
+    const data = { ...await buildReservationData(reservation, event), ...extraData };
+
+    let queued = 0;
+    for (const email of emails) {
+      const { created } = await Notification.enqueue({
+        template,
+        to: email,
+        data,
+        eventId: reservation.eventId,
+        reservationId: reservation._id,
+        dedupeKey: `${template}:${reservation._id}:${email}`
+      });
+      if (created) queued++;
+    }
+
+    return queued;
+  } catch (error) {
+    console.error(`Error encolando email ${template}:`, error);
+    return 0;
+  }
+}
+
+// Encolar un email suelto (ej: pago rechazado sin reserva creada)
+async function queueEmail(template, to, data, { dedupeKey, eventId, reservationId } = {}) {
+  try {
+    if (!to) return null;
+    const { notification } = await Notification.enqueue({ template, to, data, dedupeKey, eventId, reservationId });
+    return notification;
+  } catch (error) {
+    console.error(`Error encolando email ${template}:`, error);
+    return null;
+  }
+}
+
+// Despachar los emails pendientes del outbox
+async function processOutbox({ limit = 50 } = {}) {
+  const from = process.env.EMAIL_FROM || 'BARDO <no-reply@bardo.com.ar>';
+  const result = { sent: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const notification = await Notification.claimNext();
+    if (!notification) break;
+
+    try {
+      const { subject, text, html } = renderTemplate(notification.template, notification.data);
+      await getTransport().send({ from, to: notification.to, subject, text, html });
+      await notification.markSent(subject);
+      result.sent++;
+    } catch (error) {
+      console.error(`Error enviando email ${notification._id} a ${notification.to}:`, error.message);
+      await notification.markFailed(error);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  queueReservationEmails,
+  queueEmail,
+  processOutbox,
+  ticketQrUrl
+};
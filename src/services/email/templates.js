@@ -0,0 +1,304 @@
+// Plantillas de emails transaccionales (en español)
+// Cada plantilla recibe data y devuelve { subject, text, html }
+
+const TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleString('es-AR', {
+    timeZone: TIMEZONE,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function formatAmount(value) {
+  return `$${Number(value || 0).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto;">
+  <h1 style="font-size: 22px;">${escapeHtml(title)}</h1>
+  ${bodyHtml}
+  <p style="color: #888; font-size: 12px; margin-top: 32px;">BARDO - Este es un mensaje automático, no respondas a este email.</p>
+</body>
+</html>`;
+}
+
+function eventLines(data) {
+  return [
+    `Evento: ${data.eventTitle}`,
+    data.eventDate ? `Fecha: ${formatDate(data.eventDate)}` : null,
+    data.eventLocation ? `Lugar: ${data.eventLocation}` : null
+  ].filter(Boolean);
+}
+
+function eventHtml(data) {
+  return `<p>
+    <strong>${escapeHtml(data.eventTitle)}</strong><br>
+    ${data.eventDate ? `${escapeHtml(formatDate(data.eventDate))}<br>` : ''}
+    ${data.eventLocation ? escapeHtml(data.eventLocation) : ''}
+  </p>`;
+}
+
+function ticketsText(tickets = []) {
+  return tickets.map((ticket, index) => (
+    `  ${index + 1}. ${ticket.nombre} ${ticket.apellido}${ticket.qrUrl ? ` - QR: ${ticket.qrUrl}` : ''}`
+  )).join('\n');
+}
+
+function ticketsHtml(tickets = []) {
+  return `<ol>${tickets.map(ticket => `
+    <li>
+      ${escapeHtml(ticket.nombre)} ${escapeHtml(ticket.apellido)}
+      ${ticket.qrUrl ? `<br><img src="${escapeHtml(ticket.qrUrl)}" alt="QR de la entrada" width="160" height="160">` : ''}
+    </li>`).join('')}
+  </ol>`;
+}
+
+const templates = {
+  purchase_confirmation: data => ({
+    subject: `Tus entradas para ${data.eventTitle}`,
+    text: [
+      '¡Gracias por tu compra!',
+      '',
+      ...eventLines(data),
+      `Código de reserva: ${data.reservationCode}`,
+      `Total pagado: ${formatAmount(data.totalAmount)}`,
+      '',
+      'Entradas:',
+      ticketsText(data.tickets),
+      '',
+      'Presentá el QR de cada entrada en la puerta.'
+    ].join('\n'),
+    html: layout('¡Gracias por tu compra!', `
+      ${eventHtml(data)}
+      <p>Código de reserva: <strong>${escapeHtml(data.reservationCode)}</strong><br>
+      Total pagado: ${escapeHtml(formatAmount(data.totalAmount))}</p>
+      <h2 style="font-size: 18px;">Entradas</h2>
+      ${ticketsHtml(data.tickets)}
+      <p>Presentá el QR de cada entrada en la puerta.</p>`)
+  }),
+
+  free_ticket_confirmation: data => ({
+    subject: `Tu entrada gratis para ${data.eventTitle}`,
+    text: [
+      '¡Tu entrada gratis está confirmada!',
+      '',
+      ...eventLines(data),
+      `Código de reserva: ${data.reservationCode}`,
+      '',
+      'Entradas:',
+      ticketsText(data.tickets),
+      '',
+      'Presentá el QR de cada entrada en la puerta.'
+    ].join('\n'),
+    html: layout('¡Tu entrada gratis está confirmada!', `
+      ${eventHtml(data)}
+      <p>Código de reserva: <strong>${escapeHtml(data.reservationCode)}</strong></p>
+      <h2 style="font-size: 18px;">Entradas</h2>
+      ${ticketsHtml(data.tickets)}
+      <p>Presentá el QR de cada entrada en la puerta.</p>`)
+  }),
+
+  payment_rejected: data => ({
+    subject: `No pudimos procesar tu pago para ${data.eventTitle}`,
+    text: [
+      'Tu pago fue rechazado y no se emitieron entradas.',
+      '',
+      ...eventLines(data),
+      data.statusDetail ? `Motivo informado por MercadoPago: ${data.statusDetail}` : null,
+      '',
+      'Podés intentar nuevamente con otro medio de pago.'
+    ].filter(line => line !== null).join('\n'),
+    html: layout('Tu pago fue rechazado', `
+      ${eventHtml(data)}
+      <p>No se emitieron entradas.${data.statusDetail ? ` Motivo informado por MercadoPago: <em>${escapeHtml(data.statusDetail)}</em>.` : ''}</p>
+      <p>Podés intentar nuevamente con otro medio de pago.</p>`)
+  }),
+
+  event_cancelled: data => ({
+    subject: `Evento cancelado: ${data.eventTitle}`,
+    text: [
+      `Lamentamos informarte que ${data.eventTitle} fue cancelado.`,
+      data.reason ? `Motivo: ${data.reason}` : null,
+      `Código de reserva: ${data.reservationCode}`,
+      '',
+      data.refunded
+        ? `Te reintegramos ${formatAmount(data.refundAmount)} al medio de pago original. Puede demorar algunos días en verse reflejado.`
+        : 'Tu reserva quedó cancelada.'
+    ].filter(line => line !== null).join('\n'),
+    html: layout('Evento cancelado', `
+      <p>Lamentamos informarte que <strong>${escapeHtml(data.eventTitle)}</strong> fue cancelado.</p>
+      ${data.reason ? `<p>Motivo: ${escapeHtml(data.reason)}</p>` : ''}
+      <p>Código de reserva: <strong>${escapeHtml(data.reservationCode)}</strong></p>
+      <p>${data.refunded
+        ? `Te reintegramos ${escapeHtml(formatAmount(data.refundAmount))} al medio de pago original. Puede demorar algunos días en verse reflejado.`
+        : 'Tu reserva quedó cancelada.'}</p>`)
+  }),
+
+  event_reminder: data => ({
+    subject: `Mañana es ${data.eventTitle}`,
+    text: [
+      '¡Te esperamos!',
+      '',
+      ...eventLines(data),
+      `Código de reserva: ${data.reservationCode}`,
+      '',
+      'Entradas:',
+      ticketsText(data.tickets),
+      '',
+      'Recordá llevar el QR de cada entrada.'
+    ].join('\n'),
+    html: layout('¡Te esperamos!', `
+      ${eventHtml(data)}
+      <p>Código de reserva: <strong>${escapeHtml(data.reservationCode)}</strong></p>
+      ${ticketsHtml(data.tickets)}
+      <p>Recordá llevar el QR de cada entrada.</p>`)
+  }),
+
+  waitlist_offer: data => ({
+    subject: `¡Se liberaron entradas para ${data.eventTitle}!`,
+    text: [
+      `Hola ${data.nombre || ''}, te llegó el turno en la lista de espera.`,
+      '',
+      ...eventLines(data),
+      `Te reservamos ${data.quantity} entrada(s)${data.stageName ? ` de ${data.stageName}` : ''}${data.price ? ` a ${formatAmount(data.price)} c/u` : ''}.`,
+      `Completá la compra antes de ${formatDate(data.expiresAt)} desde este link:`,
+      data.claimUrl,
+      '',
+      'Pasado ese plazo las entradas se ofrecen a la siguiente persona de la lista.'
+    ].join('\n'),
+    html: layout('¡Se liberaron entradas!', `
+      <p>Hola ${escapeHtml(data.nombre)}, te llegó el turno en la lista de espera.</p>
+      ${eventHtml(data)}
+      <p>Te reservamos <strong>${escapeHtml(data.quantity)} entrada(s)</strong>${data.stageName ? ` de ${escapeHtml(data.stageName)}` : ''}${data.price ? ` a ${escapeHtml(formatAmount(data.price))} c/u` : ''}.</p>
+      <p><a href="${escapeHtml(data.claimUrl)}">Completá la compra</a> antes de ${escapeHtml(formatDate(data.expiresAt))}.</p>
+      <p>Pasado ese plazo las entradas se ofrecen a la siguiente persona de la lista.</p>`)
+  }),
+
+  customer_magic_link: data => ({
+    subject: 'Tu link para ingresar a BARDO',
+    text: [
+      `Hola ${data.name || ''}, usá este link para ingresar a tu cuenta:`,
+      data.loginUrl,
+      '',
+      `El link vence en ${data.expiresInMinutes} minutos y sirve una sola vez.`,
+      'Si no lo pediste, ignorá este email.'
+    ].join('\n'),
+    html: layout('Ingresá a tu cuenta', `
+      <p>Hola ${escapeHtml(data.name)}, usá este link para ingresar a tu cuenta:</p>
+      <p><a href="${escapeHtml(data.loginUrl)}">Ingresar a BARDO</a></p>
+      <p>El link vence en ${escapeHtml(data.expiresInMinutes)} minutos y sirve una sola vez.</p>
+      <p>Si no lo pediste, ignorá este email.</p>`)
+  }),
+
+  ticket_transfer_offer: data => ({
+    subject: `${data.fromName} te transfirió una entrada para ${data.eventTitle}`,
+    text: [
+      `Hola ${data.name || ''}, ${data.fromName} te transfirió una entrada.`,
+      '',
+      ...eventLines(data),
+      '',
+      `Aceptala antes de ${formatDate(data.expiresAt)} desde este link:`,
+      data.acceptUrl,
+      '',
+      'Al aceptarla la entrada queda a tu nombre y recibís un QR nuevo.'
+    ].join('\n'),
+    html: layout('Te transfirieron una entrada', `
+      <p>Hola ${escapeHtml(data.name)}, ${escapeHtml(data.fromName)} te transfirió una entrada.</p>
+      ${eventHtml(data)}
+      <p><a href="${escapeHtml(data.acceptUrl)}">Aceptá la entrada</a> antes de ${escapeHtml(formatDate(data.expiresAt))}.</p>
+      <p>Al aceptarla la entrada queda a tu nombre y recibís un QR nuevo.</p>`)
+  }),
+
+  ticket_transfer_completed: data => ({
+    subject: `Tu entrada para ${data.eventTitle}`,
+    text: [
+      `Hola ${data.name || ''}, la entrada ya está a tu nombre.`,
+      '',
+      ...eventLines(data),
+      `Código de reserva: ${data.reservationCode}`,
+      `QR: ${data.qrUrl}`,
+      '',
+      'Presentá este QR en la puerta.'
+    ].join('\n'),
+    html: layout('La entrada ya es tuya', `
+      <p>Hola ${escapeHtml(data.name)}, la entrada ya está a tu nombre.</p>
+      ${eventHtml(data)}
+      <p>Código de reserva: <strong>${escapeHtml(data.reservationCode)}</strong></p>
+      <p><img src="${escapeHtml(data.qrUrl)}" alt="QR de la entrada" width="160" height="160"></p>
+      <p>Presentá este QR en la puerta.</p>`)
+  }),
+
+  ticket_transfer_accepted: data => ({
+    subject: `${data.toName} aceptó tu entrada para ${data.eventTitle}`,
+    text: [
+      `Hola ${data.name || ''}, ${data.toName} aceptó la entrada que le transferiste para ${data.eventTitle}.`,
+      '',
+      'El QR anterior de esa entrada ya no permite el ingreso.'
+    ].join('\n'),
+    html: layout('Transferencia aceptada', `
+      <p>Hola ${escapeHtml(data.name)}, ${escapeHtml(data.toName)} aceptó la entrada que le transferiste para <strong>${escapeHtml(data.eventTitle)}</strong>.</p>
+      <p>El QR anterior de esa entrada ya no permite el ingreso.</p>`)
+  }),
+
+  resale_sold: data => ({
+    subject: `Vendiste tu entrada para ${data.eventTitle}`,
+    text: [
+      `Hola ${data.name || ''}, vendimos tu entrada para ${data.eventTitle} en la reventa.`,
+      '',
+      `Precio de venta: ${formatAmount(data.price)}`,
+      `Cargo por reventa: ${formatAmount(data.fee)}`,
+      `Te reintegramos ${formatAmount(data.refundAmount)} al medio de pago de tu compra original.`,
+      data.manualAmount > 0 ? `Los ${formatAmount(data.manualAmount)} restantes te los transferimos aparte; te vamos a contactar.` : null,
+      '',
+      'El QR de esa entrada ya no permite el ingreso.'
+    ].filter(line => line !== null).join('\n'),
+    html: layout('Vendiste tu entrada', `
+      <p>Hola ${escapeHtml(data.name)}, vendimos tu entrada para <strong>${escapeHtml(data.eventTitle)}</strong> en la reventa.</p>
+      <p>Precio de venta: ${escapeHtml(formatAmount(data.price))}<br>
+      Cargo por reventa: ${escapeHtml(formatAmount(data.fee))}</p>
+      <p>Te reintegramos <strong>${escapeHtml(formatAmount(data.refundAmount))}</strong> al medio de pago de tu compra original.</p>
+      ${data.manualAmount > 0 ? `<p>Los ${escapeHtml(formatAmount(data.manualAmount))} restantes te los transferimos aparte; te vamos a contactar.</p>` : ''}
+      <p>El QR de esa entrada ya no permite el ingreso.</p>`)
+  }),
+
+  resale_unavailable: data => ({
+    subject: `No pudimos completar tu compra para ${data.eventTitle}`,
+    text: [
+      'La entrada de reventa que pagaste ya no estaba disponible.',
+      `Te devolvimos ${formatAmount(data.amount)} al medio de pago. Puede demorar algunos días en verse reflejado.`
+    ].join('\n'),
+    html: layout('No pudimos completar tu compra', `
+      <p>La entrada de reventa que pagaste para <strong>${escapeHtml(data.eventTitle)}</strong> ya no estaba disponible.</p>
+      <p>Te devolvimos ${escapeHtml(formatAmount(data.amount))} al medio de pago. Puede demorar algunos días en verse reflejado.</p>`)
+  })
+};
+
+function renderTemplate(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Plantilla de email desconocida: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  renderTemplate,
+  templateNames: Object.keys(templates)
+};
@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transportes de email intercambiables. Todos exponen send({ from, to, subject, text, html }).
+// EMAIL_TRANSPORT: smtp | file | console (por defecto console fuera de producción)
+
+function createSmtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+// Guarda cada email como JSON en EMAIL_FILE_DIR (para pruebas locales)
+function createFileTransport() {
+  const directory = process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(directory, `${Date.now()}-${safeTo}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      return { messageId: file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 [email] Para: ${message.to} | Asunto: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+function createTransport(name = process.env.EMAIL_TRANSPORT) {
+  switch (name || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Transporte de email desconocido: ${name}`);
+  }
+}
+
+module.exports = {
+  createTransport
+};
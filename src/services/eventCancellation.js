@@ -0,0 +1,177 @@
+const Reservation = require('../models/Reservation');
+const CancellationJob = require('../models/CancellationJob');
+const Notification = require('../models/Notification');
+const TicketHold = require('../models/TicketHold');
+const ResaleListing = require('../models/ResaleListing');
+const { refundReservation } = require('./refunds');
+
+// Un job "running" sin progreso en este tiempo se considera caído y puede reintentarse
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+function isRefundable(reservation) {
+  return reservation.paymentMethod === 'mercadopago' &&
+    reservation.paymentStatus === 'approved' &&
+    reservation.totalAmount - (reservation.refundedAmount || 0) > 0;
+}
+
+// Ejecutar un paso y etiquetar el error con el paso que falló
+async function step(name, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    error.step = name;
+    throw error;
+  }
+}
+
+// Cancelar una reserva: reembolso (si estaba paga), baja y aviso por email
+async function cancelReservation(job, reservation, operator) {
+  let refundAmount = 0;
+
+  if (isRefundable(reservation)) {
+    // Se persiste antes de llamar a MercadoPago para bloquear la reactivación aunque el proceso se caiga
+    if (!job.refundsStarted) {
+      job.refundsStarted = true;
+      await job.save();
+    }
+
+    const before = reservation.refundedAmount || 0;
+    const result = await step('refund', () => refundReservation(reservation, {
+      reason: `Evento cancelado${job.reason ? `: ${job.reason}` : ''}`,
+      operator
+    }));
+    refundAmount = (result.reservation.refundedAmount || 0) - before;
+    job.refunded++;
+    job.refundedAmount += refundAmount;
+  }
+
+  await step('cancel', () => Reservation.updateOne(
+    { _id: reservation._id },
+    { $set: { status: 'cancelled' } }
+  ));
+
+  // El aviso no bloquea la cancelación: si falla queda registrado en el job
+  try {
+    const emails = [...new Set(reservation.tickets.map(ticket => ticket.email).filter(Boolean))];
+    for (const email of emails) {
+      const { created } = await Notification.enqueue({
+        template: 'event_cancelled',
+        to: email,
+        eventId: reservation.eventId,
+        reservationId: reservation._id,
+        dedupeKey: `event_cancelled:${reservation._id}:${email}`,
+        data: {
+          eventTitle: reservation.eventTitle,
+          reservationCode: reservation.reservationCode,
+          reason: job.reason,
+          refunded: refundAmount > 0,
+          refundAmount
+        }
+      });
+      if (created) job.notificationsQueued++;
+    }
+  } catch (error) {
+    job.failures.push({
+      reservationId: reservation._id,
+      reservationCode: reservation.reservationCode,
+      step: 'notify',
+      error: error.message
+    });
+  }
+}
+
+// Recorrer todas las reservas no canceladas del evento. Las que fallan siguen
+// sin cancelar, así un reintento las vuelve a tomar.
+async function runCancellationJob(jobId, operator) {
+  const job = await CancellationJob.findById(jobId);
+  if (!job) return null;
+
+  // Liberar los checkouts en curso del evento
+  const holds = await TicketHold.find({ eventId: job.eventId, status: 'held' }).select('orderId');
+  for (const { orderId } of holds) {
+    await TicketHold.release(orderId, 'cancelled');
+  }
+  await ResaleListing.withdrawForEvent(job.eventId, 'event_cancelled');
+
+  const filter = { eventId: job.eventId, status: { $ne: 'cancelled' } };
+  job.total = job.processed + await Reservation.countDocuments(filter);
+  job.failed = 0;
+  job.failures = [];
+  await job.save();
+
+  const cursor = Reservation.find(filter).cursor();
+  for await (const reservation of cursor) {
+    try {
+      await cancelReservation(job, reservation, operator);
+      job.processed++;
+    } catch (error) {
+      console.error(`Error cancelando reserva ${reservation.reservationCode}:`, error.message);
+      job.failed++;
+      job.failures.push({
+        reservationId: reservation._id,
+        reservationCode: reservation.reservationCode,
+        step: error.step || 'cancel',
+        error: error.message
+      });
+    }
+
+    job.lastProgressAt = new Date();
+    await job.save();
+  }
+
+  job.status = job.failed > 0 ? 'completed_with_errors' : 'completed';
+  job.finishedAt = new Date();
+  await job.save();
+
+  console.log(`Cancelación del evento ${job.eventId}: ${job.processed}/${job.total} procesadas, ${job.refunded} reembolsadas, ${job.failed} con error`);
+  return job;
+}
+
+function runInBackground(job, operator) {
+  setImmediate(() => {
+    runCancellationJob(job._id, operator).catch(error => {
+      console.error(`Error en job de cancelación ${job._id}:`, error);
+    });
+  });
+}
+
+// Iniciar la cancelación en cascada (si ya hay un job en curso se devuelve ese)
+async function startEventCancellation(event, { reason, operator } = {}) {
+  const latest = await CancellationJob.findLatestForEvent(event._id);
+  if (latest && latest.status === 'running') {
+    return latest;
+  }
+
+  const job = await CancellationJob.create({
+    eventId: event._id,
+    reason,
+    requestedBy: operator?._id,
+    requestedByEmail: operator?.email
+  });
+
+  runInBackground(job, operator);
+  return job;
+}
+
+// Reintentar las reservas que fallaron (o retomar un job caído)
+async function retryEventCancellation(job, operator) {
+  const isStale = Date.now() - job.lastProgressAt.getTime() > STALE_JOB_MS;
+  if (job.status === 'running' && !isStale) {
+    return { job, started: false };
+  }
+
+  job.status = 'running';
+  job.runs++;
+  job.finishedAt = undefined;
+  job.lastProgressAt = new Date();
+  await job.save();
+
+  runInBackground(job, operator);
+  return { job, started: true };
+}
+
+module.exports = {
+  startEventCancellation,
+  retryEventCancellation,
+  runCancellationJob
+};
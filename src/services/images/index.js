@@ -0,0 +1,112 @@
+const sharp = require('sharp');
+const Image = require('../../models/Image');
+const { ImageError } = require('../../utils/errors');
+const { createStorage, getStorageName } = require('./storage');
+
+// Tamaños generados para cada imagen (16:9, recortados al centro)
+const IMAGE_SIZES = {
+  thumbnail: { width: 320, height: 180 },
+  card: { width: 640, height: 360 },
+  hero: { width: 1600, height: 900 }
+};
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+// Decodificar una imagen en data URI (formato anterior de Event.image)
+function decodeDataUri(dataUri) {
+  const matches = String(dataUri).match(/^data:([A-Za-z-+/]+);base64,(.+)$/);
+  if (!matches) {
+    throw new ImageError('Formato Base64 incorrecto', { code: 'INVALID_IMAGE' });
+  }
+  return { mimeType: matches[1], buffer: Buffer.from(matches[2], 'base64') };
+}
+
+// Redimensionar la imagen a todos los tamaños, subirlos al almacenamiento y
+// registrar la imagen. Devuelve el documento Image.
+async function saveImage({ buffer, originalName, mimeType, uploadedBy }) {
+  if (mimeType && !ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw new ImageError('Formato de imagen no soportado. Use JPG, PNG, WEBP o GIF', { code: 'INVALID_IMAGE' });
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ImageError('El archivo no es una imagen válida', { code: 'INVALID_IMAGE' });
+  }
+
+  const backend = getStorage();
+  const image = new Image({
+    storage: backend.name,
+    originalName,
+    mimeType,
+    originalSize: buffer.length,
+    width: metadata.width,
+    height: metadata.height,
+    uploadedBy: uploadedBy?._id,
+    uploadedByEmail: uploadedBy?.email
+  });
+
+  const stored = [];
+  try {
+    for (const [name, size] of Object.entries(IMAGE_SIZES)) {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ ...size, fit: 'cover', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const { key, url } = await backend.put(`events/${image._id}/${name}.webp`, data, 'image/webp');
+      stored.push(key);
+      image.variants.push({ name, key, url, width: info.width, height: info.height, size: info.size });
+    }
+
+    return await image.save();
+  } catch (error) {
+    // No dejar archivos huérfanos si falló a mitad de camino
+    await Promise.allSettled(stored.map(key => backend.remove(key)));
+    console.error('Error guardando imagen:', error);
+    throw new ImageError('No se pudo guardar la imagen', { code: 'IMAGE_STORAGE_ERROR', status: 500 });
+  }
+}
+
+// Borrar los archivos de una imagen y su registro
+async function deleteImage(image) {
+  if (image.storage !== getStorageName()) {
+    throw new ImageError(`La imagen está guardada en ${image.storage} y el almacenamiento actual es ${getStorageName()}`, {
+      code: 'IMAGE_STORAGE_ERROR',
+      status: 409
+    });
+  }
+
+  const backend = getStorage();
+  await Promise.all(image.variants.map(variant => backend.remove(variant.key)));
+  await image.deleteOne();
+}
+
+// Campos de imagen de un evento a partir de un documento Image
+function eventImageFields(image) {
+  return {
+    imageId: image._id,
+    image: image.getUrl('card'),
+    images: image.getUrls()
+  };
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  ALLOWED_MIME_TYPES,
+  decodeDataUri,
+  saveImage,
+  deleteImage,
+  eventImageFields
+};
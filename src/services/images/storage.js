@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Backends de almacenamiento de imágenes intercambiables. Todos exponen
+// put(key, buffer, contentType) -> { key, url } y remove(key).
+// IMAGE_STORAGE: local | s3 (por defecto local fuera de producción)
+
+// Guarda los archivos en IMAGE_LOCAL_DIR; server.js los sirve en /uploads
+function createLocalStorage() {
+  const directory = getLocalDirectory();
+  const baseUrl = (process.env.IMAGE_PUBLIC_URL ||
+    `${process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`}/uploads`).replace(/\/$/, '');
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const file = path.join(directory, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+    async remove(key) {
+      await fs.rm(path.join(directory, key), { force: true });
+    }
+  };
+}
+
+// Cualquier servicio compatible con S3 (AWS, R2, MinIO...). S3_ENDPOINT solo
+// hace falta fuera de AWS; S3_PUBLIC_URL es la base pública (bucket o CDN)
+function createS3Storage() {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('Falta configurar S3_BUCKET para el almacenamiento de imágenes');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+
+  const baseUrl = (process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return { key, url: `${baseUrl}/${key}` };
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+function getLocalDirectory() {
+  return process.env.IMAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads');
+}
+
+function getStorageName() {
+  return process.env.IMAGE_STORAGE || (process.env.NODE_ENV === 'production' ? 's3' : 'local');
+}
+
+function createStorage(name = getStorageName()) {
+  switch (name) {
+    case 'local':
+      return createLocalStorage();
+    case 's3':
+      return createS3Storage();
+    default:
+      throw new Error(`Almacenamiento de imágenes desconocido: ${name}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  getStorageName,
+  getLocalDirectory
+};
@@ -0,0 +1,105 @@
+// Cálculo de precios del lado del servidor. El cliente nunca define el precio:
+// todo sale de la etapa de preventa (o el precio base), cargos y descuentos.
+
+// Cargo por servicio configurable: porcentaje sobre el subtotal con descuento
+// más un monto fijo por entrada
+const SERVICE_FEE_PERCENT = parseFloat(process.env.SERVICE_FEE_PERCENT) || 0;
+const SERVICE_FEE_PER_TICKET = parseFloat(process.env.SERVICE_FEE_PER_TICKET) || 0;
+
+// Diferencia máxima aceptada entre lo cobrado y lo cotizado (redondeos)
+const AMOUNT_TOLERANCE = 0.01;
+
+function roundAmount(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function calculateServiceFee(amount, quantity) {
+  return roundAmount(amount * SERVICE_FEE_PERCENT / 100 + SERVICE_FEE_PER_TICKET * quantity);
+}
+
+// Cotizar una orden. stageIndex null = precio base del evento.
+// discounts: [{ code, description, amount }] ya validados por quien llama.
+function quoteOrder(event, { stageIndex = null, quantity, discounts = [] }) {
+  const stage = stageIndex !== null ? event.preSaleStages[stageIndex] : null;
+  const category = stage ? event.getStageCategory(stageIndex) : null;
+  const unitPrice = roundAmount(stage ? stage.price : (event.basePrice || 0));
+  const subtotal = roundAmount(unitPrice * quantity);
+
+  // Los descuentos nunca dejan el subtotal por debajo de cero
+  let remaining = subtotal;
+  const appliedDiscounts = discounts.map(discount => {
+    const amount = Math.min(roundAmount(discount.amount), remaining);
+    remaining = roundAmount(remaining - amount);
+    return { code: discount.code, description: discount.description, amount };
+  }).filter(discount => discount.amount > 0);
+
+  const discountTotal = roundAmount(subtotal - remaining);
+  const serviceFee = calculateServiceFee(remaining, quantity);
+
+  return {
+    preSaleStageIndex: stage ? stageIndex : null,
+    stageName: stage ? stage.name : 'Precio regular',
+    category: category ? category.key : null,
+    categoryName: category ? category.name : null,
+    quantity,
+    unitPrice,
+    subtotal,
+    discounts: appliedDiscounts,
+    discountTotal,
+    serviceFee,
+    total: roundAmount(remaining + serviceFee),
+    currency: 'ARS'
+  };
+}
+
+// Items de la preferencia a partir de la cotización. MercadoPago no acepta
+// precios negativos, así que con descuento se envía una única línea por el total.
+function buildPreferenceItems(quote, event) {
+  const ticketLabel = quote.categoryName ? `Entrada ${quote.categoryName}` : 'Entrada';
+  const description = `Evento: ${event.title} - ${quote.stageName}`.substring(0, 200);
+
+  if (quote.discountTotal > 0) {
+    return [{
+      id: 'order_total',
+      title: `${quote.quantity} x ${ticketLabel} para ${event.title}`.substring(0, 200),
+      description: `${description} (descuento ${quote.discounts.map(d => d.code || d.description).join(', ')})`.substring(0, 200),
+      unit_price: quote.total,
+      quantity: 1,
+      currency_id: quote.currency,
+      picture_url: event.image
+    }];
+  }
+
+  const items = [{
+    id: 'tickets',
+    title: `${ticketLabel} para ${event.title}`.substring(0, 200),
+    description,
+    unit_price: quote.unitPrice,
+    quantity: quote.quantity,
+    currency_id: quote.currency,
+    picture_url: event.image
+  }];
+
+  if (quote.serviceFee > 0) {
+    items.push({
+      id: 'service_fee',
+      title: 'Cargo por servicio',
+      unit_price: quote.serviceFee,
+      quantity: 1,
+      currency_id: quote.currency
+    });
+  }
+
+  return items;
+}
+
+function amountMatchesQuote(quote, amount) {
+  return Math.abs(roundAmount(amount) - quote.total) <= AMOUNT_TOLERANCE;
+}
+
+module.exports = {
+  quoteOrder,
+  buildPreferenceItems,
+  amountMatchesQuote,
+  roundAmount
+};
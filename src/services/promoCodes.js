@@ -0,0 +1,208 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const TicketHold = require('../models/TicketHold');
+const { PromoCodeError } = require('../utils/errors');
+const { quoteOrder } = require('./pricing');
+
+function normalizeEmail(email) {
+  return email ? email.trim().toLowerCase() : undefined;
+}
+
+// Validar un código para una compra y calcular el descuento (no reserva usos).
+// Devuelve { promo, discount } con discount listo para pasar a quoteOrder.
+async function evaluatePromoCode({ code, event, stageIndex = null, quantity, email }) {
+  const promo = await PromoCode.findOne({ code: PromoCode.normalizeCode(code) });
+  if (!promo) {
+    throw new PromoCodeError('El código promocional no existe', { code: 'PROMO_NOT_FOUND', status: 404 });
+  }
+
+  promo.assertApplicable({ eventId: event._id, stageIndex });
+
+  if (promo.maxUsesPerEmail !== null) {
+    if (!email) {
+      throw new PromoCodeError('Ingresá tu email para usar este código promocional', { code: 'PROMO_EMAIL_REQUIRED' });
+    }
+    // Aviso temprano: el límite se garantiza al reservar el uso (redeemPromoCode)
+    const used = await PromoRedemption.countDocuments({
+      promoCodeId: promo._id,
+      email: normalizeEmail(email),
+      status: { $in: ['reserved', 'confirmed'] }
+    });
+    if (used >= promo.maxUsesPerEmail) {
+      throw new PromoCodeError('Ya usaste este código promocional', { code: 'PROMO_EMAIL_LIMIT' });
+    }
+  }
+
+  const { subtotal } = quoteOrder(event, { stageIndex, quantity });
+  const amount = promo.calculateDiscount(subtotal);
+
+  return {
+    promo,
+    discount: {
+      code: promo.code,
+      description: promo.description || `Código ${promo.code}`,
+      amount
+    }
+  };
+}
+
+// Primer lugar libre dentro del límite por email. Los usos anteriores a los
+// lugares (sin emailSlot) igual cuentan para el límite.
+async function nextEmailSlot(promo, email) {
+  const active = await PromoRedemption.find({
+    promoCodeId: promo._id,
+    email,
+    status: { $in: ['reserved', 'confirmed'] }
+  }).select('emailSlot').lean();
+
+  if (active.length >= promo.maxUsesPerEmail) {
+    throw new PromoCodeError('Ya usaste este código promocional', { code: 'PROMO_EMAIL_LIMIT' });
+  }
+
+  const taken = new Set(active.map(redemption => redemption.emailSlot));
+  let slot = 0;
+  while (taken.has(slot)) slot++;
+  return slot;
+}
+
+function isEmailSlotConflict(error) {
+  return error.code === 11000 && Boolean(error.keyPattern?.emailSlot);
+}
+
+// Reservar un uso del código para la orden, respetando el límite total y el
+// límite por email de forma atómica.
+// status 'confirmed' se usa cuando la reserva se crea ya confirmada (sin pago pendiente).
+async function redeemPromoCode(promo, { orderId, eventId, email, tickets, discountAmount, expiresAt, status = 'reserved' }) {
+  // Reintento del mismo checkout: reutilizar el uso ya reservado
+  if (orderId) {
+    const existing = await PromoRedemption.findOne({ orderId, status: { $ne: 'released' } });
+    if (existing && existing.promoCodeId.equals(promo._id)) {
+      existing.discountAmount = discountAmount;
+      existing.tickets = tickets;
+      existing.expiresAt = expiresAt;
+      return existing.save();
+    }
+    if (existing) {
+      await releasePromoRedemption(orderId);
+    }
+  }
+
+  const normalizedEmail = normalizeEmail(email);
+  const emailSlot = promo.maxUsesPerEmail !== null && normalizedEmail
+    ? await nextEmailSlot(promo, normalizedEmail)
+    : undefined;
+
+  const filter = { _id: promo._id };
+  if (promo.maxUses !== null) {
+    filter.usesCount = { $lt: promo.maxUses };
+  }
+  const updated = await PromoCode.findOneAndUpdate(filter, { $inc: { usesCount: 1 } }, { new: true });
+  if (!updated) {
+    throw new PromoCodeError('El código promocional ya alcanzó su límite de usos', { code: 'PROMO_EXHAUSTED' });
+  }
+
+  const data = {
+    promoCodeId: promo._id,
+    code: promo.code,
+    eventId,
+    email: normalizedEmail,
+    emailSlot,
+    tickets,
+    discountAmount,
+    status,
+    expiresAt,
+    confirmedAt: status === 'confirmed' ? new Date() : undefined
+  };
+
+  try {
+    if (!orderId) {
+      return await PromoRedemption.create(data);
+    }
+
+    // Si una orden previa con el mismo orderId quedó liberada se reutiliza el documento
+    return await PromoRedemption.findOneAndUpdate(
+      { orderId },
+      { $set: data, $unset: { releasedAt: 1 } },
+      { upsert: true, new: true, runValidators: true }
+    );
+  } catch (error) {
+    await PromoCode.updateOne({ _id: promo._id, usesCount: { $gt: 0 } }, { $inc: { usesCount: -1 } });
+    // Otro checkout del mismo email tomó ese lugar al mismo tiempo
+    if (isEmailSlotConflict(error)) {
+      throw new PromoCodeError('Ya usaste este código promocional', { code: 'PROMO_EMAIL_LIMIT' });
+    }
+    throw error;
+  }
+}
+
+// Confirmar el uso al aprobarse el pago. Si ya se había liberado (pago tardío)
+// se vuelve a contar, sin chequear el límite porque el pago ya se cobró.
+async function confirmPromoRedemption(orderId, reservationId) {
+  const redemption = await PromoRedemption.findOne({ orderId });
+  if (!redemption || redemption.status === 'confirmed') {
+    return redemption;
+  }
+
+  if (redemption.status === 'released') {
+    await PromoCode.updateOne({ _id: redemption.promoCodeId }, { $inc: { usesCount: 1 } });
+  }
+
+  redemption.status = 'confirmed';
+  redemption.confirmedAt = new Date();
+  redemption.reservationId = reservationId;
+  return redemption.save();
+}
+
+async function releaseRedemption(filter) {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    filter,
+    { $set: { status: 'released', releasedAt: new Date() }, $unset: { emailSlot: 1 } },
+    { new: true }
+  );
+
+  if (redemption) {
+    await PromoCode.updateOne({ _id: redemption.promoCodeId, usesCount: { $gt: 0 } }, { $inc: { usesCount: -1 } });
+  }
+  return redemption;
+}
+
+// Devolver el uso reservado (pago rechazado, checkout abandonado o fallido)
+function releasePromoRedemption(orderId) {
+  if (!orderId) return null;
+  return releaseRedemption({ orderId, status: 'reserved' });
+}
+
+// Anular un uso ya registrado cuya reserva no se pudo crear
+function revokePromoRedemption(redemptionId) {
+  return releaseRedemption({ _id: redemptionId, status: { $ne: 'released' } });
+}
+
+// Liberar los usos de checkouts vencidos (job programado). Si el hold de la
+// orden ya se convirtió en venta el pago está en curso y se deja reservado.
+async function releaseExpiredRedemptions() {
+  const expired = await PromoRedemption.find({
+    status: 'reserved',
+    expiresAt: { $lte: new Date() }
+  }).select('orderId');
+
+  let released = 0;
+  for (const { orderId } of expired) {
+    const converted = await TicketHold.exists({ orderId, status: 'converted' });
+    if (converted) continue;
+
+    if (await releasePromoRedemption(orderId)) {
+      released++;
+    }
+  }
+
+  return released;
+}
+
+module.exports = {
+  evaluatePromoCode,
+  redeemPromoCode,
+  confirmPromoRedemption,
+  releasePromoRedemption,
+  revokePromoRedemption,
+  releaseExpiredRedemptions
+};
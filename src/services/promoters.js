@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Promoter = require('../models/Promoter');
+const PromoterQuota = require('../models/PromoterQuota');
+const Reservation = require('../models/Reservation');
+const { GuestListError } = require('../utils/errors');
+const { queueReservationEmails } = require('./email');
+
+// Máximo de nombres por carga
+const MAX_GUESTS_PER_REQUEST = 50;
+
+// Atribución de una reserva al RRPP del código/link. Un código inválido o de un
+// RRPP deshabilitado para el evento no bloquea la compra: simplemente no se atribuye.
+async function resolvePromoterAttribution(code, eventId) {
+  const promoter = await Promoter.findActiveByCode(code);
+  if (!promoter) return { promoterId: null, promoterCode: null };
+
+  const quota = await PromoterQuota.findOne({ promoterId: promoter._id, eventId }).select('isActive');
+  if (quota && !quota.isActive) return { promoterId: null, promoterCode: null };
+
+  return { promoterId: promoter._id, promoterCode: promoter.code };
+}
+
+// Cupo del RRPP para el evento con la lista todavía abierta
+async function getOpenQuota(promoter, event) {
+  const quota = await PromoterQuota.findOne({ promoterId: promoter._id, eventId: event._id });
+  if (!quota || !quota.isActive) {
+    throw new GuestListError('No tenés cupo de invitados para este evento', { code: 'NO_GUEST_QUOTA', status: 403 });
+  }
+  if (!['active', 'sold-out'].includes(event.status) || quota.getCutoff(event) <= new Date()) {
+    throw new GuestListError('La lista de invitados de este evento ya cerró', { code: 'GUEST_LIST_CLOSED', status: 409 });
+  }
+  return quota;
+}
+
+function normalizeGuests(guests) {
+  if (!Array.isArray(guests) || guests.length === 0) {
+    throw new GuestListError('Indicá al menos un invitado', { code: 'INVALID_GUESTS' });
+  }
+  if (guests.length > MAX_GUESTS_PER_REQUEST) {
+    throw new GuestListError(`Se pueden cargar hasta ${MAX_GUESTS_PER_REQUEST} invitados por vez`, { code: 'INVALID_GUESTS' });
+  }
+
+  return guests.map((guest, index) => {
+    if (!guest?.nombre || !guest?.apellido) {
+      throw new GuestListError(`El invitado ${index + 1} debe tener nombre y apellido`, { code: 'INVALID_GUESTS' });
+    }
+    if (guest.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(guest.email)) {
+      throw new GuestListError(`El email del invitado ${index + 1} no es válido`, { code: 'INVALID_GUESTS' });
+    }
+    return {
+      nombre: String(guest.nombre).trim(),
+      apellido: String(guest.apellido).trim(),
+      email: guest.email ? String(guest.email).trim().toLowerCase() : undefined,
+      telefono: guest.telefono ? String(guest.telefono).trim() : undefined
+    };
+  });
+}
+
+// Cargar invitados en la lista del RRPP: una reserva gratis por invitado (cada
+// uno con su QR). Se descuenta el cupo del RRPP y el lugar de forma atómica.
+async function addGuests(promoter, event, guests) {
+  const normalized = normalizeGuests(guests);
+  const quantity = normalized.length;
+  const quota = await getOpenQuota(promoter, event);
+
+  const claimed = await PromoterQuota.claimGuests(promoter._id, event._id, quantity);
+  if (!claimed) {
+    throw new GuestListError(`Te quedan ${Math.max(0, quota.guestQuota - quota.guestsAdded)} lugares en tu lista`, {
+      code: 'GUEST_QUOTA_EXCEEDED',
+      status: 409
+    });
+  }
+
+  try {
+    await Event.claimGuestListTickets(event._id, quantity);
+  } catch (error) {
+    await PromoterQuota.releaseGuests(promoter._id, event._id, quantity);
+    throw error;
+  }
+
+  const created = [];
+  try {
+    for (const guest of normalized) {
+      const reservation = await Reservation.create({
+        eventId: event._id,
+        eventTitle: event.title,
+        tickets: [guest],
+        totalTickets: 1,
+        paymentStatus: 'approved',
+        paymentMethod: 'free',
+        totalAmount: 0,
+        isPaid: true,
+        isFreeTicket: true,
+        isGuestList: true,
+        promoterId: promoter._id,
+        promoterCode: promoter.code
+      });
+      created.push(reservation);
+    }
+  } catch (error) {
+    // Devolver los lugares de los invitados que no se llegaron a crear
+    const missing = quantity - created.length;
+    await PromoterQuota.releaseGuests(promoter._id, event._id, missing);
+    await Event.releaseGuestListTickets(event._id, missing);
+    error.created = created;
+    throw error;
+  }
+
+  for (const reservation of created) {
+    await queueReservationEmails('free_ticket_confirmation', reservation, { event });
+  }
+
+  return { reservations: created, quota: await PromoterQuota.findById(quota._id) };
+}
+
+// Devolver el lugar de un invitado dado de baja (al RRPP y al lugar)
+async function releaseGuestListReservation(reservation, quantity = reservation.totalTickets) {
+  if (!reservation.isGuestList || quantity <= 0) return;
+  await Event.releaseGuestListTickets(reservation.eventId, quantity);
+  if (reservation.promoterId) {
+    await PromoterQuota.releaseGuests(reservation.promoterId, reservation.eventId, quantity);
+  }
+}
+
+// Quitar un invitado de la lista (mientras la lista siga abierta y no haya ingresado)
+async function removeGuest(promoter, event, reservationId) {
+  await getOpenQuota(promoter, event);
+
+  const reservation = await Reservation.findOneAndUpdate(
+    {
+      _id: reservationId,
+      eventId: event._id,
+      promoterId: promoter._id,
+      isGuestList: true,
+      status: { $ne: 'cancelled' },
+      'tickets.checkedInAt': null
+    },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+
+  if (!reservation) {
+    const existing = await Reservation.findOne({ _id: reservationId, eventId: event._id, promoterId: promoter._id, isGuestList: true });
+    if (!existing) {
+      throw new GuestListError('Invitado no encontrado', { code: 'GUEST_NOT_FOUND', status: 404 });
+    }
+    throw new GuestListError(existing.status === 'cancelled' ? 'El invitado ya fue dado de baja' : 'El invitado ya ingresó al evento', {
+      code: 'GUEST_NOT_REMOVABLE',
+      status: 409
+    });
+  }
+
+  await releaseGuestListReservation(reservation);
+  return reservation;
+}
+
+// Ranking de RRPP de un evento: personas que ingresaron contra nombres/entradas
+// aportados (invitados, gratis por link y vendidas por link)
+async function getPromoterRanking(eventId) {
+  const eventObjectId = new mongoose.Types.ObjectId(String(eventId));
+
+  const [stats, quotas] = await Promise.all([
+    Reservation.aggregate([
+      {
+        $match: {
+          eventId: eventObjectId,
+          promoterId: { $ne: null },
+          status: { $ne: 'cancelled' },
+          $or: [{ isFreeTicket: true }, { paymentStatus: 'approved' }]
+        }
+      },
+      {
+        $project: {
+          promoterId: 1,
+          isGuestList: { $ifNull: ['$isGuestList', false] },
+          isFreeTicket: { $ifNull: ['$isFreeTicket', false] },
+          netRevenue: { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] },
+          activeTickets: {
+            $filter: {
+              input: '$tickets',
+              as: 'ticket',
+              cond: { $eq: [{ $ifNull: ['$$ticket.refundedAt', null] }, null] }
+            }
+          }
+        }
+      },
+      {
+        $project: {
+          promoterId: 1,
+          isGuestList: 1,
+          isFreeTicket: 1,
+          netRevenue: 1,
+          submitted: { $size: '$activeTickets' },
+          checkedIn: {
+            $size: {
+              $filter: {
+                input: '$activeTickets',
+                as: 'ticket',
+                cond: { $ne: [{ $ifNull: ['$$ticket.checkedInAt', null] }, null] }
+              }
+            }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$promoterId',
+          reservations: { $sum: 1 },
+          guestNames: { $sum: { $cond: ['$isGuestList', '$submitted', 0] } },
+          guestsCheckedIn: { $sum: { $cond: ['$isGuestList', '$checkedIn', 0] } },
+          freeTickets: { $sum: { $cond: [{ $and: ['$isFreeTicket', { $not: ['$isGuestList'] }] }, '$submitted', 0] } },
+          paidTickets: { $sum: { $cond: ['$isFreeTicket', 0, '$submitted'] } },
+          revenue: { $sum: { $cond: ['$isFreeTicket', 0, '$netRevenue'] } },
+          submitted: { $sum: '$submitted' },
+          checkedIn: { $sum: '$checkedIn' }
+        }
+      }
+    ]),
+    PromoterQuota.find({ eventId: eventObjectId })
+  ]);
+
+  const statsById = new Map(stats.map(item => [String(item._id), item]));
+  const quotasById = new Map(quotas.map(quota => [String(quota.promoterId), quota]));
+  const promoterIds = [...new Set([...statsById.keys(), ...quotasById.keys()])];
+  const promoters = await Promoter.find({ _id: { $in: promoterIds } });
+
+  const ranking = promoters.map(promoter => {
+    const item = statsById.get(String(promoter._id)) || {};
+    const quota = quotasById.get(String(promoter._id));
+    const submitted = item.submitted || 0;
+    const checkedIn = item.checkedIn || 0;
+
+    return {
+      promoterId: promoter._id,
+      name: promoter.name,
+      code: promoter.code,
+      guestQuota: quota ? quota.guestQuota : null,
+      guestNames: item.guestNames || 0,
+      guestsCheckedIn: item.guestsCheckedIn || 0,
+      freeTickets: item.freeTickets || 0,
+      paidTickets: item.paidTickets || 0,
+      revenue: Math.round((item.revenue || 0) * 100) / 100,
+      submitted,
+      checkedIn,
+      checkInRate: submitted > 0 ? Math.round((checkedIn / submitted) * 1000) / 10 : 0
+    };
+  });
+
+  ranking.sort((a, b) => b.checkedIn - a.checkedIn || b.checkInRate - a.checkInRate || b.submitted - a.submitted);
+  return ranking.map((item, index) => ({ rank: index + 1, ...item }));
+}
+
+module.exports = {
+  MAX_GUESTS_PER_REQUEST,
+  resolvePromoterAttribution,
+  getOpenQuota,
+  addGuests,
+  removeGuest,
+  releaseGuestListReservation,
+  getPromoterRanking
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const Reservation = require('../models/Reservation');
+const Event = require('../models/Event');
+const ResaleListing = require('../models/ResaleListing');
+const { paymentRefundClient } = require('../config/mercadopago');
+const { RefundError } = require('../utils/errors');
+const { notifyInventoryReleased } = require('./waitlist');
+
+function roundAmount(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// Cantidad de entradas a devolver según el monto reembolsado
+function ticketsForAmount(reservation, amount, isFull) {
+  const remainingTickets = reservation.totalTickets - (reservation.ticketsReturned || 0);
+  if (isFull) return remainingTickets;
+
+  const unitPrice = reservation.totalAmount / reservation.totalTickets;
+  if (!unitPrice) return 0;
+
+  return Math.min(remainingTickets, Math.floor((amount + 0.005) / unitPrice));
+}
+
+// Registrar un reembolso en la reserva, marcar las entradas devueltas y
+// devolverlas a su etapa. El push es condicional (mismo mpRefundId una sola vez
+// y nunca más monto/entradas que los de la reserva), así el endpoint de admin y
+// el webhook pueden registrar el mismo reembolso sin duplicar inventario.
+// ticketIds marca entradas puntuales; releaseInventory = false cuando la
+// entrada no vuelve a la venta (reventa: pasa a la reserva del comprador).
+// Una reserva cancelada nunca devuelve inventario acá: lo que correspondía ya
+// lo devolvió la cancelación (DELETE /api/reservations/:code).
+async function recordRefund(reservation, {
+  amount,
+  ticketsReturned = 0,
+  ticketIds = null,
+  releaseInventory = true,
+  reason,
+  source = 'admin',
+  operator,
+  mpRefundId,
+  paymentStatus
+}) {
+  const filter = {
+    _id: reservation._id,
+    $expr: {
+      $and: [
+        { $lte: [{ $add: [{ $ifNull: ['$ticketsReturned', 0] }, ticketsReturned] }, '$totalTickets'] },
+        { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, { $add: ['$totalAmount', 0.01] }] }
+      ]
+    }
+  };
+  if (mpRefundId) {
+    filter['refunds.mpRefundId'] = { $ne: mpRefundId };
+  }
+
+  const update = {
+    $push: {
+      refunds: {
+        amount,
+        ticketsReturned,
+        reason,
+        source,
+        operator: operator ? operator._id : undefined,
+        operatorEmail: operator ? operator.email : undefined,
+        mpRefundId
+      }
+    },
+    $inc: { refundedAmount: amount, ticketsReturned }
+  };
+  if (paymentStatus) {
+    update.$set = { paymentStatus, isPaid: false };
+  }
+
+  const updated = await Reservation.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    return null;
+  }
+
+  // Marcar primero las entradas que todavía no ingresaron
+  const now = new Date();
+  const returned = ticketIds
+    ? updated.tickets.filter(ticket => ticketIds.some(id => ticket._id.equals(id)))
+    : updated.tickets
+      .filter(ticket => !ticket.refundedAt)
+      .sort((a, b) => (a.checkedInAt ? 1 : 0) - (b.checkedInAt ? 1 : 0))
+      .slice(0, ticketsReturned);
+  returned.forEach(ticket => {
+    if (!ticket.refundedAt) ticket.refundedAt = now;
+  });
+  await updated.save();
+
+  if (ticketsReturned > 0 && releaseInventory && updated.status !== 'cancelled') {
+    if (updated.isFreeTicket) {
+      await Event.releaseFreeTickets(updated.eventId, ticketsReturned);
+    } else if (updated.preSaleStageIndex !== null && updated.preSaleStageIndex !== undefined) {
+      await Event.releaseStageTickets(updated.eventId, updated.preSaleStageIndex, ticketsReturned);
+    }
+    notifyInventoryReleased(updated.eventId);
+  }
+
+  console.log(`Reembolso registrado en ${updated.reservationCode}: $${amount} (${ticketsReturned} entradas, ${source})`);
+  return updated;
+}
+
+// Reembolsar total o parcialmente una reserva pagada a través de MercadoPago
+async function refundReservation(reservation, { amount, tickets, reason, operator } = {}) {
+  if (reservation.paymentMethod !== 'mercadopago' || !reservation.paymentId) {
+    throw new RefundError('La reserva no tiene un pago de MercadoPago para reembolsar', { code: 'NOT_REFUNDABLE' });
+  }
+
+  if (reservation.paymentStatus !== 'approved') {
+    const code = reservation.paymentStatus === 'refunded' ? 'ALREADY_REFUNDED' : 'NOT_REFUNDABLE';
+    throw new RefundError(`La reserva tiene el pago en estado ${reservation.paymentStatus}`, { code });
+  }
+
+  const remaining = roundAmount(reservation.totalAmount - (reservation.refundedAmount || 0));
+  if (remaining <= 0) {
+    throw new RefundError('La reserva ya fue reembolsada por completo', { code: 'ALREADY_REFUNDED' });
+  }
+
+  const refundAmount = amount !== undefined && amount !== null ? roundAmount(amount) : remaining;
+  if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > remaining) {
+    throw new RefundError(`El monto debe ser mayor a 0 y como máximo ${remaining}`, { code: 'INVALID_AMOUNT' });
+  }
+
+  const isFull = refundAmount >= remaining;
+  const remainingTickets = reservation.totalTickets - (reservation.ticketsReturned || 0);
+  let ticketsToReturn = ticketsForAmount(reservation, refundAmount, isFull);
+
+  if (tickets !== undefined && tickets !== null) {
+    ticketsToReturn = Number(tickets);
+    if (!Number.isInteger(ticketsToReturn) || ticketsToReturn < 0 || ticketsToReturn > remainingTickets) {
+      throw new RefundError(`La cantidad de entradas a devolver debe estar entre 0 y ${remainingTickets}`, { code: 'INVALID_TICKETS' });
+    }
+  }
+
+  let mpRefund;
+  try {
+    const requestOptions = { idempotencyKey: crypto.randomUUID() };
+    mpRefund = isFull && !reservation.refundedAmount
+      ? await paymentRefundClient.total({ payment_id: reservation.paymentId, requestOptions })
+      : await paymentRefundClient.create({
+        payment_id: reservation.paymentId,
+        body: { amount: refundAmount },
+        requestOptions
+      });
+  } catch (mpError) {
+    console.error('❌ Error de MercadoPago al reembolsar:', mpError);
+    throw new RefundError(`MercadoPago rechazó el reembolso: ${mpError.message}`, { code: 'MP_REFUND_ERROR', status: 502 });
+  }
+
+  const updated = await recordRefund(reservation, {
+    amount: refundAmount,
+    ticketsReturned: ticketsToReturn,
+    reason,
+    source: 'admin',
+    operator,
+    mpRefundId: mpRefund.id ? String(mpRefund.id) : undefined,
+    paymentStatus: isFull ? 'refunded' : undefined
+  });
+
+  // Si el webhook llegó antes y ya lo registró, devolver el estado actual
+  return {
+    reservation: updated || await Reservation.findById(reservation._id),
+    mpRefundId: mpRefund.id
+  };
+}
+
+// Sincronizar los reembolsos que informa MercadoPago (webhook con estado refunded)
+async function syncRefundsFromPayment(payment) {
+  const reservation = await Reservation.findOne({ orderId: payment.external_reference });
+  if (!reservation) return null;
+
+  let current = reservation;
+  const refunds = payment.refunds || [];
+
+  // Con un pago a un vendedor de la reventa sin terminar, el reembolso nuevo es
+  // ese pago: lo registra payoutSeller con la entrada vendida y sin devolverla a
+  // la venta. Si lo tomara el webhook se marcaría otra entrada y volvería stock.
+  const openPayout = refunds.length > 0 && await ResaleListing.exists({
+    reservationId: reservation._id,
+    status: 'sold',
+    payoutStatus: { $in: ['pending', 'failed'] }
+  });
+
+  for (const mpRefund of refunds) {
+    const mpRefundId = String(mpRefund.id);
+    if (current.refunds.some(refund => refund.mpRefundId === mpRefundId)) continue;
+    if (openPayout) {
+      console.log(`Reembolso ${mpRefundId} de ${reservation.reservationCode} pendiente del pago de reventa`);
+      continue;
+    }
+
+    const amount = roundAmount(mpRefund.amount);
+    const remaining = roundAmount(current.totalAmount - (current.refundedAmount || 0));
+    const isFull = amount >= remaining;
+
+    current = await recordRefund(current, {
+      amount: Math.min(amount, remaining),
+      ticketsReturned: ticketsForAmount(current, amount, isFull),
+      reason: 'Reembolso informado por MercadoPago',
+      source: 'webhook',
+      mpRefundId
+    }) || await Reservation.findById(reservation._id);
+  }
+
+  // Reembolso total sin detalle de reembolsos: devolver lo que quede
+  if (payment.status === 'refunded' && (current.refundedAmount || 0) < current.totalAmount) {
+    current = await recordRefund(current, {
+      amount: roundAmount(current.totalAmount - (current.refundedAmount || 0)),
+      ticketsReturned: ticketsForAmount(current, 0, true),
+      reason: 'Reembolso informado por MercadoPago',
+      source: 'webhook',
+      mpRefundId: `payment-${payment.id}`
+    }) || await Reservation.findById(reservation._id);
+  }
+
+  if (payment.status === 'refunded' && current.paymentStatus !== 'refunded') {
+    current.paymentStatus = 'refunded';
+    current.isPaid = false;
+    await current.save();
+  }
+
+  return current;
+}
+
+// Contracargo: se devuelve todo lo que quede de la reserva
+async function processChargeback(payment) {
+  const reservation = await Reservation.findOne({ orderId: payment.external_reference });
+  if (!reservation) return null;
+
+  const updated = await recordRefund(reservation, {
+    amount: roundAmount(reservation.totalAmount - (reservation.refundedAmount || 0)),
+    ticketsReturned: ticketsForAmount(reservation, 0, true),
+    reason: `Contracargo (${payment.status_detail || 'sin detalle'})`,
+    source: 'chargeback',
+    mpRefundId: `chargeback-${payment.id}`,
+    paymentStatus: 'charged_back'
+  });
+
+  return updated || reservation;
+}
+
+module.exports = {
+  ticketsForAmount,
+  refundReservation,
+  recordRefund,
+  syncRefundsFromPayment,
+  processChargeback
+};
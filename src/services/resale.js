@@ -0,0 +1,436 @@
+const Event = require('../models/Event');
+const Reservation = require('../models/Reservation');
+const ResaleListing = require('../models/ResaleListing');
+const TicketTransfer = require('../models/TicketTransfer');
+const { preferenceClient, paymentRefundClient } = require('../config/mercadopago');
+const { ResaleError } = require('../utils/errors');
+const { recordRefund } = require('./refunds');
+const { queueReservationEmails, queueEmail } = require('./email');
+
+// Cargo que retiene la productora sobre el precio de reventa (porcentaje)
+const RESALE_FEE_PERCENT = process.env.RESALE_FEE_PERCENT !== undefined ? parseFloat(process.env.RESALE_FEE_PERCENT) : 10;
+// Recargo máximo sobre el valor nominal (0 = solo a valor nominal)
+const RESALE_MAX_MARKUP_PERCENT = parseFloat(process.env.RESALE_MAX_MARKUP_PERCENT) || 0;
+
+function roundAmount(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// Precio de la entrada en la venta original (etapa o precio base) y lo que
+// efectivamente pagó el vendedor por cada entrada (con cargos y descuentos)
+function ticketValues(reservation, event) {
+  const stage = reservation.preSaleStageIndex !== null && reservation.preSaleStageIndex !== undefined
+    ? event.preSaleStages[reservation.preSaleStageIndex]
+    : null;
+  const paidUnit = roundAmount(reservation.totalAmount / reservation.totalTickets);
+  const listedPrice = stage ? stage.price : event.basePrice;
+
+  return {
+    stage,
+    paidUnit,
+    faceValue: roundAmount(listedPrice > 0 ? listedPrice : paidUnit)
+  };
+}
+
+function maxResalePrice(faceValue) {
+  return roundAmount(faceValue * (1 + RESALE_MAX_MARKUP_PERCENT / 100));
+}
+
+function resaleFee(price) {
+  return roundAmount(price * RESALE_FEE_PERCENT / 100);
+}
+
+// Reserva y entrada a partir del token del QR (quien tiene el token es el titular)
+async function findTicketByToken(ticketToken) {
+  const reservation = ticketToken ? await Reservation.findOne({ 'tickets.token': String(ticketToken) }) : null;
+  const ticket = reservation?.tickets.find(item => item.token === String(ticketToken));
+
+  if (!ticket) {
+    throw new ResaleError('Entrada no encontrada', { code: 'TICKET_NOT_FOUND', status: 404 });
+  }
+  return { reservation, ticket };
+}
+
+// El evento sigue a la venta y no tiene las transferencias congeladas
+function assertEventOpen(event) {
+  if (!event) {
+    throw new ResaleError('Evento no encontrado', { code: 'EVENT_NOT_AVAILABLE', status: 404 });
+  }
+  const block = event.getTransferBlock();
+  if (block) {
+    throw new ResaleError(block.message, { code: block.code, status: 409 });
+  }
+}
+
+// Publicar una entrada en la reventa
+async function createListing(ticketToken, { price } = {}, { customer } = {}) {
+  const { reservation, ticket } = await findTicketByToken(ticketToken);
+
+  if (reservation.paymentMethod !== 'mercadopago' || !reservation.paymentId || reservation.isFreeTicket) {
+    throw new ResaleError('Solo se pueden revender entradas pagas con MercadoPago', { code: 'TICKET_NOT_RESELLABLE', status: 409 });
+  }
+  const admissionError = reservation.getAdmissionError(ticket);
+  if (admissionError || ticket.checkedInAt) {
+    throw new ResaleError(admissionError ? admissionError.message : 'La entrada ya fue usada para ingresar', {
+      code: 'TICKET_NOT_RESELLABLE',
+      status: 409
+    });
+  }
+
+  const event = await Event.findById(reservation.eventId);
+  assertEventOpen(event);
+
+  if (await ResaleListing.findOpenForTicket(reservation._id, ticket._id)) {
+    throw new ResaleError('La entrada ya está publicada', { code: 'ALREADY_LISTED', status: 409 });
+  }
+
+  const { stage, faceValue } = ticketValues(reservation, event);
+  const maxPrice = maxResalePrice(faceValue);
+  const askedPrice = price === undefined || price === null || price === '' ? faceValue : roundAmount(price);
+  if (isNaN(askedPrice) || askedPrice <= 0 || askedPrice > maxPrice) {
+    throw new ResaleError(`El precio debe ser mayor a 0 y como máximo ${maxPrice}`, { code: 'INVALID_PRICE' });
+  }
+
+  // Una transferencia pendiente ya no podría completarse
+  await TicketTransfer.cancelPending(reservation._id, ticket._id, 'replaced');
+
+  const fee = resaleFee(askedPrice);
+  return ResaleListing.create({
+    eventId: event._id,
+    reservationId: reservation._id,
+    ticketId: ticket._id,
+    ticketTokenHash: Reservation.hashTicketToken(ticket.token),
+    category: ticket.category || reservation.ticketCategory,
+    preSaleStageIndex: reservation.preSaleStageIndex,
+    stageName: stage ? stage.name : 'Precio regular',
+    seller: { nombre: ticket.nombre, apellido: ticket.apellido, email: ticket.email },
+    sellerCustomerId: customer?._id || null,
+    faceValue,
+    price: askedPrice,
+    fee,
+    sellerProceeds: roundAmount(askedPrice - fee)
+  });
+}
+
+// Bajar la publicación abierta de una entrada (no si un comprador está pagando)
+async function cancelListing(ticketToken) {
+  const { reservation, ticket } = await findTicketByToken(ticketToken);
+
+  const listing = await ResaleListing.findOneAndUpdate(
+    { reservationId: reservation._id, ticketId: ticket._id, ...ResaleListing.availableFilter() },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'seller' } },
+    { new: true }
+  );
+
+  if (!listing) {
+    const open = await ResaleListing.findOpenForTicket(reservation._id, ticket._id);
+    throw open
+      ? new ResaleError('Hay un comprador pagando la entrada, intentá en unos minutos', { code: 'LISTING_NOT_AVAILABLE', status: 409 })
+      : new ResaleError('La entrada no está publicada', { code: 'LISTING_NOT_FOUND', status: 404 });
+  }
+  return listing;
+}
+
+// Publicaciones de una entrada (más reciente primero)
+async function getTicketListings(ticketToken) {
+  const { reservation, ticket } = await findTicketByToken(ticketToken);
+  return ResaleListing.find({ reservationId: reservation._id, ticketId: ticket._id }).sort({ createdAt: -1 });
+}
+
+// Apartar la publicación y crear la preferencia de pago para el comprador
+async function startCheckout(listingId, buyer, { customer } = {}) {
+  const listing = await ResaleListing.findById(listingId);
+  if (!listing) {
+    throw new ResaleError('Publicación no encontrada', { code: 'LISTING_NOT_FOUND', status: 404 });
+  }
+
+  const event = await Event.findById(listing.eventId);
+  assertEventOpen(event);
+
+  const orderId = `RESALE_${listing._id}_${Date.now()}`;
+  const reserved = await ResaleListing.reserveForCheckout(listing._id, {
+    orderId,
+    buyer,
+    customerId: customer?._id
+  });
+  if (!reserved) {
+    throw new ResaleError('La entrada ya no está disponible', { code: 'LISTING_NOT_AVAILABLE', status: 409 });
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8100';
+  const backendUrl = process.env.BACKEND_URL || 'https://bardobackend.onrender.com';
+
+  try {
+    const response = await preferenceClient.create({
+      body: {
+        items: [{
+          id: `resale_${listing._id}`,
+          title: `Entrada de reventa para ${event.title}`.substring(0, 200),
+          description: `Evento: ${event.title} - ${listing.stageName || 'Reventa'}`.substring(0, 200),
+          unit_price: listing.price,
+          quantity: 1,
+          currency_id: 'ARS',
+          picture_url: event.image
+        }],
+        payer: {
+          name: buyer.nombre,
+          surname: buyer.apellido,
+          email: buyer.email
+        },
+        back_urls: {
+          success: `${frontendUrl}/pago-exitoso`,
+          failure: `${frontendUrl}/pago-error`,
+          pending: `${frontendUrl}/pago-pendiente`
+        },
+        auto_return: 'approved',
+        external_reference: orderId,
+        notification_url: `${backendUrl}/api/mercadopago/webhook`,
+        statement_descriptor: 'BARDOEVENTS',
+        // Vence junto con el apartado para no cobrar una entrada liberada
+        expires: true,
+        expiration_date_to: reserved.reservedUntil.toISOString(),
+        binary_mode: true,
+        metadata: {
+          resale_listing_id: String(listing._id),
+          event_id: String(event._id),
+          event_title: event.title.substring(0, 100),
+          tickets: 1,
+          customer_id: customer ? String(customer._id) : undefined,
+          customer_email: buyer.email,
+          source: 'bardo_resale'
+        }
+      }
+    });
+
+    return { listing: reserved, orderId, preference: response };
+  } catch (mpError) {
+    console.error('❌ Error de MercadoPago creando preferencia de reventa:', mpError);
+    await ResaleListing.releaseCheckout(orderId);
+    throw new ResaleError('No se pudo crear el pago en MercadoPago', { code: 'MP_PREFERENCE_ERROR', status: 502 });
+  }
+}
+
+// Devolver el pago a un comprador cuya compra no se pudo completar
+async function refundBuyerPayment(payment, reason) {
+  console.error(`⚠️ Reventa ${payment.external_reference}: ${reason}. Se devuelve el pago ${payment.id}`);
+  try {
+    await paymentRefundClient.total({
+      payment_id: payment.id,
+      requestOptions: { idempotencyKey: `resale-refund-${payment.id}` }
+    });
+  } catch (mpError) {
+    console.error(`❌ No se pudo devolver el pago ${payment.id} de la reventa:`, mpError);
+    throw mpError;
+  }
+
+  await queueEmail('resale_unavailable', payment.metadata?.customer_email || payment.payer?.email, {
+    eventTitle: payment.metadata?.event_title || 'tu evento',
+    amount: payment.transaction_amount
+  }, { dedupeKey: `resale_unavailable:${payment.id}` });
+}
+
+// Anular la entrada del vendedor si sigue siendo la misma que se publicó.
+// Devuelve false si cambió (transferida, usada, reembolsada).
+async function voidSellerTicket(listing) {
+  const reservation = await Reservation.findById(listing.reservationId);
+  const ticket = reservation?.tickets.id(listing.ticketId);
+
+  if (!ticket || Reservation.hashTicketToken(ticket.token) !== listing.ticketTokenHash) {
+    return false;
+  }
+
+  const now = new Date();
+  const result = await Reservation.updateOne(
+    {
+      _id: reservation._id,
+      tickets: { $elemMatch: { _id: ticket._id, token: ticket.token, checkedInAt: null, refundedAt: null } }
+    },
+    { $set: { 'tickets.$.refundedAt': now, 'tickets.$.resoldAt': now } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await TicketTransfer.cancelPending(reservation._id, ticket._id, 'ticket_changed');
+  return true;
+}
+
+// Emitir la entrada en una reserva nueva a nombre del comprador
+async function issueBuyerReservation(listing, payment) {
+  const existing = await Reservation.findOne({ orderId: payment.external_reference });
+  if (existing) return existing;
+
+  const sellerReservation = await Reservation.findById(listing.reservationId).select('eventTitle');
+  const reservation = new Reservation({
+    eventId: listing.eventId,
+    eventTitle: sellerReservation?.eventTitle || payment.metadata?.event_title || 'Evento',
+    tickets: [{
+      nombre: listing.buyer.nombre,
+      apellido: listing.buyer.apellido,
+      email: listing.buyer.email,
+      telefono: listing.buyer.telefono,
+      category: listing.category
+    }],
+    totalTickets: 1,
+    orderId: payment.external_reference,
+    status: 'confirmed',
+    paymentStatus: 'approved',
+    paymentMethod: 'mercadopago',
+    paymentId: String(payment.id),
+    totalAmount: payment.transaction_amount,
+    isPaid: true,
+    paidAt: new Date(),
+    customerId: listing.buyerCustomerId,
+    // La etapa se conserva: si esta entrada se reembolsa vuelve a su etapa
+    preSaleStageIndex: listing.preSaleStageIndex,
+    ticketCategory: listing.category,
+    saleType: 'resale',
+    resaleListingId: listing._id,
+    source: 'bardo_resale'
+  });
+
+  return reservation.save();
+}
+
+// Pagar al vendedor: reembolso de su compra original por el valor de la venta
+// menos el cargo, hasta lo que pagó por la entrada. Se puede reintentar.
+async function payoutSeller(listing) {
+  const reservation = await Reservation.findById(listing.reservationId);
+  if (!reservation) {
+    throw new ResaleError('No se encontró la reserva del vendedor', { code: 'LISTING_NOT_FOUND', status: 404 });
+  }
+
+  const paidUnit = roundAmount(reservation.totalAmount / reservation.totalTickets);
+  const remaining = roundAmount(reservation.totalAmount - (reservation.refundedAmount || 0));
+  const refundAmount = Math.max(0, Math.min(listing.sellerProceeds, paidUnit, remaining));
+
+  try {
+    let mpRefundId = listing.payoutMpRefundId;
+    if (refundAmount > 0 && !mpRefundId) {
+      const mpRefund = await paymentRefundClient.create({
+        payment_id: reservation.paymentId,
+        body: { amount: refundAmount },
+        requestOptions: { idempotencyKey: `resale-payout-${listing._id}` }
+      });
+      mpRefundId = String(mpRefund.id);
+    }
+
+    // La entrada ya se anuló al vender; se registra como devuelta sin volver a la venta
+    await recordRefund(reservation, {
+      amount: refundAmount,
+      ticketsReturned: 1,
+      ticketIds: [listing.ticketId],
+      releaseInventory: false,
+      reason: 'Entrada vendida en la reventa',
+      source: 'resale',
+      mpRefundId: mpRefundId || `resale-${listing._id}`
+    });
+
+    listing.payoutMpRefundId = mpRefundId;
+    listing.payoutRefundAmount = refundAmount;
+    listing.payoutManualAmount = roundAmount(listing.sellerProceeds - refundAmount);
+    listing.payoutStatus = listing.payoutManualAmount > 0 ? 'manual' : 'completed';
+    listing.payoutError = undefined;
+    listing.payoutAt = new Date();
+  } catch (error) {
+    console.error(`❌ Error pagando al vendedor de la reventa ${listing._id}:`, error);
+    listing.payoutStatus = 'failed';
+    listing.payoutError = error.message;
+  }
+
+  await listing.save();
+  return listing;
+}
+
+// Pago aprobado de una reventa. Cada paso queda registrado en la publicación,
+// así una notificación repetida retoma donde quedó sin duplicar nada.
+async function completeSale(payment) {
+  const listingId = payment.metadata?.resale_listing_id;
+  let listing = await ResaleListing.findById(listingId);
+  const alreadySold = listing?.status === 'sold' && listing.paymentId === String(payment.id);
+
+  if (!alreadySold) {
+    if (!listing || Math.abs(payment.transaction_amount - listing.price) > 0.01) {
+      await refundBuyerPayment(payment, listing ? 'monto distinto del precio publicado' : 'publicación inexistente');
+      return null;
+    }
+
+    // El apartado puede haber vencido: vale mientras nadie más haya tomado la publicación
+    listing = await ResaleListing.findOneAndUpdate(
+      { _id: listing._id, status: 'reserved', orderId: payment.external_reference },
+      { $set: { status: 'sold', soldAt: new Date(), paymentId: String(payment.id) } },
+      { new: true }
+    );
+    if (!listing) {
+      await refundBuyerPayment(payment, 'la publicación ya no estaba disponible');
+      return null;
+    }
+  }
+
+  if (!listing.sellerTicketVoidedAt) {
+    if (!(await voidSellerTicket(listing))) {
+      listing.status = 'cancelled';
+      listing.cancelledAt = new Date();
+      listing.cancelReason = 'ticket_changed';
+      await listing.save();
+      await refundBuyerPayment(payment, 'la entrada del vendedor cambió');
+      return null;
+    }
+    listing.sellerTicketVoidedAt = new Date();
+    listing.payoutStatus = 'pending';
+    await listing.save();
+  }
+
+  if (!listing.buyerReservationId) {
+    const reservation = await issueBuyerReservation(listing, payment);
+    listing.buyerReservationId = reservation._id;
+    await listing.save();
+    await queueReservationEmails('purchase_confirmation', reservation);
+  }
+
+  if (listing.payoutStatus === 'pending') {
+    await payoutSeller(listing);
+
+    await queueEmail('resale_sold', listing.seller.email, {
+      name: listing.seller.nombre,
+      eventTitle: payment.metadata?.event_title,
+      price: listing.price,
+      fee: listing.fee,
+      refundAmount: listing.payoutRefundAmount,
+      manualAmount: listing.payoutManualAmount
+    }, {
+      dedupeKey: `resale_sold:${listing._id}`,
+      eventId: listing.eventId,
+      reservationId: listing.reservationId
+    });
+  }
+
+  console.log(`Reventa completada: publicación ${listing._id}, pago ${payment.id}`);
+  return listing;
+}
+
+// Aplicar el estado de un pago de reventa (llamado desde el webhook)
+async function processResalePayment(payment) {
+  switch (payment.status) {
+    case 'approved':
+      return completeSale(payment);
+    case 'rejected':
+    case 'cancelled':
+      return ResaleListing.releaseCheckout(payment.external_reference);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  RESALE_FEE_PERCENT,
+  RESALE_MAX_MARKUP_PERCENT,
+  maxResalePrice,
+  resaleFee,
+  createListing,
+  cancelListing,
+  getTicketListings,
+  startCheckout,
+  processResalePayment,
+  payoutSeller
+};
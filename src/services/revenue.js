@@ -0,0 +1,165 @@
+const Reservation = require('../models/Reservation');
+
+// Comisión estimada de MercadoPago sobre lo cobrado y no devuelto (porcentaje
+// efectivo, con IVA). Es una estimación: la comisión real depende del plazo de
+// acreditación y las cuotas.
+const MP_FEE_PERCENT = process.env.MP_FEE_PERCENT !== undefined ? parseFloat(process.env.MP_FEE_PERCENT) : 7.61;
+
+// Pagos en los que la plata llegó a cobrarse (aunque después se haya devuelto)
+const COLLECTED_PAYMENT_STATUSES = ['approved', 'refunded', 'charged_back'];
+
+const REVENUE_CLASSES = ['paid', 'pending', 'rejected', 'refunded', 'cancelled', 'free'];
+
+// Clasificación de una reserva para los reportes (expresión de aggregation):
+// free      entrada gratis (isFreeTicket) no cancelada
+// refunded  pago devuelto por completo o contracargo
+// cancelled reserva cancelada (o entrada gratis cancelada)
+// paid      pago aprobado (incluye reembolsos parciales y pagos en revisión)
+// rejected  pago rechazado o cancelado en MercadoPago
+// pending   pago sin confirmar
+function revenueClassExpr() {
+  return {
+    $switch: {
+      branches: [
+        {
+          case: { $eq: ['$isFreeTicket', true] },
+          then: { $cond: [{ $eq: ['$status', 'cancelled'] }, 'cancelled', 'free'] }
+        },
+        { case: { $in: ['$paymentStatus', ['refunded', 'charged_back']] }, then: 'refunded' },
+        { case: { $eq: ['$status', 'cancelled'] }, then: 'cancelled' },
+        { case: { $eq: ['$paymentStatus', 'approved'] }, then: 'paid' },
+        { case: { $in: ['$paymentStatus', ['rejected', 'cancelled']] }, then: 'rejected' }
+      ],
+      default: 'pending'
+    }
+  };
+}
+
+// Misma clasificación para un documento ya cargado
+function classifyReservation(reservation) {
+  if (reservation.isFreeTicket) return reservation.status === 'cancelled' ? 'cancelled' : 'free';
+  if (['refunded', 'charged_back'].includes(reservation.paymentStatus)) return 'refunded';
+  if (reservation.status === 'cancelled') return 'cancelled';
+  if (reservation.paymentStatus === 'approved') return 'paid';
+  if (['rejected', 'cancelled'].includes(reservation.paymentStatus)) return 'rejected';
+  return 'pending';
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function emptyRevenueStats() {
+  return {
+    reservations: { total: 0, ...Object.fromEntries(REVENUE_CLASSES.map(name => [name, 0])) },
+    tickets: { total: 0, paid: 0, free: 0 },
+    grossRevenue: 0,
+    refundedAmount: 0,
+    netRevenue: 0,
+    estimatedFees: 0,
+    netAfterFees: 0,
+    pendingAmount: 0,
+    primaryRevenue: 0,
+    resaleRevenue: 0,
+    resaleReservations: 0,
+    feePercent: MP_FEE_PERCENT
+  };
+}
+
+// Ingresos y entradas con cada reserva clasificada por su estado de pago.
+// gross: todo lo cobrado; refunded: lo devuelto (reembolsos, contracargos y
+// pagos a vendedores de reventa); net: gross - refunded. Las entradas válidas
+// son las gratis y las pagas sin devolver.
+async function getRevenueStats(match, { groupBy = null } = {}) {
+  const collected = {
+    $and: [
+      { $ne: ['$isFreeTicket', true] },
+      { $in: ['$paymentStatus', COLLECTED_PAYMENT_STATUSES] }
+    ]
+  };
+
+  const stats = await Reservation.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        revenueClass: revenueClassExpr(),
+        collectedAmount: { $cond: [collected, '$totalAmount', 0] },
+        returnedAmount: { $cond: [collected, { $ifNull: ['$refundedAmount', 0] }, 0] },
+        isResale: { $eq: ['$saleType', 'resale'] },
+        isMercadoPago: { $ne: ['$paymentMethod', 'free'] }
+      }
+    },
+    {
+      $group: {
+        _id: groupBy,
+        total: { $sum: 1 },
+        ...Object.fromEntries(REVENUE_CLASSES.map(name => [
+          name,
+          { $sum: { $cond: [{ $eq: ['$revenueClass', name] }, 1, 0] } }
+        ])),
+        paidTickets: {
+          $sum: {
+            $cond: [
+              { $eq: ['$revenueClass', 'paid'] },
+              { $subtract: ['$totalTickets', { $ifNull: ['$ticketsReturned', 0] }] },
+              0
+            ]
+          }
+        },
+        freeTickets: { $sum: { $cond: [{ $eq: ['$revenueClass', 'free'] }, '$totalTickets', 0] } },
+        grossRevenue: { $sum: '$collectedAmount' },
+        refundedAmount: { $sum: '$returnedAmount' },
+        mpNetAmount: {
+          $sum: { $cond: ['$isMercadoPago', { $subtract: ['$collectedAmount', '$returnedAmount'] }, 0] }
+        },
+        pendingAmount: { $sum: { $cond: [{ $eq: ['$revenueClass', 'pending'] }, '$totalAmount', 0] } },
+        resaleRevenue: {
+          $sum: { $cond: ['$isResale', { $subtract: ['$collectedAmount', '$returnedAmount'] }, 0] }
+        },
+        resaleReservations: {
+          $sum: { $cond: [{ $and: ['$isResale', { $eq: ['$revenueClass', 'paid'] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const format = item => {
+    const netRevenue = roundAmount(item.grossRevenue - item.refundedAmount);
+    const estimatedFees = roundAmount(Math.max(0, item.mpNetAmount) * MP_FEE_PERCENT / 100);
+    return {
+      reservations: {
+        total: item.total,
+        ...Object.fromEntries(REVENUE_CLASSES.map(name => [name, item[name]]))
+      },
+      tickets: {
+        total: item.paidTickets + item.freeTickets,
+        paid: item.paidTickets,
+        free: item.freeTickets
+      },
+      grossRevenue: roundAmount(item.grossRevenue),
+      refundedAmount: roundAmount(item.refundedAmount),
+      netRevenue,
+      estimatedFees,
+      netAfterFees: roundAmount(netRevenue - estimatedFees),
+      pendingAmount: roundAmount(item.pendingAmount),
+      primaryRevenue: roundAmount(netRevenue - item.resaleRevenue),
+      resaleRevenue: roundAmount(item.resaleRevenue),
+      resaleReservations: item.resaleReservations,
+      feePercent: MP_FEE_PERCENT
+    };
+  };
+
+  if (groupBy) {
+    return new Map(stats.map(item => [String(item._id), format(item)]));
+  }
+  return stats[0] ? format(stats[0]) : emptyRevenueStats();
+}
+
+module.exports = {
+  MP_FEE_PERCENT,
+  REVENUE_CLASSES,
+  revenueClassExpr,
+  classifyReservation,
+  emptyRevenueStats,
+  getRevenueStats
+};
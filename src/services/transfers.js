@@ -0,0 +1,210 @@
+const Event = require('../models/Event');
+const Reservation = require('../models/Reservation');
+const TicketTransfer = require('../models/TicketTransfer');
+const ResaleListing = require('../models/ResaleListing');
+const { TransferError } = require('../utils/errors');
+const { queueEmail, ticketQrUrl } = require('./email');
+
+// Reserva y entrada a partir del token del QR (el token prueba quién tiene la entrada)
+async function findTicketByToken(ticketToken) {
+  const reservation = ticketToken ? await Reservation.findOne({ 'tickets.token': String(ticketToken) }) : null;
+  const ticket = reservation?.tickets.find(item => item.token === String(ticketToken));
+
+  if (!ticket) {
+    throw new TransferError('Entrada no encontrada', { code: 'TICKET_NOT_FOUND', status: 404 });
+  }
+  return { reservation, ticket };
+}
+
+// Validar que la entrada y su evento admiten una transferencia ahora
+async function assertTransferable(reservation, ticket) {
+  const admissionError = reservation.getAdmissionError(ticket);
+  if (admissionError) {
+    throw new TransferError(admissionError.message, { code: 'TICKET_NOT_TRANSFERABLE', status: 409 });
+  }
+  if (ticket.checkedInAt) {
+    throw new TransferError('La entrada ya fue usada para ingresar', { code: 'TICKET_NOT_TRANSFERABLE', status: 409 });
+  }
+
+  const event = await Event.findById(reservation.eventId);
+  if (!event) {
+    throw new TransferError('Evento no encontrado', { code: 'EVENT_NOT_AVAILABLE', status: 404 });
+  }
+
+  const block = event.getTransferBlock();
+  if (block) {
+    throw new TransferError(block.message, { code: block.code, status: 409 });
+  }
+  return event;
+}
+
+// Iniciar la transferencia de una entrada. Reemplaza a la pendiente anterior
+// de la misma entrada y envía el link de aceptación al destinatario.
+async function startTransfer(ticketToken, to, { customer } = {}) {
+  const { reservation, ticket } = await findTicketByToken(ticketToken);
+  const event = await assertTransferable(reservation, ticket);
+
+  if (await ResaleListing.findOpenForTicket(reservation._id, ticket._id)) {
+    throw new TransferError('La entrada está publicada en la reventa', { code: 'TICKET_LISTED', status: 409 });
+  }
+
+  if (ticket.email && to.email && ticket.email === String(to.email).trim().toLowerCase()) {
+    throw new TransferError('El destinatario ya es el titular de la entrada', { code: 'TICKET_NOT_TRANSFERABLE' });
+  }
+
+  await TicketTransfer.cancelPending(reservation._id, ticket._id, 'replaced');
+
+  const token = TicketTransfer.generateToken();
+  const expiresAt = new Date(Math.min(
+    Date.now() + TicketTransfer.TTL_HOURS * 60 * 60 * 1000,
+    event.date.getTime()
+  ));
+
+  const transfer = await TicketTransfer.create({
+    reservationId: reservation._id,
+    ticketId: ticket._id,
+    eventId: event._id,
+    from: { nombre: ticket.nombre, apellido: ticket.apellido, email: ticket.email },
+    to: {
+      nombre: to.nombre,
+      apellido: to.apellido,
+      email: to.email,
+      telefono: to.telefono
+    },
+    acceptTokenHash: TicketTransfer.hashToken(token),
+    ticketTokenHash: Reservation.hashTicketToken(ticket.token),
+    expiresAt,
+    initiatedByCustomer: customer?._id || null
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8100';
+  await queueEmail('ticket_transfer_offer', transfer.to.email, {
+    name: transfer.to.nombre,
+    fromName: `${ticket.nombre} ${ticket.apellido}`.trim(),
+    eventTitle: event.title,
+    eventDate: event.date,
+    eventLocation: event.location,
+    acceptUrl: `${frontendUrl}/transferencias/${token}`,
+    expiresAt
+  }, {
+    dedupeKey: `ticket_transfer_offer:${transfer._id}`,
+    eventId: event._id,
+    reservationId: reservation._id
+  });
+
+  return transfer;
+}
+
+// Transferencia pendiente a partir del link; distingue vencidas y ya usadas
+async function findTransferByToken(token) {
+  const transfer = await TicketTransfer.findOne({ acceptTokenHash: TicketTransfer.hashToken(token) });
+
+  if (!transfer) {
+    throw new TransferError('Transferencia no encontrada', { code: 'TRANSFER_NOT_FOUND', status: 404 });
+  }
+  if (transfer.isExpired()) {
+    throw new TransferError('El link de transferencia venció', { code: 'TRANSFER_EXPIRED', status: 410 });
+  }
+  if (transfer.status !== 'pending') {
+    throw new TransferError('La transferencia ya no está pendiente', { code: 'TRANSFER_NOT_PENDING', status: 409 });
+  }
+  return transfer;
+}
+
+// Aceptar una transferencia: la entrada pasa al destinatario con un token nuevo
+async function acceptTransfer(token, { customer } = {}) {
+  const transfer = await findTransferByToken(token);
+
+  const reservation = await Reservation.findById(transfer.reservationId);
+  const ticket = reservation?.tickets.id(transfer.ticketId);
+
+  // La entrada cambió desde que se inició (otra transferencia, reemisión)
+  if (!ticket || Reservation.hashTicketToken(ticket.token) !== transfer.ticketTokenHash) {
+    await TicketTransfer.cancelPending(transfer.reservationId, transfer.ticketId, 'ticket_changed');
+    throw new TransferError('La entrada cambió y la transferencia ya no es válida', { code: 'TICKET_CHANGED', status: 409 });
+  }
+
+  const event = await assertTransferable(reservation, ticket);
+
+  // Tomar la transferencia de forma atómica (dos aceptaciones simultáneas)
+  const now = new Date();
+  const accepted = await TicketTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: 'pending' },
+    { $set: { status: 'accepted', acceptedAt: now, acceptedByCustomer: customer?._id || null } },
+    { new: true }
+  );
+  if (!accepted) {
+    throw new TransferError('La transferencia ya no está pendiente', { code: 'TRANSFER_NOT_PENDING', status: 409 });
+  }
+
+  // Reemitir la entrada solo si sigue teniendo el mismo token y no se usó ni reembolsó
+  const newToken = Reservation.generateTicketToken();
+  const result = await Reservation.updateOne(
+    {
+      _id: reservation._id,
+      tickets: { $elemMatch: { _id: ticket._id, token: ticket.token, checkedInAt: null, refundedAt: null } }
+    },
+    {
+      $set: {
+        'tickets.$.token': newToken,
+        'tickets.$.nombre': accepted.to.nombre,
+        'tickets.$.apellido': accepted.to.apellido,
+        'tickets.$.email': accepted.to.email,
+        'tickets.$.telefono': accepted.to.telefono,
+        'tickets.$.transferredAt': now
+      },
+      $inc: { 'tickets.$.transferCount': 1 }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    await TicketTransfer.updateOne(
+      { _id: accepted._id },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'ticket_changed' } }
+    );
+    throw new TransferError('La entrada cambió y la transferencia ya no es válida', { code: 'TICKET_CHANGED', status: 409 });
+  }
+
+  const emailOptions = { eventId: event._id, reservationId: reservation._id };
+  await queueEmail('ticket_transfer_completed', accepted.to.email, {
+    name: accepted.to.nombre,
+    eventTitle: event.title,
+    eventDate: event.date,
+    eventLocation: event.location,
+    reservationCode: reservation.reservationCode,
+    qrUrl: ticketQrUrl(newToken)
+  }, { ...emailOptions, dedupeKey: `ticket_transfer_completed:${accepted._id}` });
+
+  await queueEmail('ticket_transfer_accepted', accepted.from.email, {
+    name: accepted.from.nombre,
+    toName: `${accepted.to.nombre} ${accepted.to.apellido}`.trim(),
+    eventTitle: event.title
+  }, { ...emailOptions, dedupeKey: `ticket_transfer_accepted:${accepted._id}` });
+
+  return { transfer: accepted, event, reservation, ticketToken: newToken };
+}
+
+// Cancelar la transferencia pendiente de una entrada (la cancela quien la tiene)
+async function cancelTransfer(ticketToken) {
+  const { reservation, ticket } = await findTicketByToken(ticketToken);
+  const result = await TicketTransfer.cancelPending(reservation._id, ticket._id, 'holder');
+
+  if (result.modifiedCount === 0) {
+    throw new TransferError('La entrada no tiene una transferencia pendiente', { code: 'TRANSFER_NOT_FOUND', status: 404 });
+  }
+  return result.modifiedCount;
+}
+
+// Historial de transferencias de una entrada (más reciente primero)
+async function getTicketTransfers(ticketToken) {
+  const { reservation, ticket } = await findTicketByToken(ticketToken);
+  return TicketTransfer.find({ reservationId: reservation._id, ticketId: ticket._id }).sort({ createdAt: -1 });
+}
+
+module.exports = {
+  startTransfer,
+  findTransferByToken,
+  acceptTransfer,
+  cancelTransfer,
+  getTicketTransfers
+};
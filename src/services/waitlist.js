@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const TicketHold = require('../models/TicketHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { InventoryError } = require('../utils/errors');
+const { queueEmail } = require('./email');
+
+const CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 60;
+
+// Etapa a ofrecer: la pedida por la persona o la vigente del evento
+function resolveStageIndex(event, entry) {
+  if (entry.preSaleStageIndex !== null && entry.preSaleStageIndex !== undefined) {
+    return entry.preSaleStageIndex;
+  }
+  const current = event.currentPreSaleStage;
+  return current ? event.preSaleStages.indexOf(current) : -1;
+}
+
+// Vencer las ofertas no reclamadas a tiempo (o cuyo hold ya se liberó, ej: pago
+// rechazado) y liberar sus entradas
+async function expireOffers(eventId) {
+  const filter = { status: 'offered' };
+  if (eventId) filter.eventId = eventId;
+
+  const offers = await WaitlistEntry.find(filter);
+  if (offers.length === 0) return 0;
+
+  const holds = await TicketHold.find({
+    orderId: { $in: offers.map(entry => entry.orderId) }
+  }).select('orderId status');
+  const holdStatus = new Map(holds.map(hold => [hold.orderId, hold.status]));
+
+  // Una oferta con hold convertido ya se pagó: se marca como reclamada al procesar el pago
+  const now = new Date();
+  const expired = offers.filter(entry => {
+    const status = holdStatus.get(entry.orderId);
+    if (status === 'converted') return false;
+    return entry.offerExpiresAt <= now || status !== 'held';
+  });
+  for (const entry of expired) {
+    await TicketHold.release(entry.orderId, 'expired');
+    entry.status = 'expired';
+    await entry.save();
+  }
+
+  return expired.length;
+}
+
+// Ofrecer el inventario disponible a los siguientes de la lista, en orden.
+// Se respeta el orden estricto: si al primero que pide "cualquier etapa" no le
+// alcanzan las entradas, no se saltea a los de atrás.
+async function processWaitlist(eventId) {
+  await expireOffers(eventId);
+
+  const event = await Event.findById(eventId);
+  if (!event || ['cancelled', 'completed'].includes(event.status)) {
+    // El evento ya no vende: la lista de espera se cierra
+    await WaitlistEntry.updateMany({ eventId, status: 'waiting' }, { $set: { status: 'removed' } });
+    return 0;
+  }
+  if (!['active', 'sold-out'].includes(event.status)) {
+    return 0;
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8100';
+  const waiting = await WaitlistEntry.find({ eventId, status: 'waiting' }).sort({ position: 1 });
+  let offered = 0;
+
+  for (const entry of waiting) {
+    const stageIndex = resolveStageIndex(event, entry);
+    if (stageIndex < 0) break;
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const orderId = `WAITLIST_${entry._id}_${Date.now()}`;
+    const offerExpiresAt = new Date(Date.now() + CLAIM_MINUTES * 60 * 1000);
+
+    // Tomar la entrada de forma condicional para que dos ejecuciones no la ofrezcan dos veces
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        $set: {
+          status: 'offered',
+          claimTokenHash: WaitlistEntry.hashClaimToken(token),
+          orderId,
+          offeredStageIndex: stageIndex,
+          offeredAt: new Date(),
+          offerExpiresAt
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      await TicketHold.place({
+        eventId: event._id,
+        stageIndex,
+        quantity: entry.quantity,
+        orderId,
+        minutes: CLAIM_MINUTES
+      });
+    } catch (error) {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id },
+        {
+          $set: { status: 'waiting' },
+          $unset: { claimTokenHash: 1, orderId: 1, offeredStageIndex: 1, offeredAt: 1, offerExpiresAt: 1 }
+        }
+      );
+
+      if (!(error instanceof InventoryError)) throw error;
+      if (entry.preSaleStageIndex === null || entry.preSaleStageIndex === undefined) break;
+      continue;
+    }
+
+    const stage = event.preSaleStages[stageIndex];
+    await queueEmail('waitlist_offer', entry.email, {
+      eventTitle: event.title,
+      eventDate: event.date,
+      eventLocation: event.location,
+      nombre: entry.nombre,
+      quantity: entry.quantity,
+      stageName: stage?.name,
+      price: stage?.price,
+      claimUrl: `${frontendUrl}/lista-de-espera/${token}`,
+      expiresAt: offerExpiresAt
+    }, {
+      dedupeKey: `waitlist_offer:${orderId}`,
+      eventId: event._id
+    });
+
+    console.log(`Lista de espera: ${entry.quantity} entradas ofrecidas a ${entry.email} para ${event.title}`);
+    offered++;
+  }
+
+  return offered;
+}
+
+// Procesar todas las listas con gente esperando u ofertas abiertas (job programado)
+async function processAllWaitlists() {
+  const eventIds = await WaitlistEntry.distinct('eventId', { status: { $in: ['waiting', 'offered'] } });
+
+  let offered = 0;
+  for (const eventId of eventIds) {
+    try {
+      offered += await processWaitlist(eventId);
+    } catch (error) {
+      console.error(`Error procesando lista de espera del evento ${eventId}:`, error);
+    }
+  }
+
+  return offered;
+}
+
+// Aviso de que se liberó inventario: se procesa la lista sin bloquear a quien llama
+function notifyInventoryReleased(eventId) {
+  if (!eventId) return;
+  setImmediate(() => {
+    processWaitlist(eventId).catch(error => {
+      console.error(`Error procesando lista de espera del evento ${eventId}:`, error);
+    });
+  });
+}
+
+// Buscar una oferta vigente a partir del token del link
+async function findOfferByToken(token) {
+  const entry = await WaitlistEntry.findOne({
+    claimTokenHash: WaitlistEntry.hashClaimToken(token),
+    status: 'offered'
+  });
+
+  if (!entry || entry.offerExpiresAt <= new Date()) {
+    return null;
+  }
+  return entry;
+}
+
+// Marcar como reclamada la oferta cuya orden se pagó
+function markWaitlistClaimed(orderId) {
+  return WaitlistEntry.updateOne(
+    { orderId, status: 'offered' },
+    { $set: { status: 'claimed', claimedAt: new Date() } }
+  );
+}
+
+module.exports = {
+  processWaitlist,
+  processAllWaitlists,
+  notifyInventoryReleased,
+  findOfferByToken,
+  markWaitlistClaimed,
+  expireOffers
+};
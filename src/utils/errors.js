@@ -0,0 +1,92 @@
+// Error de inventario: la actualización condicional no encontró cupo suficiente
+// code: EVENT_NOT_FOUND, STAGE_NOT_AVAILABLE, STAGE_SOLD_OUT,
+//       CATEGORY_NOT_AVAILABLE, CATEGORY_SOLD_OUT, CATEGORY_ORDER_LIMIT,
+//       FREE_TICKETS_DISABLED, FREE_TICKETS_SOLD_OUT, VENUE_SOLD_OUT, ORDER_ALREADY_PAID
+class InventoryError extends Error {
+  constructor(message, { code = 'STAGE_SOLD_OUT', available = 0 } = {}) {
+    super(message);
+    this.name = 'InventoryError';
+    this.code = code;
+    this.available = Math.max(0, available);
+  }
+}
+
+// Error al reembolsar una reserva
+// code: NOT_REFUNDABLE, ALREADY_REFUNDED, INVALID_AMOUNT, INVALID_TICKETS, MP_REFUND_ERROR
+class RefundError extends Error {
+  constructor(message, { code = 'NOT_REFUNDABLE', status = 400 } = {}) {
+    super(message);
+    this.name = 'RefundError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Código promocional inválido o no aplicable a la compra
+// code: PROMO_NOT_FOUND, PROMO_INACTIVE, PROMO_NOT_STARTED, PROMO_EXPIRED,
+//       PROMO_NOT_APPLICABLE, PROMO_EXHAUSTED, PROMO_EMAIL_LIMIT
+class PromoCodeError extends Error {
+  constructor(message, { code = 'PROMO_NOT_APPLICABLE', status = 400 } = {}) {
+    super(message);
+    this.name = 'PromoCodeError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Imagen inválida o que no se pudo procesar/guardar
+// code: INVALID_IMAGE, IMAGE_TOO_LARGE, IMAGE_NOT_FOUND, IMAGE_STORAGE_ERROR
+class ImageError extends Error {
+  constructor(message, { code = 'INVALID_IMAGE', status = 400 } = {}) {
+    super(message);
+    this.name = 'ImageError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Transferencia de entrada no permitida o que no se puede aceptar
+// code: TICKET_NOT_FOUND, TICKET_NOT_TRANSFERABLE, TRANSFERS_FROZEN, EVENT_NOT_AVAILABLE,
+//       TRANSFER_NOT_FOUND, TRANSFER_EXPIRED, TRANSFER_NOT_PENDING, TICKET_CHANGED, TICKET_LISTED
+class TransferError extends Error {
+  constructor(message, { code = 'TICKET_NOT_TRANSFERABLE', status = 400 } = {}) {
+    super(message);
+    this.name = 'TransferError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Publicación o compra de reventa no permitida
+// code: TICKET_NOT_FOUND, TICKET_NOT_RESELLABLE, TRANSFERS_FROZEN, EVENT_NOT_AVAILABLE,
+//       ALREADY_LISTED, INVALID_PRICE, LISTING_NOT_FOUND, LISTING_NOT_AVAILABLE, MP_PREFERENCE_ERROR
+class ResaleError extends Error {
+  constructor(message, { code = 'TICKET_NOT_RESELLABLE', status = 400 } = {}) {
+    super(message);
+    this.name = 'ResaleError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Carga o baja de invitados de un RRPP no permitida
+// code: INVALID_GUESTS, NO_GUEST_QUOTA, GUEST_LIST_CLOSED, GUEST_QUOTA_EXCEEDED,
+//       GUEST_NOT_FOUND, GUEST_NOT_REMOVABLE
+class GuestListError extends Error {
+  constructor(message, { code = 'GUEST_LIST_CLOSED', status = 400 } = {}) {
+    super(message);
+    this.name = 'GuestListError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = {
+  InventoryError,
+  RefundError,
+  PromoCodeError,
+  ImageError,
+  TransferError,
+  ResaleError,
+  GuestListError
+};
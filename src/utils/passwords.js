@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hashear contraseña con scrypt (salt aleatorio por usuario). Formato "salt:hash"
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(`${salt}:${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+// Comparar una contraseña contra el hash guardado en tiempo constante
+function verifyPassword(password, passwordHash) {
+  return new Promise((resolve, reject) => {
+    if (!passwordHash || !password) return resolve(false);
+
+    const [salt, storedKey] = passwordHash.split(':');
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derivedKey) => {
+      if (error) return reject(error);
+      const stored = Buffer.from(storedKey, 'hex');
+      resolve(stored.length === derivedKey.length && crypto.timingSafeEqual(stored, derivedKey));
+    });
+  });
+}
+
+function assertPasswordStrength(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`);
+  }
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  assertPasswordStrength
+};
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Event = require('../src/models/Event');
+
+describe('Event.checkCapacity', () => {
+  const stages = [{ ticketLimit: 60 }, { ticketLimit: 30 }];
+
+  it('sin capacidad definida no valida nada', () => {
+    assert.strictEqual(Event.checkCapacity({ capacity: null, preSaleStages: stages }), null);
+  });
+
+  it('acepta etapas y entradas gratis que entran en el lugar', () => {
+    const error = Event.checkCapacity({
+      capacity: 100,
+      preSaleStages: stages,
+      freeTickets: { enabled: true, quantity: 10, ticketsClaimed: 0 }
+    });
+
+    assert.strictEqual(error, null);
+  });
+
+  it('rechaza etapas y entradas gratis que superan la capacidad', () => {
+    const error = Event.checkCapacity({
+      capacity: 100,
+      preSaleStages: stages,
+      freeTickets: { enabled: true, quantity: 11, ticketsClaimed: 0 }
+    });
+
+    assert.match(error, /supera la capacidad del lugar \(100\)/);
+  });
+
+  it('con capacidad, las entradas gratis necesitan una cantidad máxima', () => {
+    const error = Event.checkCapacity({
+      capacity: 100,
+      preSaleStages: stages,
+      freeTickets: { enabled: true, quantity: 0 }
+    });
+
+    assert.match(error, /necesitan una cantidad máxima/);
+  });
+
+  it('las entradas gratis ya entregadas cuentan aunque se hayan deshabilitado', () => {
+    const error = Event.checkCapacity({
+      capacity: 100,
+      preSaleStages: stages,
+      freeTickets: { enabled: false, quantity: 0, ticketsClaimed: 11 }
+    });
+
+    assert.ok(error);
+  });
+});
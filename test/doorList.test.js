@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { toDoorListRow, sortDoorList } = require('../src/services/doorList');
+
+describe('lista de puerta', () => {
+  it('ordena por apellido y nombre sin distinguir mayúsculas ni acentos', () => {
+    const rows = sortDoorList([
+      { nombre: 'Zoe', apellido: 'gómez' },
+      { nombre: 'Ana', apellido: 'Álvarez' },
+      { nombre: 'Bruno', apellido: 'Gomez' },
+      { nombre: 'Carla', apellido: 'Benítez' }
+    ]);
+
+    assert.deepStrictEqual(rows.map(row => `${row.apellido}, ${row.nombre}`), [
+      'Álvarez, Ana',
+      'Benítez, Carla',
+      'Gomez, Bruno',
+      'gómez, Zoe'
+    ]);
+  });
+
+  it('las filas sin apellido quedan primero', () => {
+    const rows = sortDoorList([
+      { nombre: 'Ana', apellido: 'Pérez' },
+      { nombre: 'Sin apellido' }
+    ]);
+
+    assert.strictEqual(rows[0].nombre, 'Sin apellido');
+  });
+
+  it('cuenta solo las entradas vigentes y usa la primera como titular', () => {
+    const row = toDoorListRow({
+      reservationCode: 'ABC123',
+      tickets: [
+        { nombre: 'Ana', apellido: 'Pérez', refundedAt: new Date() },
+        { nombre: 'Bruno', apellido: 'Gómez' },
+        { nombre: 'Carla', apellido: 'Díaz' }
+      ]
+    });
+
+    assert.deepStrictEqual(row, { nombre: 'Bruno', apellido: 'Gómez', quantity: 2, reservationCode: 'ABC123' });
+  });
+
+  it('sin entradas vigentes la reserva no entra en la lista', () => {
+    const row = toDoorListRow({
+      reservationCode: 'ABC123',
+      tickets: [{ nombre: 'Ana', apellido: 'Pérez', resoldAt: new Date() }]
+    });
+
+    assert.strictEqual(row, null);
+  });
+});
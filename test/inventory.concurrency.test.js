@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Event = require('../src/models/Event');
+const { InventoryError } = require('../src/utils/errors');
+
+// Compras concurrentes contra una base real: las actualizaciones condicionales
+// nunca tienen que vender más que el cupo. Necesita MONGODB_TEST_URI (una base
+// descartable, los eventos creados se borran al terminar); sin ella se saltea.
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const PARALLEL_REQUESTS = 40;
+
+function eventData(overrides = {}) {
+  const inOneWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  return {
+    title: 'Evento de prueba de concurrencia',
+    date: inOneWeek,
+    location: 'Lugar de prueba',
+    image: 'https://example.com/evento.jpg',
+    status: 'active',
+    preSaleStages: [{ name: 'Preventa 1', price: 1000, ticketLimit: 10, endDate: inOneWeek }],
+    freeTickets: { enabled: false, quantity: 0 },
+    ...overrides
+  };
+}
+
+// Lanzar todas las compras a la vez y separar las que entraron de las rechazadas
+async function runInParallel(task) {
+  const results = await Promise.allSettled(Array.from({ length: PARALLEL_REQUESTS }, () => task()));
+  const rejected = results.filter(result => result.status === 'rejected').map(result => result.reason);
+  rejected.forEach(error => assert.ok(error instanceof InventoryError, `Error inesperado: ${error.message}`));
+  return { succeeded: results.length - rejected.length, rejected };
+}
+
+describe('inventario concurrente', { skip: !MONGODB_TEST_URI && 'MONGODB_TEST_URI no configurada' }, () => {
+  const createdIds = [];
+
+  before(async () => {
+    await mongoose.connect(MONGODB_TEST_URI);
+  });
+
+  after(async () => {
+    await Event.deleteMany({ _id: { $in: createdIds } });
+    await mongoose.disconnect();
+  });
+
+  async function createEvent(overrides) {
+    const event = await Event.create(eventData(overrides));
+    createdIds.push(event._id);
+    return event;
+  }
+
+  it('no vende más entradas de una etapa que su ticketLimit', async () => {
+    const event = await createEvent();
+
+    const { succeeded } = await runInParallel(() => Event.reserveStageTickets(event._id, 0, 1));
+
+    const saved = await Event.findById(event._id);
+    assert.strictEqual(succeeded, 10);
+    assert.strictEqual(saved.preSaleStages[0].ticketsSold, 10);
+  });
+
+  it('no entrega más entradas gratis que las configuradas', async () => {
+    const event = await createEvent({
+      preSaleStages: [],
+      freeTickets: { enabled: true, quantity: 15 }
+    });
+
+    const { succeeded } = await runInParallel(() => Event.claimFreeTickets(event._id, 2));
+
+    const saved = await Event.findById(event._id);
+    assert.strictEqual(succeeded, 7);
+    assert.strictEqual(saved.freeTickets.ticketsClaimed, 14);
+    assert.ok(saved.freeTickets.ticketsClaimed <= saved.freeTickets.quantity);
+  });
+
+  it('no supera la capacidad del lugar entre etapas y entradas gratis', async () => {
+    // La planificación no deja crear un evento sobrevendido: el tope se baja
+    // después, como cuando se cambia de lugar con entradas ya a la venta
+    const event = await createEvent({ freeTickets: { enabled: true, quantity: 10 } });
+    await Event.updateOne({ _id: event._id }, { $set: { capacity: 12 } });
+
+    await runInParallel(() => Math.random() < 0.5
+      ? Event.reserveStageTickets(event._id, 0, 1)
+      : Event.claimFreeTickets(event._id, 1));
+
+    const saved = await Event.findById(event._id);
+    const issued = saved.preSaleStages[0].ticketsSold + saved.freeTickets.ticketsClaimed;
+    assert.strictEqual(issued, 12);
+    assert.ok(saved.preSaleStages[0].ticketsSold <= saved.preSaleStages[0].ticketLimit);
+    assert.ok(saved.freeTickets.ticketsClaimed <= saved.freeTickets.quantity);
+  });
+});
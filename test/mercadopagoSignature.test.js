@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.MERCADOPAGO_WEBHOOK_SECRET = 'secreto-de-prueba';
+delete process.env.MERCADOPAGO_WEBHOOK_TOLERANCE_SECONDS;
+
+const { verifyMercadoPagoSignature, getNotificationDataId } = require('../src/middleware/mercadopagoSignature');
+
+// Pedido firmado como lo firma MercadoPago: id:<data.id>;request-id:<x-request-id>;ts:<ts>;
+function signedRequest({ dataId = '123456', ts = Math.floor(Date.now() / 1000), body = {} } = {}) {
+  const manifest = `id:${dataId};request-id:req-1;ts:${ts};`;
+  const v1 = crypto.createHmac('sha256', process.env.MERCADOPAGO_WEBHOOK_SECRET).update(manifest).digest('hex');
+  return {
+    query: { 'data.id': dataId },
+    body,
+    headers: { 'x-signature': `ts=${ts},v1=${v1}`, 'x-request-id': 'req-1' }
+  };
+}
+
+// Ejecutar el middleware y devolver 'next' o el status y código de la respuesta
+function verify(req) {
+  let result = 'next';
+  const res = {
+    status(status) {
+      return { json: body => { result = `${status} ${body.code}`; } };
+    }
+  };
+  verifyMercadoPagoSignature(req, res, () => {});
+  return result;
+}
+
+describe('firma de webhooks de MercadoPago', () => {
+  it('acepta una notificación firmada y reciente', () => {
+    assert.strictEqual(verify(signedRequest()), 'next');
+  });
+
+  it('acepta ts en milisegundos', () => {
+    assert.strictEqual(verify(signedRequest({ ts: Date.now() })), 'next');
+  });
+
+  it('rechaza una firma que no corresponde al data.id', () => {
+    const req = signedRequest();
+    req.query['data.id'] = '999999';
+
+    assert.strictEqual(verify(req), '401 INVALID_SIGNATURE');
+  });
+
+  it('rechaza una notificación firmada hace más de la tolerancia', () => {
+    const req = signedRequest({ ts: Math.floor(Date.now() / 1000) - 10 * 60 });
+
+    assert.strictEqual(verify(req), '401 SIGNATURE_EXPIRED');
+  });
+
+  it('el id del pago sale del query firmado aunque el body traiga otro', () => {
+    const req = signedRequest({ body: { data: { id: '999999' } } });
+
+    assert.strictEqual(verify(req), 'next');
+    assert.strictEqual(getNotificationDataId(req), '123456');
+  });
+});
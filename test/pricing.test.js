@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+// Cargos fijos para el test: se leen al cargar el módulo de precios
+process.env.SERVICE_FEE_PERCENT = '10';
+process.env.SERVICE_FEE_PER_TICKET = '50';
+
+const Event = require('../src/models/Event');
+const { quoteOrder, buildPreferenceItems, amountMatchesQuote } = require('../src/services/pricing');
+
+function buildEvent(overrides = {}) {
+  const inOneWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  return new Event({
+    title: 'Evento de prueba',
+    date: inOneWeek,
+    location: 'Lugar de prueba',
+    basePrice: 2000,
+    preSaleStages: [{ name: 'Preventa 1', price: 1000, ticketLimit: 10, endDate: inOneWeek }],
+    ...overrides
+  });
+}
+
+describe('quoteOrder', () => {
+  it('cotiza con el precio de la etapa y suma el cargo por servicio', () => {
+    const quote = quoteOrder(buildEvent(), { stageIndex: 0, quantity: 2 });
+
+    assert.strictEqual(quote.unitPrice, 1000);
+    assert.strictEqual(quote.subtotal, 2000);
+    assert.strictEqual(quote.serviceFee, 300);
+    assert.strictEqual(quote.total, 2300);
+    assert.strictEqual(quote.stageName, 'Preventa 1');
+  });
+
+  it('sin etapa usa el precio base del evento', () => {
+    const quote = quoteOrder(buildEvent(), { stageIndex: null, quantity: 1 });
+
+    assert.strictEqual(quote.unitPrice, 2000);
+    assert.strictEqual(quote.preSaleStageIndex, null);
+    assert.strictEqual(quote.stageName, 'Precio regular');
+  });
+
+  it('sin precio base cotiza en cero', () => {
+    const quote = quoteOrder(buildEvent({ basePrice: undefined }), { stageIndex: null, quantity: 1 });
+
+    assert.strictEqual(quote.unitPrice, 0);
+    assert.strictEqual(quote.subtotal, 0);
+  });
+
+  it('el descuento nunca deja el subtotal por debajo de cero', () => {
+    const quote = quoteOrder(buildEvent(), {
+      stageIndex: 0,
+      quantity: 1,
+      discounts: [{ code: 'TODO', description: 'Código TODO', amount: 5000 }]
+    });
+
+    assert.strictEqual(quote.discountTotal, 1000);
+    assert.deepStrictEqual(quote.discounts, [{ code: 'TODO', description: 'Código TODO', amount: 1000 }]);
+    assert.strictEqual(quote.total, 50);
+  });
+
+  it('con descuento la preferencia lleva una sola línea por el total', () => {
+    const event = buildEvent();
+    const quote = quoteOrder(event, {
+      stageIndex: 0,
+      quantity: 2,
+      discounts: [{ code: 'MITAD', description: 'Código MITAD', amount: 1000 }]
+    });
+    const items = buildPreferenceItems(quote, event);
+
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].unit_price, quote.total);
+    assert.strictEqual(items[0].quantity, 1);
+  });
+});
+
+describe('amountMatchesQuote', () => {
+  it('acepta diferencias de redondeo y rechaza montos distintos', () => {
+    const quote = { total: 2300 };
+
+    assert.strictEqual(amountMatchesQuote(quote, 2300.004), true);
+    assert.strictEqual(amountMatchesQuote(quote, 2299.5), false);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ticketsForAmount } = require('../src/services/refunds');
+
+describe('ticketsForAmount', () => {
+  const reservation = { totalTickets: 4, totalAmount: 4000, ticketsReturned: 0 };
+
+  it('un reembolso total devuelve todas las entradas que quedan', () => {
+    assert.strictEqual(ticketsForAmount(reservation, 0, true), 4);
+    assert.strictEqual(ticketsForAmount({ ...reservation, ticketsReturned: 1 }, 0, true), 3);
+  });
+
+  it('un reembolso parcial devuelve solo las entradas cubiertas por el monto', () => {
+    assert.strictEqual(ticketsForAmount(reservation, 1000, false), 1);
+    assert.strictEqual(ticketsForAmount(reservation, 2999.99, false), 2);
+    assert.strictEqual(ticketsForAmount(reservation, 500, false), 0);
+  });
+
+  it('tolera redondeos del monto por entrada', () => {
+    const threeTickets = { totalTickets: 3, totalAmount: 1000, ticketsReturned: 0 };
+
+    assert.strictEqual(ticketsForAmount(threeTickets, 333.33, false), 1);
+  });
+
+  it('nunca devuelve más entradas que las que quedan', () => {
+    assert.strictEqual(ticketsForAmount({ ...reservation, ticketsReturned: 3 }, 4000, false), 1);
+  });
+
+  it('una reserva sin monto no devuelve entradas por reembolso parcial', () => {
+    assert.strictEqual(ticketsForAmount({ totalTickets: 2, totalAmount: 0 }, 100, false), 0);
+  });
+});